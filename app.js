@@ -2,6 +2,12 @@
 // 微信小程序：数据库管理工具
 // 注意：微信小程序不支持 CommonJS 的 require，这里需要特殊处理
 
+// 离线操作队列最大长度
+const OFFLINE_QUEUE_SIZE = 500;
+
+// 用户中心在 tabBar 中的位置（显示未读消息角标）
+const MEMBER_TAB_INDEX = 1;
+
 App({
   globalData: {
     userInfo: null,
@@ -19,6 +25,8 @@ App({
     dbManager: null,
     isCloudConnected: false,
     syncInProgress: false,
+    offlineFlushInProgress: false,
+    unreadMessageCount: 0,
     // 微信小程序特定
     isMiniProgram: true
   },
@@ -42,6 +50,9 @@ App({
       // 启动数据同步
       this.startDataSync();
 
+      // 监听网络恢复，重放离线期间的操作
+      this.watchNetworkStatus();
+
       console.log('应用初始化完成');
     } catch (error) {
       console.error('应用初始化失败:', error);
@@ -190,6 +201,22 @@ App({
         data: { action, data }
       }).then(res => res.result);
     };
+
+    // 对局管理云函数
+    this.callGameManager = (action, data) => {
+      return wx.cloud.callFunction({
+        name: 'gameManager',
+        data: { action, data }
+      }).then(res => res.result);
+    };
+
+    // 通知管理云函数
+    this.callNotificationManager = (action, data) => {
+      return wx.cloud.callFunction({
+        name: 'notificationManager',
+        data: { action, data }
+      }).then(res => res.result);
+    };
   },
 
   // 同步本地数据到云端（微信小程序方式）
@@ -297,6 +324,110 @@ App({
     }, 5 * 60 * 1000);
   },
 
+  // ==================== 离线操作队列 ====================
+
+  // 网络断开时将云函数操作加入离线队列，网络恢复后按顺序重放
+  enqueueOfflineAction(functionName, action, data, label) {
+    const queue = this.getOfflineQueue();
+
+    if (queue.length >= OFFLINE_QUEUE_SIZE) {
+      return false;
+    }
+
+    queue.push({
+      id: `${Date.now()}_${queue.length}`,
+      functionName,
+      action,
+      data,
+      label,
+      createdAt: new Date().toISOString()
+    });
+    wx.setStorageSync('offlineQueue', queue);
+    return true;
+  },
+
+  // 获取离线队列
+  getOfflineQueue() {
+    return wx.getStorageSync('offlineQueue') || [];
+  },
+
+  // 判断当前是否有网络
+  isNetworkAvailable() {
+    return new Promise(resolve => {
+      wx.getNetworkType({
+        success: res => resolve(res.networkType !== 'none'),
+        fail: () => resolve(false)
+      });
+    });
+  },
+
+  // 监听网络状态，恢复连接时处理离线队列
+  watchNetworkStatus() {
+    wx.onNetworkStatusChange(res => {
+      if (res.isConnected) {
+        this.flushOfflineQueue();
+      }
+    });
+
+    this.flushOfflineQueue();
+  },
+
+  // 重放离线队列：网络错误的操作保留待下次重试，服务端拒绝的操作移出队列并提示
+  async flushOfflineQueue() {
+    if (!this.globalData.isCloudConnected || this.globalData.offlineFlushInProgress) {
+      return;
+    }
+
+    const queue = this.getOfflineQueue();
+    if (queue.length === 0) {
+      return;
+    }
+
+    this.globalData.offlineFlushInProgress = true;
+    const remaining = [];
+    const rejected = [];
+    let syncedCount = 0;
+
+    try {
+      for (const item of queue) {
+        try {
+          const res = await wx.cloud.callFunction({
+            name: item.functionName,
+            data: { action: item.action, data: item.data }
+          });
+
+          if (res.result.success) {
+            syncedCount++;
+          } else {
+            rejected.push(`${item.label}：${res.result.error}`);
+          }
+        } catch (error) {
+          console.error('离线操作重放失败:', error);
+          remaining.push(item);
+        }
+      }
+
+      // 重放期间新加入的操作保留在队列末尾
+      const added = this.getOfflineQueue().slice(queue.length);
+      wx.setStorageSync('offlineQueue', [...remaining, ...added]);
+
+      if (rejected.length > 0) {
+        wx.showModal({
+          title: '离线操作同步失败',
+          content: rejected.join('\n'),
+          showCancel: false
+        });
+      } else if (syncedCount > 0) {
+        wx.showToast({
+          title: `已同步${syncedCount}项离线操作`,
+          icon: 'none'
+        });
+      }
+    } finally {
+      this.globalData.offlineFlushInProgress = false;
+    }
+  },
+
   // 检查登录状态（微信小程序方式）
   async checkLoginStatus() {
     const userInfo = wx.getStorageSync('userInfo');
@@ -341,6 +472,46 @@ App({
     }
   },
 
+  // 刷新未读消息数量，并同步到用户中心 tab 的角标
+  async refreshUnreadBadge() {
+    let unreadCount = 0;
+
+    if (this.globalData.isLoggedIn && this.globalData.isCloudConnected && this.callNotificationManager) {
+      try {
+        const result = await this.callNotificationManager('countUnread', {
+          userPhone: this.globalData.userInfo.phone
+        });
+        if (result.success) {
+          unreadCount = result.data.unreadCount;
+        }
+      } catch (error) {
+        console.error('获取未读消息数量失败:', error);
+        unreadCount = this.globalData.unreadMessageCount;
+      }
+    }
+
+    this.setUnreadBadge(unreadCount);
+    return unreadCount;
+  },
+
+  // 设置用户中心 tab 的未读角标（非 tab 页面调用会失败，忽略即可）
+  setUnreadBadge(unreadCount) {
+    this.globalData.unreadMessageCount = unreadCount;
+
+    if (unreadCount > 0) {
+      wx.setTabBarBadge({
+        index: MEMBER_TAB_INDEX,
+        text: unreadCount > 99 ? '99+' : String(unreadCount),
+        fail: () => {}
+      });
+    } else {
+      wx.removeTabBarBadge({
+        index: MEMBER_TAB_INDEX,
+        fail: () => {}
+      });
+    }
+  },
+
   // 初始化本地数据
   initLocalData() {
     // 初始化店铺状态
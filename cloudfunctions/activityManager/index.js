@@ -1,13 +1,50 @@
 // 云函数：活动管理
 // cloudfunctions/activityManager/index.js
 
+const crypto = require('crypto');
 const cloud = require('wx-server-sdk');
 const { getDatabaseManager } = require('../../utils/database');
+const { getBoard, listBoards, dealRoles, ROLES } = require('../../utils/boards');
+const { generateSecret, getCurrentCode, verifyCode } = require('../../utils/checkinCode');
+const activityConfig = require('../../config/activity');
+const { formatDate, addDays, normalizeWeekdays, validateRule, getOccurrenceDates } = require('../../utils/recurrence');
+const {
+  ENROLLMENT_STATUSES,
+  assertTransition,
+  getEnrollmentStatus,
+  getScheduledTransition
+} = require('../../utils/activityLifecycle');
+const { enqueueNotification } = require('../../utils/notifications');
+const { buildCalendar } = require('../../utils/icalendar');
+const { getBookingRange, rangesOverlap } = require('../../utils/rooms');
+const { isCoveredBySlots } = require('../../utils/gameMasters');
+const { isActivityHost, canModerateActivity, getActivityHostPhone } = require('../../utils/activityPermissions');
+const { shuffleSeats: allocateShuffledSeats, sortBySeat, formatSeat } = require('../../utils/seats');
+const { parseGuestNames, normalizeGuestNames, getHeadcount } = require('../../utils/guests');
+const { filterSensitiveWords } = require('../../utils/sensitiveWords');
+const {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_NAMES,
+  validateReview,
+  getReviewDeadline,
+  summarizeRatings
+} = require('../../utils/reviews');
+const notificationConfig = require('../../config/notification');
 
 cloud.init({
   env: cloud.DYNAMIC_CURRENT_ENV
 });
 
+// 搜索每页条数
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+// 讨论区通知中留言摘要的最大字数
+const COMMENT_EXCERPT_LENGTH = 30;
+
+// 系列中仍可被修改或取消的状态（已开始、已结束、已取消的活动保持不变）
+const MUTABLE_OCCURRENCE_STATUSES = ['planning', 'open', 'full'];
+
 exports.main = async (event, context) => {
   const { action, data } = event;
   const dbManager = getDatabaseManager();
@@ -23,18 +60,108 @@ exports.main = async (event, context) => {
       return await getActivities(data, dbManager);
     case 'getActivityDetail':
       return await getActivityDetail(data, dbManager);
+    case 'searchActivities':
+      return await searchActivities(data, dbManager);
     case 'createActivity':
       return await createActivity(data, dbManager);
     case 'updateActivity':
       return await updateActivity(data, dbManager);
     case 'deleteActivity':
       return await deleteActivity(data, dbManager);
+    case 'cancelActivity':
+      return await cancelActivity(data, dbManager);
     case 'joinActivity':
       return await joinActivity(data, dbManager);
     case 'leaveActivity':
       return await leaveActivity(data, dbManager);
+    case 'releaseGuestSeat':
+      return await releaseGuestSeat(data, dbManager);
     case 'getParticipants':
       return await getParticipants(data, dbManager);
+    case 'joinWaitlist':
+      return await joinWaitlist(data, dbManager);
+    case 'leaveWaitlist':
+      return await leaveWaitlist(data, dbManager);
+    case 'getWaitlist':
+      return await getWaitlist(data, dbManager);
+    case 'getMyWaitlist':
+      return await getMyWaitlist(data, dbManager);
+    case 'createSeries':
+      return await createSeries(data, dbManager);
+    case 'updateSeries':
+      return await updateSeries(data, dbManager);
+    case 'cancelSeries':
+      return await cancelSeries(data, dbManager);
+    case 'getSeriesList':
+      return await getSeriesList(data, dbManager);
+    case 'getSeriesDetail':
+      return await getSeriesDetail(data, dbManager);
+    case 'generateSeriesActivities':
+      return await generateSeriesActivities(data, dbManager);
+    case 'getBoards':
+      return await getBoards();
+    case 'assignRoles':
+      return await assignRoles(data, dbManager);
+    case 'getRoleAssignment':
+      return await getRoleAssignment(data, dbManager);
+    case 'shuffleSeats':
+      return await shuffleSeats(data, dbManager);
+    case 'swapSeats':
+      return await swapSeats(data, dbManager);
+    case 'getCheckinCode':
+      return await getCheckinCode(data, dbManager);
+    case 'getMemberCheckinCode':
+      return await getMemberCheckinCode(data, dbManager);
+    case 'checkIn':
+      return await checkIn(data, dbManager);
+    case 'hostCheckIn':
+      return await hostCheckIn(data, dbManager);
+    case 'getAttendance':
+      return await getAttendance(data, dbManager);
+    case 'markNoShows':
+      return await markNoShows(data, dbManager);
+    case 'advanceActivities':
+      return await advanceActivities(data, dbManager);
+    case 'repairPlayerCounts':
+      return await repairPlayerCounts(data, dbManager);
+    case 'sendActivityReminders':
+      return await sendActivityReminders(data, dbManager);
+    case 'exportCalendar':
+      return await exportCalendar(data, dbManager);
+    case 'publishStoreCalendar':
+      return await publishStoreCalendar(data, dbManager);
+    case 'assignGameMaster':
+      return await assignGameMaster(data, dbManager);
+    case 'getGameMasterSchedule':
+      return await getGameMasterSchedule(data, dbManager);
+    case 'getComments':
+      return await getComments(data, dbManager);
+    case 'getCommentReplies':
+      return await getCommentReplies(data, dbManager);
+    case 'postComment':
+      return await postComment(data, dbManager);
+    case 'pinComment':
+      return await pinComment(data, dbManager);
+    case 'deleteComment':
+      return await deleteComment(data, dbManager);
+    case 'getAlbum':
+      return await getAlbum(data, dbManager);
+    case 'addPhotos':
+      return await addPhotos(data, dbManager);
+    case 'deletePhoto':
+      return await deletePhoto(data, dbManager);
+    case 'setAlbumCover':
+      return await setAlbumCover(data, dbManager);
+    case 'submitReview':
+      return await submitReview(data, dbManager);
+    case 'getActivityReviews':
+      return await getActivityReviews(data, dbManager);
+    case 'getHostProfile':
+      return await getHostProfile(data, dbManager);
+    case 'getReviewQueue':
+      return await getReviewQueue(data, dbManager);
+    case 'moderateReview':
+      return await moderateReview(data, dbManager);
     default:
       throw new Error('未知操作');
     }
@@ -55,22 +182,12 @@ async function getActivities(data, dbManager) {
     ...filters,
     limit
   });
-
-  // 获取每个活动的参与者数量
-  const activitiesWithStats = await Promise.all(
-    activities.map(async (activity) => {
-      const participants = await dbManager.getActivityParticipants(activity.id);
-      return {
-        ...activity,
-        currentPlayers: participants.length,
-        participantList: participants
-      };
-    })
-  );
+  const gameMasterNames = await getGameMasterNames(dbManager);
+  const participantsByActivity = await dbManager.getParticipantsByActivity(activities.map(activity => activity.id));
 
   return {
     success: true,
-    data: activitiesWithStats.map(activity => ({
+    data: activities.map(activity => ({
       id: activity.id,
       title: activity.title,
       description: activity.description,
@@ -78,13 +195,20 @@ async function getActivities(data, dbManager) {
       time: activity.time,
       location: activity.location,
       maxPlayers: activity.max_players,
-      currentPlayers: activity.current_players,
+      // 按报名记录计算（含同行朋友），不依赖可能过期的 current_players 字段
+      currentPlayers: Number(activity.participant_count),
       minPlayers: activity.min_players,
       price: parseFloat(activity.price),
       status: activity.status,
+      boardKey: activity.board_key,
+      boardName: getBoardName(activity.board_key),
+      roomId: activity.room_id,
+      durationMinutes: activity.duration_minutes || activityConfig.booking.defaultDurationMinutes,
+      gameMaster: formatGameMaster(activity.game_master_phone, gameMasterNames),
       createdBy: activity.created_by,
+      creator: activity.creator_name !== null ? { phone: activity.created_by, name: activity.creator_name } : null,
       createdAt: activity.created_at,
-      participants: activity.participantList.map(p => ({
+      participants: participantsByActivity.get(activity.id).map(p => ({
         phone: p.phone,
         name: p.name,
         avatarUrl: p.avatar_url,
@@ -94,9 +218,103 @@ async function getActivities(data, dbManager) {
   };
 }
 
+// 搜索活动：关键字、日期区间、状态、价格区间、是否有空位，基于游标分页
+async function searchActivities(data, dbManager) {
+  const {
+    keyword,
+    dateFrom,
+    dateTo,
+    status,
+    priceMin,
+    priceMax,
+    hasFreeSeats,
+    gameMasterPhone,
+    cursor,
+    limit
+  } = data || {};
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+
+  // 未指定状态时不返回已取消的活动
+  let statuses = Array.isArray(status) ? status : [status].filter(Boolean);
+  if (statuses.length === 0) {
+    statuses = ['planning', 'open', 'full', 'in_progress', 'completed'];
+  }
+
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw new Error('开始日期不能晚于结束日期');
+  }
+
+  if (priceMin !== undefined && priceMax !== undefined && Number(priceMin) > Number(priceMax)) {
+    throw new Error('最低价格不能高于最高价格');
+  }
+
+  // 多查一条用于判断是否还有下一页
+  const rows = await dbManager.searchActivities({
+    keyword: keyword ? String(keyword).trim() : '',
+    dateFrom,
+    dateTo,
+    statuses,
+    priceMin: priceMin !== undefined && priceMin !== '' ? Number(priceMin) : undefined,
+    priceMax: priceMax !== undefined && priceMax !== '' ? Number(priceMax) : undefined,
+    hasFreeSeats: !!hasFreeSeats,
+    gameMasterPhone: gameMasterPhone || null,
+    cursor: cursor ? decodeSearchCursor(cursor) : null,
+    limit: pageSize + 1
+  });
+
+  const hasMore = rows.length > pageSize;
+  const list = rows.slice(0, pageSize);
+  const gameMasterNames = await getGameMasterNames(dbManager);
+
+  return {
+    success: true,
+    data: {
+      list: list.map(activity => ({
+        id: activity.id,
+        title: activity.title,
+        description: activity.description,
+        date: formatDate(activity.date),
+        time: activity.time,
+        location: activity.location,
+        maxPlayers: activity.max_players,
+        currentPlayers: Number(activity.participant_count),
+        minPlayers: activity.min_players,
+        price: parseFloat(activity.price),
+        status: activity.status,
+        boardKey: activity.board_key,
+        boardName: getBoardName(activity.board_key),
+        roomId: activity.room_id,
+        durationMinutes: activity.duration_minutes || activityConfig.booking.defaultDurationMinutes,
+        gameMaster: formatGameMaster(activity.game_master_phone, gameMasterNames)
+      })),
+      hasMore,
+      nextCursor: hasMore ? encodeSearchCursor(list[list.length - 1]) : null
+    }
+  };
+}
+
+// 分页游标：上一页最后一条活动的排序键，Base64 编码后交给前端原样回传
+function encodeSearchCursor(activity) {
+  const key = { date: formatDate(activity.date), time: activity.time, id: activity.id };
+  return Buffer.from(JSON.stringify(key)).toString('base64');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (!key.date || !key.time || !Number.isInteger(key.id)) {
+      throw new Error('invalid cursor');
+    }
+    return key;
+  } catch (error) {
+    throw new Error('无效的分页游标');
+  }
+}
+
 // 获取活动详情
 async function getActivityDetail(data, dbManager) {
-  const { activityId } = data;
+  const { activityId, userPhone } = data;
 
   if (!activityId) {
     throw new Error('活动ID不能为空');
@@ -108,6 +326,15 @@ async function getActivityDetail(data, dbManager) {
   }
 
   const participants = await dbManager.getActivityParticipants(activityId);
+  const waitlist = await dbManager.getActivityWaitlist(activityId);
+  const waitlistPosition = userPhone
+    ? await dbManager.getWaitlistPosition(activityId, userPhone)
+    : null;
+  const room = activity.room_id ? await dbManager.getRoom(activity.room_id) : null;
+  const gameMaster = activity.game_master_phone ? await dbManager.getGameMaster(activity.game_master_phone) : null;
+  const hostPhone = getActivityHostPhone(activity);
+  const host = hostPhone ? await dbManager.getUser(hostPhone) : null;
+  const roleAssignment = await dbManager.getLatestRoleAssignmentInfo(activityId);
 
   return {
     success: true,
@@ -119,19 +346,29 @@ async function getActivityDetail(data, dbManager) {
       time: activity.time,
       location: activity.location,
       maxPlayers: activity.max_players,
-      currentPlayers: participants.length,
+      currentPlayers: getHeadcount(participants),
       minPlayers: activity.min_players,
       price: parseFloat(activity.price),
       status: activity.status,
+      boardKey: activity.board_key,
+      boardName: getBoardName(activity.board_key),
+      roomId: activity.room_id,
+      room: room ? { id: room.id, name: room.name, type: room.type } : null,
+      durationMinutes: activity.duration_minutes || activityConfig.booking.defaultDurationMinutes,
+      gameMaster: gameMaster ? { phone: gameMaster.phone, name: gameMaster.name, bio: gameMaster.bio || '' } : null,
+      cancelReason: activity.cancel_reason,
       createdBy: activity.created_by,
+      host: host ? { phone: host.phone, name: host.name } : null,
       createdAt: activity.created_at,
-      participants: participants.map(p => ({
-        phone: p.phone,
-        name: p.name,
-        avatarUrl: p.avatar_url,
-        joinTime: p.join_time,
-        paymentStatus: p.payment_status
-      }))
+      participants: sortBySeat(participants).map(formatParticipant),
+      seatMap: buildSeatMap(activity, participants),
+      waitlistCount: waitlist.length,
+      waitlistPosition,
+      // 只返回是否已发牌，身份需通过 getRoleAssignment 按权限获取
+      rolesDealtAt: roleAssignment ? roleAssignment.created_at : null,
+      commentCount: await dbManager.countActivityComments(activityId),
+      album: await getAlbumSummary(activityId, dbManager),
+      reviews: activity.status === 'completed' ? await buildActivityReviews(activity, userPhone, dbManager) : null
     }
   };
 }
@@ -145,18 +382,42 @@ async function createActivity(data, dbManager) {
     throw new Error('活动标题、日期和时间为必填项');
   }
 
-  const activityId = await dbManager.insert('activities', {
+  if (formatDate(activityData.date) < formatDate(new Date())) {
+    throw new Error('活动日期不能早于今天');
+  }
+
+  const maxPlayers = activityData.maxPlayers || 8;
+  const fields = {
     title: activityData.title,
     description: activityData.description || '',
     date: activityData.date,
     time: activityData.time,
     location: activityData.location || '',
-    max_players: activityData.maxPlayers || 8,
+    max_players: maxPlayers,
     current_players: 0,
-    min_players: activityData.minPlayers || 6,
+    min_players: activityData.minPlayers || Math.min(6, maxPlayers),
     price: activityData.price || 0.00,
     status: 'planning',
+    series_id: activityData.seriesId || null,
+    board_key: activityData.boardKey || null,
+    room_id: activityData.roomId || null,
+    duration_minutes: activityData.durationMinutes || null,
     created_by: activityData.createdBy
+  };
+
+  validateActivityFields(fields);
+
+  if (activityData.boardKey) {
+    checkBoardFitsActivity(activityData.boardKey, maxPlayers);
+  }
+
+  // 预订房间时在事务中锁定房间，检查时段冲突后再写入，避免并发创建重复预订
+  const activityId = await dbManager.transaction(async (tx) => {
+    if (fields.room_id) {
+      const room = await assertRoomAvailable(fields, tx);
+      fields.location = fields.location || room.name;
+    }
+    return await tx.insert('activities', fields);
   });
 
   return {
@@ -168,14 +429,122 @@ async function createActivity(data, dbManager) {
   };
 }
 
-// 更新活动
+// 校验活动人数与价格（使用数据库字段名）
+function validateActivityFields(fields) {
+  const maxPlayers = Number(fields.max_players);
+  const minPlayers = Number(fields.min_players);
+  const price = Number(fields.price);
+
+  if (!Number.isInteger(maxPlayers) || maxPlayers < 4 || maxPlayers > 20) {
+    throw new Error('人数上限需在4-20人之间');
+  }
+
+  if (!Number.isInteger(minPlayers) || minPlayers < 1) {
+    throw new Error('请输入有效的最少开局人数');
+  }
+
+  if (minPlayers > maxPlayers) {
+    throw new Error('最少开局人数不能超过人数上限');
+  }
+
+  if (Number.isNaN(price) || price < 0) {
+    throw new Error('活动价格不能为负数');
+  }
+
+  if (fields.duration_minutes !== null && fields.duration_minutes !== undefined) {
+    const duration = Number(fields.duration_minutes);
+    const { minDurationMinutes, maxDurationMinutes } = activityConfig.booking;
+    if (!Number.isInteger(duration) || duration < minDurationMinutes || duration > maxDurationMinutes) {
+      throw new Error(`活动时长需在${minDurationMinutes}-${maxDurationMinutes}分钟之间`);
+    }
+  }
+}
+
+// 校验房间可预订：房间启用、容纳人数足够、时段内没有其他未取消的活动（需在事务中调用以锁定房间）
+async function assertRoomAvailable(activity, dbManager) {
+  const room = await dbManager.lockRoom(activity.room_id);
+  if (!room || room.status !== 'active') {
+    throw new Error('房间不存在或已停用');
+  }
+
+  if (Number(activity.max_players) > room.capacity) {
+    throw new Error(`「${room.name}」最多容纳${room.capacity}人`);
+  }
+
+  const { defaultDurationMinutes } = activityConfig.booking;
+  const range = getBookingRange(activity.date, activity.time, activity.duration_minutes || defaultDurationMinutes);
+  const conflicts = await dbManager.findRoomConflicts(room.id, range, activity.id, defaultDurationMinutes);
+
+  if (conflicts.length > 0) {
+    const other = conflicts[0];
+    const otherRange = getBookingRange(other.date, other.time, other.duration_minutes || defaultDurationMinutes);
+    throw new Error(`「${room.name}」${otherRange.start.slice(5, 16)}至${otherRange.end.slice(11, 16)}已被「${other.title}」预订`);
+  }
+
+  return room;
+}
+
+// 校验法官可以主持：法官启用、时段内没有主持其他未取消的活动（需在事务中调用以锁定法官）
+async function assertGameMasterAvailable(activity, dbManager) {
+  const gameMaster = await dbManager.lockGameMaster(activity.game_master_phone);
+  if (!gameMaster || gameMaster.status !== 'active') {
+    throw new Error('法官不存在或已停用');
+  }
+
+  const { defaultDurationMinutes } = activityConfig.booking;
+  const range = getBookingRange(activity.date, activity.time, activity.duration_minutes || defaultDurationMinutes);
+  const conflicts = await dbManager.findGameMasterConflicts(gameMaster.phone, range, activity.id, defaultDurationMinutes);
+
+  if (conflicts.length > 0) {
+    const other = conflicts[0];
+    const otherRange = getBookingRange(other.date, other.time, other.duration_minutes || defaultDurationMinutes);
+    throw new Error(`法官「${gameMaster.name}」${otherRange.start.slice(5, 16)}至${otherRange.end.slice(11, 16)}已主持「${other.title}」`);
+  }
+
+  return gameMaster;
+}
+
+// 更新活动（仅主持人或管理员）
 async function updateActivity(data, dbManager) {
-  const { activityId, updates } = data;
+  const { activityId, userPhone, updates } = data;
 
-  if (!activityId) {
-    throw new Error('活动ID不能为空');
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  await assertHostOrAdmin(activity, userPhone, dbManager, '只有主持人或管理员可以修改活动');
+
+  await applyActivityUpdates(activity, updates, dbManager);
+
+  return {
+    success: true,
+    data: {
+      message: '活动更新成功'
+    }
+  };
+}
+
+// 校验调用者是活动（或系列活动）的创建者或管理员
+async function assertHostOrAdmin(record, userPhone, dbManager, message) {
+  if (isActivityHost(record, userPhone)) {
+    return;
   }
 
+  const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [userPhone]);
+  if (!admin) {
+    throw new Error(message);
+  }
+}
+
+// 写入活动修改：校验字段、房间预订和法官排班，并按新的人数上下限或指定状态推进活动状态
+async function applyActivityUpdates(activity, updates, dbManager) {
+  const activityId = activity.id;
+
   const updateData = {};
   if (updates.title) updateData.title = updates.title;
   if (updates.description !== undefined) updateData.description = updates.description;
@@ -185,16 +554,47 @@ async function updateActivity(data, dbManager) {
   if (updates.maxPlayers) updateData.max_players = updates.maxPlayers;
   if (updates.minPlayers) updateData.min_players = updates.minPlayers;
   if (updates.price !== undefined) updateData.price = updates.price;
-  if (updates.status) updateData.status = updates.status;
+  if (updates.roomId !== undefined) updateData.room_id = updates.roomId || null;
+  if (updates.durationMinutes !== undefined) updateData.duration_minutes = updates.durationMinutes || null;
 
-  await dbManager.update('activities', updateData, 'id = ?', [activityId]);
+  validateActivityFields({ ...activity, ...updateData });
 
-  return {
-    success: true,
-    data: {
-      message: '活动更新成功'
+  const headcount = getHeadcount(await dbManager.getActivityParticipants(activityId));
+  if (updateData.max_players && updateData.max_players < headcount) {
+    throw new Error(`已有${headcount}人报名，人数上限不能低于已报名人数`);
+  }
+
+  if (updates.boardKey !== undefined) {
+    if (updates.boardKey) {
+      checkBoardFitsActivity(updates.boardKey, updates.maxPlayers || activity.max_players);
     }
-  };
+    updateData.board_key = updates.boardKey || null;
+  }
+
+  // 房间、时间或人数变化时重新检查房间预订；时间变化时重新检查法官排班
+  const updated = { ...activity, ...updateData };
+  const timeChanged = ['date', 'time', 'duration_minutes'].some(key => updateData[key] !== undefined);
+  const bookingChanged = updated.room_id &&
+    (timeChanged || ['room_id', 'max_players'].some(key => updateData[key] !== undefined));
+
+  if (Object.keys(updateData).length > 0) {
+    await dbManager.transaction(async (tx) => {
+      if (bookingChanged) {
+        await assertRoomAvailable(updated, tx);
+      }
+      if (updated.game_master_phone && timeChanged) {
+        await assertGameMasterAvailable(updated, tx);
+      }
+      await tx.update('activities', updateData, 'id = ?', [activityId]);
+    });
+  }
+
+  // 状态变更必须经过状态机；未指定状态时按新的人数上下限同步报名阶段状态
+  if (updates.status) {
+    await transitionActivity(updated, updates.status, dbManager, { reason: updates.cancelReason });
+  } else {
+    await syncEnrollmentStatus(updated, dbManager);
+  }
 }
 
 // 删除活动
@@ -211,7 +611,12 @@ async function deleteActivity(data, dbManager) {
     throw new Error('活动不存在');
   }
 
-  // 删除活动（级联删除参与者记录）
+  // 有过报名记录的活动需走取消流程（退款、通知并保留记录），不能直接删除
+  const participants = await dbManager.getActivityParticipants(activityId);
+  if (participants.length > 0 || activity.join_count > 0) {
+    throw new Error('活动已有人报名过，请使用取消活动');
+  }
+
   await dbManager.delete('activities', 'id = ?', [activityId]);
 
   return {
@@ -222,7 +627,48 @@ async function deleteActivity(data, dbManager) {
   };
 }
 
-// 报名参加活动
+// 取消活动：记录原因，已付费参与者全额退款并通知所有参与者
+async function cancelActivity(data, dbManager) {
+  const { activityId, userPhone, reason } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw new Error('请填写取消原因');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!isActivityHost(activity, userPhone)) {
+    throw new Error('只有主持人可以取消活动');
+  }
+
+  const effects = await transitionActivity(activity, 'cancelled', dbManager, { reason: String(reason).trim() });
+  if (!effects) {
+    throw new Error('活动已取消');
+  }
+
+  const failedRefunds = effects.refunds.filter(refund => refund.error);
+
+  return {
+    success: true,
+    data: {
+      message: failedRefunds.length > 0
+        ? `活动已取消，${failedRefunds.length}笔退款失败，请手动处理`
+        : '活动已取消',
+      refundedCount: effects.refunds.length - failedRefunds.length,
+      failedRefunds,
+      notifiedCount: effects.notifiedCount
+    }
+  };
+}
+
+// 报名参加活动，guestNames 为同行朋友的称呼（每位朋友占用一个名额，付费活动由本人代付）
 async function joinActivity(data, dbManager) {
   const { activityId, userPhone } = data;
 
@@ -230,6 +676,8 @@ async function joinActivity(data, dbManager) {
     throw new Error('活动ID和用户手机号不能为空');
   }
 
+  const guestNames = normalizeGuestNames(data.guestNames);
+
   // 检查活动是否存在
   const activity = await dbManager.getActivity(activityId);
   if (!activity) {
@@ -241,10 +689,15 @@ async function joinActivity(data, dbManager) {
     throw new Error('活动当前无法报名');
   }
 
-  // 检查人数是否已满
+  // 检查人数是否已满（已满时可加入候补队列）
   const participants = await dbManager.getActivityParticipants(activityId);
-  if (participants.length >= activity.max_players) {
-    throw new Error('活动人数已满');
+  const remaining = activity.max_players - getHeadcount(participants);
+  if (remaining <= 0) {
+    throw new Error('活动人数已满，可加入候补队列');
+  }
+
+  if (1 + guestNames.length > remaining) {
+    throw new Error(`仅剩${remaining}个名额，请减少同行朋友`);
   }
 
   // 检查用户是否已经报名
@@ -253,18 +706,15 @@ async function joinActivity(data, dbManager) {
     throw new Error('已经报名参加此活动');
   }
 
-  // 报名参加活动
-  await dbManager.joinActivity(activityId, userPhone);
-
-  // 如果人数达到最少要求，自动更新活动状态为开放
-  if (participants.length + 1 >= activity.min_players && activity.status === 'planning') {
-    await dbManager.update('activities', { status: 'open' }, 'id = ?', [activityId]);
-  }
+  // 报名参加活动（付费活动先从会员余额扣费），并同步报名状态
+  const payment = await addParticipant(activity, userPhone, dbManager, guestNames);
 
   return {
     success: true,
     data: {
-      message: '报名成功'
+      message: guestNames.length > 0 ? `报名成功，已为${guestNames.length}位朋友预留名额` : '报名成功',
+      paidAmount: payment ? payment.amount : 0,
+      newBalance: payment ? payment.newBalance : null
     }
   };
 }
@@ -277,31 +727,153 @@ async function leaveActivity(data, dbManager) {
     throw new Error('活动ID和用户手机号不能为空');
   }
 
-  // 检查是否已报名
-  const participants = await dbManager.getActivityParticipants(activityId);
-  const isJoined = participants.some(p => p.phone === userPhone);
+  // 删除报名记录、更新当前人数并按退款规则退回会员卡余额，在同一事务中完成：
+  // 重复退出只有一次成功，不会重复退款；退款失败时报名记录一并回滚
+  const { activity, refundAmount } = await dbManager.transaction(async (tx) => {
+    const participant = await tx.leaveActivity(activityId, userPhone);
+    const current = await tx.getActivity(activityId);
 
-  if (!isJoined) {
-    throw new Error('未报名参加此活动');
+    let amount = 0;
+    if (participant.payment_status === 'paid') {
+      amount = calculateRefundAmount(current, participant.paid_amount);
+      if (amount > 0) {
+        await tx.creditMemberCard(userPhone, amount, {
+          description: `退出活动「${current.title}」退款`,
+          referenceType: 'activity',
+          referenceId: String(activityId)
+        });
+      }
+    }
+
+    await syncEnrollmentStatus(current, tx);
+    return { activity: current, refundAmount: amount };
+  });
+
+  // 空出名额后，自动递补候补队列第一位（递补成功时在递补的事务中同步报名状态）
+  let promotedPhone = null;
+  if (ENROLLMENT_STATUSES.includes(activity.status)) {
+    promotedPhone = await promoteWaitlist(activity, dbManager);
   }
 
-  // 删除报名记录
-  await dbManager.delete('activity_participants', 'activity_id = ? AND user_phone = ?', [activityId, userPhone]);
+  return {
+    success: true,
+    data: {
+      message: refundAmount > 0 ? `已退出活动，退款${refundAmount}元` : '已退出活动',
+      refundAmount,
+      promotedPhone
+    }
+  };
+}
+
+// 释放一个朋友名额：仅限开局前，付费名额按退款规则退款，空出的名额自动递补候补队列
+async function releaseGuestSeat(data, dbManager) {
+  const { activityId, userPhone } = data;
+  const guestIndex = Number(data.guestIndex);
 
-  // 更新活动当前人数
-  await dbManager.execute(
-    'UPDATE activities SET current_players = current_players - 1 WHERE id = ?',
-    [activityId]
-  );
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!ENROLLMENT_STATUSES.includes(activity.status)) {
+    throw new Error('活动开始后不能释放名额');
+  }
+
+  // 释放名额与退款在同一事务中完成，退款失败时名额不会被释放
+  const { guestName, refundAmount } = await dbManager.transaction(async (tx) => {
+    const { participant, guestName, seatAmount } = await tx.releaseGuestSeat(activityId, userPhone, guestIndex);
+
+    let amount = 0;
+    if (participant.payment_status === 'paid' && seatAmount > 0) {
+      amount = calculateRefundAmount(activity, seatAmount);
+      if (amount > 0) {
+        await tx.creditMemberCard(userPhone, amount, {
+          description: `释放活动「${activity.title}」朋友名额（${guestName}）退款`,
+          referenceType: 'activity',
+          referenceId: String(activityId)
+        });
+      }
+    }
+
+    await syncEnrollmentStatus(activity, tx);
+    return { guestName, refundAmount: amount };
+  });
+
+  const promotedPhone = await promoteWaitlist(activity, dbManager);
 
   return {
     success: true,
     data: {
-      message: '已退出活动'
+      message: refundAmount > 0 ? `已释放${guestName}的名额，退款${refundAmount}元` : `已释放${guestName}的名额`,
+      refundAmount,
+      promotedPhone
     }
   };
 }
 
+// 写入报名记录：付费活动从会员卡余额扣费（本人与朋友的名额一并支付），扣费、报名和报名状态同步在同一事务中完成，
+// 余额不足或名额已满时整体回滚，不会出现扣了费却没有报名记录的情况；返回支付信息，免费活动返回 null
+async function addParticipant(activity, userPhone, dbManager, guestNames = []) {
+  const price = parseFloat(activity.price) || 0;
+  const charge = price > 0
+    ? {
+      amount: Math.round(price * (1 + guestNames.length) * 100) / 100,
+      description: guestNames.length > 0
+        ? `报名活动「${activity.title}」（含${guestNames.length}位朋友）`
+        : `报名活动「${activity.title}」`
+    }
+    : null;
+
+  return await dbManager.transaction(async (tx) => {
+    const payment = await tx.joinActivity(activity.id, userPhone, charge, guestNames);
+
+    // 按报名人数更新活动状态（达到最少人数为报名中，满员为已满员）
+    await syncEnrollmentStatus(activity, tx);
+
+    return payment;
+  });
+}
+
+// 候补递补：按排队顺序为候补者报名（付费活动需扣费成功），报名失败的候补者移出队列并顺延下一位；
+// 报名与报名状态同步在同一事务中完成，递补成功后通知本人
+async function promoteWaitlist(activity, dbManager) {
+  const waitlist = await dbManager.getActivityWaitlist(activity.id);
+  for (const entry of waitlist) {
+    try {
+      // 报名成功时会自动移出候补队列
+      const payment = await addParticipant(activity, entry.phone, dbManager);
+      await notifyParticipant(activity, entry.phone, 'waitlist_promoted', {
+        paymentText: payment ? `报名费${payment.amount}元已从会员卡余额扣除。` : ''
+      }, dbManager);
+      return entry.phone;
+    } catch (error) {
+      console.error(`候补递补失败: ${entry.phone}`, error);
+    }
+
+    // 名额已被占用时停止递补并保留排队；否则视为报名失败（如扣费失败），移出队列后顺延下一位
+    const latest = await dbManager.getActivity(activity.id);
+    if (latest.current_players >= latest.max_players) {
+      break;
+    }
+    await dbManager.leaveWaitlist(activity.id, entry.phone);
+  }
+
+  return null;
+}
+
+// 按退款规则计算退出活动的退款金额（保留两位小数）
+function calculateRefundAmount(activity, paidAmount, now = new Date()) {
+  const amount = parseFloat(paidAmount) || 0;
+  const hoursBeforeStart = (getActivityStartTime(activity) - now) / (60 * 60 * 1000);
+  const tier = activityConfig.refundPolicy.find(item => hoursBeforeStart >= item.hoursBeforeStart);
+
+  return tier ? Math.round(amount * tier.ratio * 100) / 100 : 0;
+}
+
 // 获取活动参与者
 async function getParticipants(data, dbManager) {
   const { activityId } = data;
@@ -310,16 +882,2194 @@ async function getParticipants(data, dbManager) {
     throw new Error('活动ID不能为空');
   }
 
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
   const participants = await dbManager.getActivityParticipants(activityId);
 
   return {
     success: true,
-    data: participants.map(p => ({
-      phone: p.phone,
-      name: p.name,
-      avatarUrl: p.avatar_url,
-      joinTime: p.join_time,
-      paymentStatus: p.payment_status
-    }))
+    data: {
+      participants: sortBySeat(participants).map(formatParticipant),
+      seatMap: buildSeatMap(activity, participants)
+    }
+  };
+}
+
+// 格式化报名记录
+function formatParticipant(p) {
+  return {
+    phone: p.phone,
+    name: p.name,
+    avatarUrl: p.avatar_url,
+    seatNo: p.seat_no,
+    seatName: formatSeat(p.seat_no),
+    guestNames: parseGuestNames(p.guest_names),
+    joinTime: p.join_time,
+    paymentStatus: p.payment_status,
+    paidAmount: parseFloat(p.paid_amount) || 0,
+    attendanceStatus: p.attendance_status,
+    checkedInAt: p.checked_in_at
+  };
+}
+
+// 座位表：1 号位到人数上限号位，空位的玩家为 null
+function buildSeatMap(activity, participants) {
+  const seatCount = Math.max(activity.max_players, ...participants.map(p => p.seat_no || 0));
+  const seats = [];
+  for (let seatNo = 1; seatNo <= seatCount; seatNo++) {
+    const player = participants.find(p => p.seat_no === seatNo);
+    seats.push({
+      seatNo,
+      seatName: formatSeat(seatNo),
+      phone: player ? player.phone : null,
+      name: player ? player.name : null
+    });
+  }
+  return seats;
+}
+
+// 校验开局前可调整座位（仅主持人或法官），返回锁定后的活动（需在事务中调用）
+async function lockActivityForSeating(activityId, userPhone, dbManager) {
+  const activity = await dbManager.lockActivity(activityId);
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以调整座位');
+  }
+
+  if (!ENROLLMENT_STATUSES.includes(activity.status)) {
+    throw new Error('游戏开始后不能调整座位');
+  }
+
+  return activity;
+}
+
+// 随机排座：为当前所有参与者重新分配 1..n 号位
+async function shuffleSeats(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const seats = await dbManager.transaction(async (tx) => {
+    await lockActivityForSeating(activityId, userPhone, tx);
+
+    const participants = await tx.getActivityParticipants(activityId);
+    if (participants.length === 0) {
+      throw new Error('还没有人报名');
+    }
+
+    const shuffled = allocateShuffledSeats(participants.map(p => p.phone), crypto.randomBytes(16).toString('hex'));
+    await tx.setSeats(activityId, shuffled);
+    return shuffled;
+  });
+
+  return {
+    success: true,
+    data: {
+      message: '已随机排座',
+      seats
+    }
   };
 }
+
+// 交换两个座位上的玩家；其中一个为空位时即为换到空位
+async function swapSeats(data, dbManager) {
+  const { activityId, userPhone } = data;
+  const seatA = Number(data.seatA);
+  const seatB = Number(data.seatB);
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  if (!Number.isInteger(seatA) || !Number.isInteger(seatB) || seatA < 1 || seatB < 1 || seatA === seatB) {
+    throw new Error('请选择两个不同的座位');
+  }
+
+  await dbManager.transaction(async (tx) => {
+    const activity = await lockActivityForSeating(activityId, userPhone, tx);
+
+    if (seatA > activity.max_players || seatB > activity.max_players) {
+      throw new Error(`座位号不能超过${activity.max_players}`);
+    }
+
+    const participants = await tx.getActivityParticipants(activityId);
+    const playerA = participants.find(p => p.seat_no === seatA);
+    const playerB = participants.find(p => p.seat_no === seatB);
+
+    if (!playerA && !playerB) {
+      throw new Error('两个座位都没有玩家');
+    }
+
+    const seats = [];
+    if (playerA) seats.push({ phone: playerA.phone, seatNo: seatB });
+    if (playerB) seats.push({ phone: playerB.phone, seatNo: seatA });
+    await tx.setSeats(activityId, seats);
+  });
+
+  return {
+    success: true,
+    data: {
+      message: `${formatSeat(seatA)}与${formatSeat(seatB)}已交换`
+    }
+  };
+}
+
+// 加入候补队列
+async function joinWaitlist(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!ENROLLMENT_STATUSES.includes(activity.status)) {
+    throw new Error('活动当前无法候补');
+  }
+
+  const participants = await dbManager.getActivityParticipants(activityId);
+  if (participants.some(p => p.phone === userPhone)) {
+    throw new Error('已经报名参加此活动');
+  }
+
+  // 仍有空位时无需候补
+  if (getHeadcount(participants) < activity.max_players) {
+    throw new Error('活动尚有空位，请直接报名');
+  }
+
+  const position = await dbManager.joinWaitlist(activityId, userPhone);
+
+  return {
+    success: true,
+    data: {
+      message: `已加入候补，当前排第${position}位`,
+      position
+    }
+  };
+}
+
+// 退出候补队列
+async function leaveWaitlist(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const removed = await dbManager.leaveWaitlist(activityId, userPhone);
+  if (!removed) {
+    throw new Error('不在此活动的候补队列中');
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '已退出候补'
+    }
+  };
+}
+
+// 获取活动候补队列
+async function getWaitlist(data, dbManager) {
+  const { activityId } = data;
+
+  if (!activityId) {
+    throw new Error('活动ID不能为空');
+  }
+
+  const waitlist = await dbManager.getActivityWaitlist(activityId);
+
+  return {
+    success: true,
+    data: waitlist.map((w, index) => ({
+      position: index + 1,
+      phone: w.phone,
+      name: w.name,
+      avatarUrl: w.avatar_url,
+      joinTime: w.join_time
+    }))
+  };
+}
+
+// 获取用户的候补记录（活动列表用于展示排队位置）
+async function getMyWaitlist(data, dbManager) {
+  const { userPhone } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const waitlists = await dbManager.getUserWaitlists(userPhone);
+
+  return {
+    success: true,
+    data: waitlists.map(w => ({
+      activityId: w.activity_id,
+      position: w.position,
+      joinTime: w.join_time
+    }))
+  };
+}
+
+// 根据系列记录构造重复规则
+function buildSeriesRule(series) {
+  return {
+    type: series.recurrence_type,
+    interval: series.recurrence_interval,
+    weekdays: series.weekdays,
+    startDate: formatDate(series.start_date),
+    endDate: formatDate(series.end_date),
+    count: series.occurrence_count
+  };
+}
+
+// 判断是否为可随系列一起修改的未来活动
+function isFutureOccurrence(activity, today) {
+  return formatDate(activity.date) >= today && MUTABLE_OCCURRENCE_STATUSES.includes(activity.status);
+}
+
+// 将前端传入的系列模板字段转换为 updateActivity 使用的字段
+function pickTemplateUpdates(updates) {
+  const templateUpdates = {};
+  ['title', 'description', 'time', 'location', 'maxPlayers', 'minPlayers', 'price', 'boardKey'].forEach(key => {
+    if (updates[key] !== undefined) templateUpdates[key] = updates[key];
+  });
+  return templateUpdates;
+}
+
+function formatSeries(series) {
+  return {
+    id: series.id,
+    title: series.title,
+    description: series.description,
+    time: series.time,
+    location: series.location,
+    maxPlayers: series.max_players,
+    minPlayers: series.min_players,
+    price: parseFloat(series.price),
+    boardKey: series.board_key,
+    boardName: getBoardName(series.board_key),
+    recurrenceType: series.recurrence_type,
+    interval: series.recurrence_interval,
+    weekdays: normalizeWeekdays(series.weekdays),
+    startDate: formatDate(series.start_date),
+    endDate: formatDate(series.end_date),
+    count: series.occurrence_count,
+    generateAheadDays: series.generate_ahead_days,
+    status: series.status,
+    createdBy: series.created_by,
+    createdAt: series.created_at
+  };
+}
+
+// 为系列生成未来一段时间内尚未创建的活动
+async function generateOccurrences(seriesId, dbManager) {
+  const series = await dbManager.getSeries(seriesId);
+  if (!series || series.status !== 'active') {
+    return [];
+  }
+
+  const today = formatDate(new Date());
+  const dates = getOccurrenceDates(buildSeriesRule(series), {
+    fromDate: today,
+    untilDate: addDays(today, series.generate_ahead_days)
+  });
+
+  // 已存在（包括被单独取消）的日期不再重复生成
+  const existingDates = new Set(
+    (await dbManager.getSeriesActivities(seriesId)).map(activity => formatDate(activity.date))
+  );
+
+  const createdIds = [];
+  for (const date of dates) {
+    if (existingDates.has(date)) continue;
+
+    const result = await createActivity({
+      activityData: {
+        title: series.title,
+        description: series.description,
+        date,
+        time: series.time,
+        location: series.location,
+        maxPlayers: series.max_players,
+        minPlayers: series.min_players,
+        price: series.price,
+        boardKey: series.board_key,
+        createdBy: series.created_by,
+        seriesId
+      }
+    }, dbManager);
+
+    createdIds.push(result.data.activityId);
+  }
+
+  return createdIds;
+}
+
+// 创建系列活动
+async function createSeries(data, dbManager) {
+  const { seriesData, userPhone } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  if (!seriesData || !seriesData.title || !seriesData.time || !seriesData.startDate) {
+    throw new Error('系列标题、时间和开始日期为必填项');
+  }
+
+  const rule = {
+    type: seriesData.recurrenceType,
+    interval: parseInt(seriesData.interval) || 1,
+    weekdays: normalizeWeekdays(seriesData.weekdays),
+    startDate: seriesData.startDate,
+    endDate: seriesData.endDate || null,
+    count: seriesData.count ? parseInt(seriesData.count) : null
+  };
+  validateRule(rule);
+
+  if (seriesData.boardKey) {
+    checkBoardFitsActivity(seriesData.boardKey, seriesData.maxPlayers || 8);
+  }
+
+  const seriesId = await dbManager.insert('activity_series', {
+    title: seriesData.title,
+    description: seriesData.description || '',
+    time: seriesData.time,
+    location: seriesData.location || '',
+    max_players: seriesData.maxPlayers || 8,
+    min_players: seriesData.minPlayers || 6,
+    price: seriesData.price || 0.00,
+    board_key: seriesData.boardKey || null,
+    recurrence_type: rule.type,
+    recurrence_interval: rule.interval,
+    weekdays: rule.weekdays.join(','),
+    start_date: rule.startDate,
+    end_date: rule.endDate,
+    occurrence_count: rule.count,
+    generate_ahead_days: seriesData.generateAheadDays || 14,
+    status: 'active',
+    created_by: userPhone
+  });
+
+  const createdIds = await generateOccurrences(seriesId, dbManager);
+
+  return {
+    success: true,
+    data: {
+      message: '系列活动创建成功',
+      seriesId,
+      generatedActivityIds: createdIds
+    }
+  };
+}
+
+// 更新系列活动：同步修改未来的各期活动，已开始或已结束的活动保持不变
+async function updateSeries(data, dbManager) {
+  const { seriesId, userPhone, updates = {} } = data;
+
+  if (!seriesId || !userPhone) {
+    throw new Error('系列ID和用户手机号不能为空');
+  }
+
+  const series = await dbManager.getSeries(seriesId);
+  if (!series) {
+    throw new Error('系列活动不存在');
+  }
+
+  await assertHostOrAdmin(series, userPhone, dbManager, '只有创建者或管理员可以修改系列活动');
+
+  if (series.status !== 'active') {
+    throw new Error('系列活动已取消，无法修改');
+  }
+
+  const seriesUpdate = {};
+  const templateUpdates = pickTemplateUpdates(updates);
+  if (templateUpdates.title) seriesUpdate.title = templateUpdates.title;
+  if (templateUpdates.description !== undefined) seriesUpdate.description = templateUpdates.description;
+  if (templateUpdates.time) seriesUpdate.time = templateUpdates.time;
+  if (templateUpdates.location !== undefined) seriesUpdate.location = templateUpdates.location;
+  if (templateUpdates.maxPlayers) seriesUpdate.max_players = templateUpdates.maxPlayers;
+  if (templateUpdates.minPlayers) seriesUpdate.min_players = templateUpdates.minPlayers;
+  if (templateUpdates.price !== undefined) seriesUpdate.price = templateUpdates.price;
+  if (templateUpdates.boardKey !== undefined) {
+    if (templateUpdates.boardKey) {
+      checkBoardFitsActivity(templateUpdates.boardKey, templateUpdates.maxPlayers || series.max_players);
+    }
+    seriesUpdate.board_key = templateUpdates.boardKey || null;
+  }
+  if (updates.generateAheadDays) seriesUpdate.generate_ahead_days = updates.generateAheadDays;
+
+  // 重复规则变更
+  const ruleKeys = ['recurrenceType', 'interval', 'weekdays', 'startDate', 'endDate', 'count'];
+  const ruleChanged = ruleKeys.some(key => updates[key] !== undefined);
+  let newRule = null;
+
+  if (ruleChanged) {
+    const currentRule = buildSeriesRule(series);
+    newRule = {
+      type: updates.recurrenceType || currentRule.type,
+      interval: updates.interval !== undefined ? parseInt(updates.interval) || 1 : currentRule.interval,
+      weekdays: normalizeWeekdays(updates.weekdays !== undefined ? updates.weekdays : currentRule.weekdays),
+      startDate: updates.startDate || currentRule.startDate,
+      endDate: updates.endDate !== undefined ? updates.endDate || null : currentRule.endDate,
+      count: updates.count !== undefined ? parseInt(updates.count) || null : currentRule.count
+    };
+    validateRule(newRule);
+
+    seriesUpdate.recurrence_type = newRule.type;
+    seriesUpdate.recurrence_interval = newRule.interval;
+    seriesUpdate.weekdays = newRule.weekdays.join(',');
+    seriesUpdate.start_date = newRule.startDate;
+    seriesUpdate.end_date = newRule.endDate;
+    seriesUpdate.occurrence_count = newRule.count;
+  }
+
+  if (Object.keys(seriesUpdate).length === 0) {
+    throw new Error('没有提供要更新的信息');
+  }
+
+  await dbManager.update('activity_series', seriesUpdate, 'id = ?', [seriesId]);
+
+  const today = formatDate(new Date());
+  const futureActivities = (await dbManager.getSeriesActivities(seriesId))
+    .filter(activity => isFutureOccurrence(activity, today));
+
+  let updatedCount = 0;
+  let cancelledCount = 0;
+  const validDates = newRule ? new Set(getOccurrenceDates(newRule, { fromDate: today })) : null;
+
+  for (const activity of futureActivities) {
+    // 新规则下不再包含的日期取消掉
+    if (validDates && !validDates.has(formatDate(activity.date))) {
+      await transitionActivity(activity, 'cancelled', dbManager, { reason: '系列活动时间调整' });
+      cancelledCount++;
+      continue;
+    }
+
+    if (Object.keys(templateUpdates).length > 0) {
+      await applyActivityUpdates(activity, templateUpdates, dbManager);
+      updatedCount++;
+    }
+  }
+
+  const createdIds = await generateOccurrences(seriesId, dbManager);
+
+  return {
+    success: true,
+    data: {
+      message: '系列活动更新成功',
+      updatedCount,
+      cancelledCount,
+      generatedActivityIds: createdIds
+    }
+  };
+}
+
+// 取消系列活动：取消所有未来的各期活动，历史活动保持不变
+async function cancelSeries(data, dbManager) {
+  const { seriesId, userPhone } = data;
+
+  if (!seriesId || !userPhone) {
+    throw new Error('系列ID和用户手机号不能为空');
+  }
+
+  const series = await dbManager.getSeries(seriesId);
+  if (!series) {
+    throw new Error('系列活动不存在');
+  }
+
+  await assertHostOrAdmin(series, userPhone, dbManager, '只有创建者或管理员可以取消系列活动');
+
+  if (series.status === 'cancelled') {
+    throw new Error('系列活动已取消');
+  }
+
+  await dbManager.update('activity_series', { status: 'cancelled' }, 'id = ?', [seriesId]);
+
+  const today = formatDate(new Date());
+  const futureActivities = (await dbManager.getSeriesActivities(seriesId))
+    .filter(activity => isFutureOccurrence(activity, today));
+
+  for (const activity of futureActivities) {
+    await transitionActivity(activity, 'cancelled', dbManager, { reason: '系列活动已取消' });
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '系列活动已取消',
+      cancelledCount: futureActivities.length
+    }
+  };
+}
+
+// 获取系列活动列表
+async function getSeriesList(data, dbManager) {
+  const { status, createdBy } = data || {};
+
+  const seriesList = await dbManager.getSeriesList({ status, createdBy });
+
+  return {
+    success: true,
+    data: seriesList.map(formatSeries)
+  };
+}
+
+// 获取系列活动详情（含各期活动）
+async function getSeriesDetail(data, dbManager) {
+  const { seriesId } = data;
+
+  if (!seriesId) {
+    throw new Error('系列ID不能为空');
+  }
+
+  const series = await dbManager.getSeries(seriesId);
+  if (!series) {
+    throw new Error('系列活动不存在');
+  }
+
+  const activities = await dbManager.getSeriesActivities(seriesId);
+
+  return {
+    success: true,
+    data: {
+      ...formatSeries(series),
+      occurrences: activities.map(activity => ({
+        id: activity.id,
+        date: formatDate(activity.date),
+        time: activity.time,
+        currentPlayers: activity.current_players,
+        maxPlayers: activity.max_players,
+        status: activity.status
+      }))
+    }
+  };
+}
+
+// 为所有进行中的系列提前生成活动（由定时任务调用）
+async function generateSeriesActivities(data, dbManager) {
+  const { seriesId } = data || {};
+
+  const seriesList = seriesId
+    ? [await dbManager.getSeries(seriesId)].filter(Boolean)
+    : await dbManager.getSeriesList({ status: 'active' });
+
+  const results = [];
+  for (const series of seriesList) {
+    try {
+      const createdIds = await generateOccurrences(series.id, dbManager);
+      results.push({ seriesId: series.id, generatedActivityIds: createdIds });
+    } catch (error) {
+      console.error(`系列活动 ${series.id} 生成失败:`, error);
+      results.push({ seriesId: series.id, error: error.message });
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '系列活动生成完成',
+      results
+    }
+  };
+}
+
+// 获取板子名称
+function getBoardName(boardKey) {
+  const board = boardKey ? getBoard(boardKey) : null;
+  return board ? board.name : null;
+}
+
+// 校验板子存在且活动人数上限能容纳板子人数
+function checkBoardFitsActivity(boardKey, maxPlayers) {
+  const board = getBoard(boardKey);
+  if (!board) {
+    throw new Error('板子不存在');
+  }
+
+  if (maxPlayers < board.playerCount) {
+    throw new Error(`${board.name}需要${board.playerCount}人，超过活动人数上限`);
+  }
+
+  return board;
+}
+
+// 获取板子库
+async function getBoards() {
+  return {
+    success: true,
+    data: listBoards()
+  };
+}
+
+// 为活动当前参与者随机发牌（仅主持人）
+async function assignRoles(data, dbManager) {
+  const { activityId, userPhone, boardKey } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以发牌');
+  }
+
+  if (['completed', 'cancelled'].includes(activity.status)) {
+    throw new Error('活动已结束，无法发牌');
+  }
+
+  const board = getBoard(boardKey || activity.board_key);
+  if (!board) {
+    throw new Error('请先为活动选择板子');
+  }
+
+  // 玩家顺序按座位号固定，配合种子即可复核发牌结果
+  const participants = sortBySeat(await dbManager.getActivityParticipants(activityId));
+  if (participants.some(p => !p.seat_no)) {
+    throw new Error('还有玩家未分配座位，请先随机排座');
+  }
+
+  // 朋友没有小程序账号，无法查看自己的身份
+  if (participants.some(p => parseGuestNames(p.guest_names).length > 0)) {
+    throw new Error('有玩家携带朋友报名，朋友无法在线查看身份，请线下发牌');
+  }
+
+  const playerOrder = participants.map(p => p.phone);
+  const seed = crypto.randomBytes(16).toString('hex');
+  const dealt = dealRoles(board, playerOrder, seed)
+    .map((player, index) => ({ ...player, seatNo: participants[index].seat_no }));
+
+  if (boardKey && boardKey !== activity.board_key) {
+    await dbManager.update('activities', { board_key: boardKey }, 'id = ?', [activityId]);
+  }
+
+  const assignmentId = await dbManager.saveRoleAssignment(activityId, {
+    boardKey: board.key,
+    seed,
+    playerOrder,
+    dealtBy: userPhone,
+    players: dealt
+  });
+
+  return {
+    success: true,
+    data: {
+      message: '发牌完成',
+      ...formatRoleAssignment(await dbManager.getLatestRoleAssignment(activityId)),
+      assignmentId
+    }
+  };
+}
+
+// 主持人视角的完整发牌结果
+function formatRoleAssignment(assignment) {
+  const board = getBoard(assignment.board_key);
+
+  return {
+    assignmentId: assignment.id,
+    boardKey: assignment.board_key,
+    boardName: board ? board.name : assignment.board_key,
+    seed: assignment.seed,
+    playerOrder: assignment.player_order,
+    dealtBy: assignment.dealt_by,
+    dealtAt: assignment.created_at,
+    players: sortBySeat(assignment.players).map(p => ({
+      phone: p.user_phone,
+      name: p.name,
+      avatarUrl: p.avatar_url,
+      seatNo: p.seat_no,
+      seatName: formatSeat(p.seat_no),
+      role: p.role,
+      roleName: ROLES[p.role] ? ROLES[p.role].name : p.role,
+      camp: p.camp
+    }))
+  };
+}
+
+// 查看发牌结果：主持人和法官可见全部身份，参与者只能看到自己的身份
+async function getRoleAssignment(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  // 身份只按调用者本人返回，不能仅凭前端传入的手机号（主持人、法官手机号在活动详情中可见）
+  await dbManager.assertUserOpenid(userPhone, cloud.getWXContext().OPENID);
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (canModerateActivity(activity, userPhone)) {
+    const assignment = await dbManager.getLatestRoleAssignment(activityId);
+    if (!assignment) {
+      throw new Error('尚未发牌');
+    }
+
+    return {
+      success: true,
+      data: {
+        view: 'host',
+        ...formatRoleAssignment(assignment)
+      }
+    };
+  }
+
+  // 已退出活动的玩家不能再查看身份
+  const participant = await dbManager.getParticipant(activityId, userPhone);
+  const playerRole = participant ? await dbManager.getPlayerRole(activityId, userPhone) : null;
+  if (!playerRole) {
+    throw new Error('尚未发牌或您未参与本局');
+  }
+
+  return {
+    success: true,
+    data: {
+      view: 'player',
+      assignmentId: playerRole.assignment_id,
+      seatNo: playerRole.seat_no,
+      seatName: formatSeat(playerRole.seat_no),
+      boardKey: playerRole.board_key,
+      boardName: getBoardName(playerRole.board_key),
+      role: playerRole.role,
+      roleName: ROLES[playerRole.role] ? ROLES[playerRole.role].name : playerRole.role,
+      camp: playerRole.camp,
+      dealtAt: playerRole.created_at
+    }
+  };
+}
+
+// 调用交易管理云函数，失败时抛出错误
+async function callTransactionManager(action, data) {
+  const res = await cloud.callFunction({
+    name: 'transactionManager',
+    data: { action, data }
+  });
+
+  if (!res.result.success) {
+    throw new Error(res.result.error);
+  }
+
+  return res.result.data;
+}
+
+// 获取活动开始时间：活动日期和时间按店铺所在时区解释，不依赖云函数运行环境的时区
+function getActivityStartTime(activity) {
+  const offset = activityConfig.calendar.utcOffset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  return new Date(`${formatDate(activity.date)}T${String(activity.time).slice(0, 8)}${offset}`);
+}
+
+// 检查当前是否处于签到时间段内
+function checkCheckinWindow(activity) {
+  if (activity.status === 'cancelled') {
+    throw new Error('活动已取消');
+  }
+
+  const { openBeforeMinutes, graceMinutes } = activityConfig.checkin;
+  const startTime = getActivityStartTime(activity).getTime();
+  const now = Date.now();
+
+  if (now < startTime - openBeforeMinutes * 60 * 1000) {
+    throw new Error(`活动开始前${openBeforeMinutes}分钟开放签到`);
+  }
+
+  if (now > startTime + graceMinutes * 60 * 1000) {
+    throw new Error('签到已截止');
+  }
+}
+
+// 获取活动签到密钥，不存在时生成
+async function ensureCheckinSecret(activity, dbManager) {
+  if (activity.checkin_secret) {
+    return activity.checkin_secret;
+  }
+
+  const secret = generateSecret();
+  await dbManager.update('activities', { checkin_secret: secret }, 'id = ?', [activity.id]);
+  return secret;
+}
+
+// 生成签到小程序码（scene 最长32个字符），失败时返回 null，前端仅展示数字签到码
+async function createCheckinQrCode(scene) {
+  try {
+    const result = await cloud.openapi.wxacode.getUnlimited({
+      scene,
+      page: 'pages/checkin/checkin',
+      checkPath: false
+    });
+    return `data:${result.contentType};base64,${result.buffer.toString('base64')}`;
+  } catch (error) {
+    console.error('生成签到小程序码失败:', error);
+    return null;
+  }
+}
+
+// 主持人获取活动签到码（定时轮换）
+async function getCheckinCode(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以展示签到码');
+  }
+
+  checkCheckinWindow(activity);
+
+  const secret = await ensureCheckinSecret(activity, dbManager);
+  const { codeRotateSeconds } = activityConfig.checkin;
+  const { code, expiresIn } = getCurrentCode(secret, `activity:${activity.id}`, codeRotateSeconds);
+  const scene = `a=${activity.id}&c=${code}`;
+
+  return {
+    success: true,
+    data: {
+      code,
+      scene,
+      qrCode: await createCheckinQrCode(scene),
+      expiresIn,
+      rotateSeconds: codeRotateSeconds
+    }
+  };
+}
+
+// 参与者获取个人签到码，供主持人扫码签到
+async function getMemberCheckinCode(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  const participants = await dbManager.getActivityParticipants(activityId);
+  if (!participants.some(p => p.phone === userPhone)) {
+    throw new Error('未报名参加此活动');
+  }
+
+  checkCheckinWindow(activity);
+
+  const secret = await ensureCheckinSecret(activity, dbManager);
+  const { codeRotateSeconds } = activityConfig.checkin;
+  const { code, expiresIn } = getCurrentCode(secret, `member:${userPhone}`, codeRotateSeconds);
+  const scene = `m=${userPhone}&c=${code}`;
+
+  return {
+    success: true,
+    data: {
+      code,
+      scene,
+      qrCode: await createCheckinQrCode(scene),
+      expiresIn,
+      rotateSeconds: codeRotateSeconds
+    }
+  };
+}
+
+// 标记参与者已签到
+async function markCheckedIn(activity, userPhone, dbManager) {
+  const participants = await dbManager.getActivityParticipants(activity.id);
+  const participant = participants.find(p => p.phone === userPhone);
+
+  if (!participant) {
+    throw new Error('未报名参加此活动');
+  }
+
+  if (participant.attendance_status === 'checked_in') {
+    throw new Error('已签到，无需重复签到');
+  }
+
+  await dbManager.updateAttendance(activity.id, userPhone, 'checked_in');
+
+  return participant;
+}
+
+// 参与者扫描主持人签到码签到
+async function checkIn(data, dbManager) {
+  const { activityId, userPhone, code } = data;
+
+  if (!activityId || !userPhone || !code) {
+    throw new Error('活动ID、用户手机号和签到码不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  checkCheckinWindow(activity);
+
+  const { codeRotateSeconds } = activityConfig.checkin;
+  if (!activity.checkin_secret ||
+      !verifyCode(activity.checkin_secret, `activity:${activity.id}`, code, codeRotateSeconds)) {
+    throw new Error('签到码无效或已过期');
+  }
+
+  await markCheckedIn(activity, userPhone, dbManager);
+
+  return {
+    success: true,
+    data: {
+      message: '签到成功'
+    }
+  };
+}
+
+// 主持人扫描参与者个人签到码签到
+async function hostCheckIn(data, dbManager) {
+  const { activityId, userPhone, memberPhone, code } = data;
+
+  if (!activityId || !userPhone || !memberPhone || !code) {
+    throw new Error('活动ID、主持人、参与者和签到码不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以为他人签到');
+  }
+
+  checkCheckinWindow(activity);
+
+  const { codeRotateSeconds } = activityConfig.checkin;
+  if (!activity.checkin_secret ||
+      !verifyCode(activity.checkin_secret, `member:${memberPhone}`, code, codeRotateSeconds)) {
+    throw new Error('签到码无效或已过期');
+  }
+
+  const participant = await markCheckedIn(activity, memberPhone, dbManager);
+
+  return {
+    success: true,
+    data: {
+      message: `${participant.name} 签到成功`
+    }
+  };
+}
+
+// 主持人查看签到情况
+async function getAttendance(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以查看签到情况');
+  }
+
+  const participants = await dbManager.getActivityParticipants(activityId);
+
+  return {
+    success: true,
+    data: {
+      checkedInCount: participants.filter(p => p.attendance_status === 'checked_in').length,
+      total: participants.length,
+      participants: sortBySeat(participants).map(p => ({
+        phone: p.phone,
+        name: p.name,
+        avatarUrl: p.avatar_url,
+        seatNo: p.seat_no,
+        seatName: formatSeat(p.seat_no),
+        guestNames: parseGuestNames(p.guest_names),
+        attendanceStatus: p.attendance_status,
+        checkedInAt: p.checked_in_at
+      }))
+    }
+  };
+}
+
+// 扣除缺席罚金（走交易管理的 penalty 类型）
+async function chargeNoShowPenalty(activity, userPhone, dbManager) {
+  try {
+    const result = await callTransactionManager('addTransaction', {
+      transactionData: {
+        userPhone,
+        type: 'penalty',
+        amount: activityConfig.noShowPenalty.amount,
+        description: `缺席活动「${activity.title}」`,
+        referenceId: String(activity.id),
+        referenceType: 'activity_no_show'
+      }
+    });
+
+    await dbManager.update('activity_participants', { penalty_transaction_id: result.transactionId },
+      'activity_id = ? AND user_phone = ?', [activity.id, userPhone]);
+
+    return { userPhone, transactionId: result.transactionId };
+  } catch (error) {
+    console.error(`缺席罚金扣除失败: ${userPhone}`, error);
+    return { userPhone, error: error.message };
+  }
+}
+
+// 将超过签到宽限期仍未签到的参与者标记为缺席（由定时任务调用）
+async function markNoShows(data, dbManager) {
+  const { activityId } = data || {};
+  const { graceMinutes } = activityConfig.checkin;
+  const cutoffTime = new Date(Date.now() - graceMinutes * 60 * 1000);
+
+  let activities = await dbManager.getActivitiesWithPendingAttendance(cutoffTime);
+  if (activityId) {
+    activities = activities.filter(activity => activity.id === Number(activityId));
+  }
+
+  const results = [];
+  for (const activity of activities) {
+    const noShowPhones = await dbManager.markPendingAsNoShow(activity.id);
+    const penalties = [];
+
+    if (activityConfig.noShowPenalty.enabled && activityConfig.noShowPenalty.amount > 0) {
+      for (const userPhone of noShowPhones) {
+        penalties.push(await chargeNoShowPenalty(activity, userPhone, dbManager));
+      }
+    }
+
+    results.push({ activityId: activity.id, noShowPhones, penalties });
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '缺席标记完成',
+      results
+    }
+  };
+}
+
+// 构造状态机校验所需的上下文
+function getLifecycleContext(activity, participantCount, now = new Date()) {
+  return {
+    participantCount,
+    startTime: getActivityStartTime(activity),
+    now,
+    ...activityConfig.lifecycle
+  };
+}
+
+// 执行状态转换：校验转换与守卫，更新状态后执行副作用，返回副作用结果（状态未变化时返回 null）
+// 在事务中锁定活动行后重新读取状态和参与者，并发取消（主持人重复提交、定时任务同时自动取消）或退出时只有一方生效，不会重复退款
+// options.reason 为取消原因，仅转为 cancelled 时记录
+async function transitionActivity(activity, toStatus, dbManager, options = {}) {
+  return await dbManager.transaction(async (tx) => {
+    const locked = await tx.lockActivity(activity.id);
+    if (locked.status === toStatus) {
+      return null;
+    }
+
+    const participants = await tx.getActivityParticipants(locked.id);
+    assertTransition(locked, toStatus, getLifecycleContext(locked, getHeadcount(participants)));
+
+    const updateData = { status: toStatus };
+    if (toStatus === 'cancelled') {
+      updateData.cancel_reason = options.reason || null;
+      updateData.cancelled_at = new Date();
+    }
+
+    await tx.update('activities', updateData, 'id = ?', [locked.id]);
+    return await applyTransitionEffects(locked, toStatus, participants, tx, options);
+  });
+}
+
+// 状态转换副作用：开始或取消后不再递补候补；取消时全额退还已付费用并通知所有参与者
+async function applyTransitionEffects(activity, toStatus, participants, dbManager, options = {}) {
+  const effects = { refunds: [], notifiedCount: 0 };
+
+  if (toStatus === 'in_progress' || toStatus === 'cancelled') {
+    await dbManager.clearWaitlist(activity.id);
+  }
+
+  if (toStatus === 'cancelled') {
+    for (const participant of participants) {
+      let refund = null;
+      if (participant.payment_status === 'paid' && parseFloat(participant.paid_amount) > 0) {
+        refund = await refundCancelledParticipant(activity, participant, dbManager);
+        effects.refunds.push(refund);
+      }
+
+      await notifyCancellation(activity, participant.phone, options.reason, refund, dbManager);
+      effects.notifiedCount++;
+    }
+  }
+
+  return effects;
+}
+
+// 活动取消时全额退回会员卡余额（在取消状态的事务中执行），单个失败不影响其他参与者
+async function refundCancelledParticipant(activity, participant, dbManager) {
+  const amount = parseFloat(participant.paid_amount);
+
+  try {
+    await dbManager.creditMemberCard(participant.phone, amount, {
+      description: `活动「${activity.title}」取消退款`,
+      referenceType: 'activity',
+      referenceId: String(activity.id)
+    });
+
+    await dbManager.update('activity_participants', { payment_status: 'refunded' },
+      'activity_id = ? AND user_phone = ?', [activity.id, participant.phone]);
+
+    return { userPhone: participant.phone, amount };
+  } catch (error) {
+    console.error(`活动取消退款失败: ${participant.phone}`, error);
+    return { userPhone: participant.phone, amount, error: error.message };
+  }
+}
+
+// 通知参与者活动已取消
+async function notifyCancellation(activity, userPhone, reason, refund, dbManager) {
+  await notifyParticipant(activity, userPhone, 'activity_cancelled', {
+    reason: reason || '',
+    reasonText: reason ? `原因：${reason}。` : '',
+    refundText: refund && !refund.error ? `已支付的${refund.amount}元已全额退回会员卡余额。` : ''
+  }, dbManager);
+}
+
+// 向活动参与者发送通知，附带活动标题、时间、地点等模板变量；入队失败只记录日志，不影响业务操作
+async function notifyParticipant(activity, userPhone, type, data, dbManager) {
+  try {
+    await enqueueNotification(dbManager, {
+      userPhone,
+      type,
+      data: {
+        activityId: activity.id,
+        activityTitle: activity.title,
+        startTime: `${formatDate(activity.date)} ${String(activity.time).slice(0, 5)}`,
+        location: activity.location || '店内',
+        ...data
+      },
+      referenceType: 'activity',
+      referenceId: activity.id
+    });
+  } catch (error) {
+    console.error(`通知入队失败: ${type} ${userPhone}`, error);
+  }
+}
+
+// 报名人数变化后同步 planning / open / full 状态
+// 锁定活动行后按最新的状态和报名记录计算；传入事务管理器时在报名变更的同一事务中完成，避免并发报名、退出时写入过期状态
+async function syncEnrollmentStatus(activity, dbManager) {
+  return await dbManager.transaction(async (tx) => {
+    const current = await tx.lockActivity(activity.id);
+    if (!ENROLLMENT_STATUSES.includes(current.status)) {
+      return current.status;
+    }
+
+    const participants = await tx.getActivityParticipants(current.id);
+    const status = getEnrollmentStatus(current, getHeadcount(participants));
+
+    if (status !== current.status) {
+      await tx.update('activities', { status }, 'id = ?', [current.id]);
+    }
+
+    return status;
+  });
+}
+
+// 按日期时间自动推进活动状态（由定时任务调用）
+async function advanceActivities(data, dbManager) {
+  const now = new Date();
+  const { minPlayersDeadlineHours } = activityConfig.lifecycle;
+  const untilDate = formatDate(new Date(now.getTime() + minPlayersDeadlineHours * 60 * 60 * 1000));
+
+  const activities = await dbManager.getActivitiesByStatus([...ENROLLMENT_STATUSES, 'in_progress'], untilDate);
+
+  const results = [];
+  for (const activity of activities) {
+    const context = getLifecycleContext(activity, Number(activity.participant_count), now);
+    const toStatus = getScheduledTransition(activity, context);
+
+    if (!toStatus) continue;
+
+    // 截止时仍未达到最少人数而自动取消时记录原因
+    const reason = toStatus === 'cancelled' ? `报名人数未达到最少${activity.min_players}人，活动自动取消` : null;
+
+    try {
+      await transitionActivity(activity, toStatus, dbManager, { reason });
+      results.push({ activityId: activity.id, from: activity.status, to: toStatus });
+    } catch (error) {
+      console.error(`活动状态推进失败: ${activity.id}`, error);
+      results.push({ activityId: activity.id, from: activity.status, to: toStatus, error: error.message });
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '活动状态推进完成',
+      results
+    }
+  };
+}
+
+// 按报名记录校正活动当前人数（可指定活动，也由定时任务定期执行）
+async function repairPlayerCounts(data, dbManager) {
+  const { activityId } = data || {};
+  const repairedCount = await dbManager.repairCurrentPlayers(activityId);
+
+  return {
+    success: true,
+    data: {
+      message: `已校正${repairedCount}个活动的报名人数`,
+      repairedCount
+    }
+  };
+}
+
+// 向即将开始的活动参与者发送开始提醒（由定时任务调用），每个活动只提醒一次
+async function sendActivityReminders(data, dbManager) {
+  const now = new Date();
+  const until = new Date(now.getTime() + notificationConfig.reminderBeforeMinutes * 60 * 1000);
+  const activities = await dbManager.getActivitiesToRemind(now, until);
+
+  const results = [];
+  for (const activity of activities) {
+    // 先占用提醒标记，避免定时任务重叠执行时重复提醒
+    const claimed = await dbManager.update('activities', { reminder_sent_at: now },
+      'id = ? AND reminder_sent_at IS NULL', [activity.id]);
+    if (!claimed) continue;
+
+    const participants = await dbManager.getActivityParticipants(activity.id);
+    for (const participant of participants) {
+      await notifyParticipant(activity, participant.phone, 'activity_reminder', {}, dbManager);
+    }
+
+    results.push({ activityId: activity.id, notifiedCount: participants.length });
+  }
+
+  return {
+    success: true,
+    data: {
+      message: '开始提醒发送完成',
+      results
+    }
+  };
+}
+
+// 生成日历文本：scope 为 mine 时导出会员报名的活动，为 store 时导出店铺活动安排
+async function renderCalendar(scope, userPhone, dbManager) {
+  const { calendar } = activityConfig;
+  const fromDate = addDays(formatDate(new Date()), -calendar.pastDays);
+  const activities = await dbManager.getCalendarActivities(fromDate, scope === 'mine' ? userPhone : null);
+
+  const ics = buildCalendar(activities, {
+    calendarName: scope === 'mine' ? `${calendar.name} · 我的活动` : calendar.name,
+    productId: calendar.productId,
+    timezone: calendar.timezone,
+    utcOffset: calendar.utcOffset,
+    durationMinutes: activityConfig.booking.defaultDurationMinutes,
+    uidDomain: calendar.uidDomain
+  });
+
+  return { ics, eventCount: activities.length };
+}
+
+// 上传日历文件到云存储，返回下载地址
+async function uploadCalendarFile(cloudPath, ics) {
+  const { fileID } = await cloud.uploadFile({
+    cloudPath,
+    fileContent: Buffer.from(ics, 'utf8')
+  });
+  const { fileList } = await cloud.getTempFileURL({ fileList: [fileID] });
+
+  return { fileID, downloadUrl: fileList[0] ? fileList[0].tempFileURL : null };
+}
+
+// 导出 iCalendar 日历；upload 为 true 时同时上传到云存储并返回下载地址
+async function exportCalendar(data, dbManager) {
+  const { scope = 'mine', userPhone, upload = false } = data;
+
+  if (!['mine', 'store'].includes(scope)) {
+    throw new Error('不支持的日历范围');
+  }
+  if (scope === 'mine' && !userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const { ics, eventCount } = await renderCalendar(scope, userPhone, dbManager);
+  const result = {
+    ics,
+    eventCount,
+    fileName: scope === 'mine' ? 'my-activities.ics' : 'store-activities.ics'
+  };
+
+  if (upload) {
+    // 会员日历路径使用手机号摘要，避免在链接中暴露手机号
+    const cloudPath = scope === 'mine'
+      ? `calendars/members/${crypto.createHash('sha256').update(String(userPhone)).digest('hex').slice(0, 32)}.ics`
+      : activityConfig.calendar.storeFilePath;
+    Object.assign(result, await uploadCalendarFile(cloudPath, ics));
+  }
+
+  return {
+    success: true,
+    data: result
+  };
+}
+
+// 刷新云存储中的店铺公开日历（由定时任务调用），固定路径的文件可作为日历订阅地址
+async function publishStoreCalendar(data, dbManager) {
+  const { ics, eventCount } = await renderCalendar('store', null, dbManager);
+  const file = await uploadCalendarFile(activityConfig.calendar.storeFilePath, ics);
+
+  return {
+    success: true,
+    data: {
+      message: '店铺日历已更新',
+      eventCount,
+      ...file
+    }
+  };
+}
+
+// 为活动安排法官（仅管理员），gameMasterPhone 为空时取消安排；同一法官不能在重叠时段主持两场活动
+async function assignGameMaster(data, dbManager) {
+  const { activityId, gameMasterPhone, operatorPhone } = data;
+
+  if (!activityId || !operatorPhone) {
+    throw new Error('活动ID和操作人不能为空');
+  }
+
+  const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [operatorPhone]);
+  if (!admin) {
+    throw new Error('只有管理员可以安排法官');
+  }
+
+  const { activity, gameMaster } = await dbManager.transaction(async (tx) => {
+    const locked = await tx.lockActivity(activityId);
+    if (!MUTABLE_OCCURRENCE_STATUSES.includes(locked.status)) {
+      throw new Error('活动已开始、已结束或已取消，不能调整法官');
+    }
+
+    const target = { ...locked, game_master_phone: gameMasterPhone || null };
+    const assigned = target.game_master_phone ? await assertGameMasterAvailable(target, tx) : null;
+    await tx.update('activities', { game_master_phone: target.game_master_phone }, 'id = ?', [activityId]);
+
+    return { activity: locked, gameMaster: assigned };
+  });
+
+  let withinAvailability = null;
+  if (gameMaster) {
+    const range = getActivityRange(activity);
+    const slots = await dbManager.getGameMasterAvailability(range, gameMaster.phone);
+    withinAvailability = isCoveredBySlots(range, slots);
+
+    if (activity.game_master_phone !== gameMaster.phone) {
+      await notifyParticipant(activity, gameMaster.phone, 'game_master_assigned', {}, dbManager);
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      message: gameMaster ? `已安排法官「${gameMaster.name}」` : '已取消法官安排',
+      gameMaster: gameMaster ? { phone: gameMaster.phone, name: gameMaster.name } : null,
+      // 活动时间不在法官登记的空闲时段内时为 false，仅作提醒
+      withinAvailability
+    }
+  };
+}
+
+// 法官排班表（仅管理员）：日期区间内的活动及每位法官是否空闲、是否已有冲突排班
+async function getGameMasterSchedule(data, dbManager) {
+  const { operatorPhone } = data;
+  const dateFrom = data.dateFrom || formatDate(new Date());
+  const dateTo = data.dateTo || addDays(dateFrom, 13);
+
+  const admin = operatorPhone
+    ? await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [operatorPhone])
+    : null;
+  if (!admin) {
+    throw new Error('只有管理员可以查看法官排班');
+  }
+
+  if (dateFrom > dateTo) {
+    throw new Error('开始日期不能晚于结束日期');
+  }
+
+  const activities = (await dbManager.getActivitiesBetween(dateFrom, dateTo))
+    .map(activity => ({ ...activity, range: getActivityRange(activity) }));
+  const gameMasters = await dbManager.getGameMasters();
+  const slots = await dbManager.getGameMasterAvailability({
+    start: `${dateFrom} 00:00:00`,
+    end: `${addDays(dateTo, 2)} 00:00:00`
+  });
+  const gameMasterNames = await getGameMasterNames(dbManager);
+
+  return {
+    success: true,
+    data: {
+      dateFrom,
+      dateTo,
+      gameMasters: gameMasters.map(gameMaster => ({ phone: gameMaster.phone, name: gameMaster.name })),
+      activities: activities.map(activity => ({
+        id: activity.id,
+        title: activity.title,
+        date: formatDate(activity.date),
+        time: String(activity.time).slice(0, 5),
+        endTime: activity.range.end.slice(11, 16),
+        status: activity.status,
+        editable: MUTABLE_OCCURRENCE_STATUSES.includes(activity.status),
+        gameMaster: formatGameMaster(activity.game_master_phone, gameMasterNames),
+        candidates: gameMasters.map(gameMaster => ({
+          phone: gameMaster.phone,
+          name: gameMaster.name,
+          available: isCoveredBySlots(activity.range, slots.filter(slot => slot.game_master_phone === gameMaster.phone)),
+          busy: activities.some(other => other.id !== activity.id &&
+            other.game_master_phone === gameMaster.phone &&
+            rangesOverlap(other.range, activity.range))
+        }))
+      }))
+    }
+  };
+}
+
+// 活动占用的时间段
+function getActivityRange(activity) {
+  return getBookingRange(activity.date, activity.time,
+    activity.duration_minutes || activityConfig.booking.defaultDurationMinutes);
+}
+
+// 法官手机号与姓名的对应关系（含已停用的法官，用于列表展示）
+async function getGameMasterNames(dbManager) {
+  const gameMasters = await dbManager.getGameMasters(true);
+  return new Map(gameMasters.map(gameMaster => [gameMaster.phone, gameMaster.name]));
+}
+
+// 格式化活动的法官信息
+function formatGameMaster(phone, gameMasterNames) {
+  return phone ? { phone, name: gameMasterNames.get(phone) || '' } : null;
+}
+
+// 活动结束时间
+function getActivityEndTime(activity) {
+  const durationMinutes = activity.duration_minutes || activityConfig.booking.defaultDurationMinutes;
+  return new Date(getActivityStartTime(activity).getTime() + durationMinutes * 60 * 1000);
+}
+
+// 用户不能评价活动的原因，可以评价时返回 null
+async function getReviewBlocker(activity, userPhone, dbManager, now = new Date()) {
+  if (activity.status !== 'completed') {
+    return '活动结束后才能评价';
+  }
+
+  if (userPhone === getActivityHostPhone(activity)) {
+    return '不能评价自己主持的活动';
+  }
+
+  const participant = await dbManager.getParticipant(activity.id, userPhone);
+  if (!participant) {
+    return '只有参与者可以评价';
+  }
+
+  if (participant.attendance_status === 'no_show') {
+    return '缺席的活动不能评价';
+  }
+
+  if (now > getReviewDeadline(getActivityEndTime(activity))) {
+    return '已超过评价期限';
+  }
+
+  return null;
+}
+
+// 格式化评价
+function formatReview(review) {
+  return {
+    id: review.id,
+    activityId: review.activity_id,
+    activityTitle: review.activity_title,
+    activityDate: review.activity_date,
+    userPhone: review.user_phone,
+    userName: review.user_name,
+    userAvatarUrl: review.user_avatar_url,
+    hostPhone: review.host_phone,
+    hostName: review.host_name || '',
+    rating: review.rating,
+    comment: review.comment || '',
+    status: review.status,
+    statusName: REVIEW_STATUS_NAMES[review.status] || review.status,
+    rejectReason: review.reject_reason || '',
+    createdAt: review.created_at
+  };
+}
+
+// 活动的评价信息：已公开的评价与评分汇总、当前用户的评价及能否评价
+async function buildActivityReviews(activity, userPhone, dbManager) {
+  const reviews = await dbManager.getReviews({ activityId: activity.id, status: REVIEW_STATUSES.APPROVED });
+  const ratingCounts = await dbManager.getReviewRatingCounts({ activityId: activity.id });
+
+  let myReview = null;
+  let canReview = false;
+  if (userPhone) {
+    const review = await dbManager.getActivityReview(activity.id, userPhone);
+    myReview = review ? formatReview(review) : null;
+    canReview = !review && !(await getReviewBlocker(activity, userPhone, dbManager));
+  }
+
+  return {
+    summary: summarizeRatings(ratingCounts),
+    list: reviews.map(formatReview),
+    myReview,
+    canReview,
+    deadline: getReviewDeadline(getActivityEndTime(activity))
+  };
+}
+
+// 参与者评价已结束的活动及其主持人（每人一条）
+async function submitReview(data, dbManager) {
+  const { activityId, userPhone, rating, comment } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  validateReview({ rating, comment });
+
+  const status = activityConfig.review.requireApproval ? REVIEW_STATUSES.PENDING : REVIEW_STATUSES.APPROVED;
+
+  // 锁定活动行，避免同一用户重复提交
+  const reviewId = await dbManager.transaction(async (tx) => {
+    const activity = await tx.lockActivity(activityId);
+
+    const blocker = await getReviewBlocker(activity, userPhone, tx);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+
+    if (await tx.getActivityReview(activityId, userPhone)) {
+      throw new Error('您已评价过此活动');
+    }
+
+    return await tx.insert('activity_reviews', {
+      activity_id: activityId,
+      user_phone: userPhone,
+      host_phone: getActivityHostPhone(activity),
+      rating: Number(rating),
+      comment: String(comment || '').trim(),
+      status
+    });
+  });
+
+  return {
+    success: true,
+    data: {
+      message: status === REVIEW_STATUSES.PENDING ? '评价已提交，审核通过后公开' : '评价成功',
+      reviewId,
+      status
+    }
+  };
+}
+
+// 获取活动的评价
+async function getActivityReviews(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId) {
+    throw new Error('活动ID不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  return {
+    success: true,
+    data: await buildActivityReviews(activity, userPhone, dbManager)
+  };
+}
+
+// 主持人主页：主持场次、评分汇总与最近公开的评价
+async function getHostProfile(data, dbManager) {
+  const { hostPhone, limit = 20 } = data;
+
+  if (!hostPhone) {
+    throw new Error('主持人手机号不能为空');
+  }
+
+  const host = await dbManager.getUser(hostPhone);
+  if (!host) {
+    throw new Error('用户不存在');
+  }
+
+  const ratingCounts = await dbManager.getReviewRatingCounts({ hostPhone });
+  const reviews = await dbManager.getReviews({ hostPhone, status: REVIEW_STATUSES.APPROVED, limit: Number(limit) });
+
+  return {
+    success: true,
+    data: {
+      phone: host.phone,
+      name: host.name,
+      avatarUrl: host.avatar_url,
+      hostedCount: await dbManager.countHostedActivities(hostPhone),
+      rating: summarizeRatings(ratingCounts),
+      reviews: reviews.map(formatReview)
+    }
+  };
+}
+
+// 管理员：评价审核队列（默认待审核，也可查看已通过 / 未通过的评价）
+async function getReviewQueue(data, dbManager) {
+  const { operatorPhone, status = REVIEW_STATUSES.PENDING } = data;
+
+  const admin = operatorPhone
+    ? await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [operatorPhone])
+    : null;
+  if (!admin) {
+    throw new Error('只有管理员可以审核评价');
+  }
+
+  if (!REVIEW_STATUS_NAMES[status]) {
+    throw new Error('不支持的评价状态');
+  }
+
+  const reviews = await dbManager.getReviews({ status, limit: 100 });
+
+  return {
+    success: true,
+    data: reviews.map(formatReview)
+  };
+}
+
+// 管理员：审核评价，approve 公开 / reject 不公开（已公开的评价也可下架）
+async function moderateReview(data, dbManager) {
+  const { reviewId, operatorPhone, decision, reason } = data;
+
+  if (!reviewId || !operatorPhone) {
+    throw new Error('评价ID和操作人不能为空');
+  }
+
+  const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [operatorPhone]);
+  if (!admin) {
+    throw new Error('只有管理员可以审核评价');
+  }
+
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new Error('请选择审核结果');
+  }
+
+  const review = await dbManager.getReview(reviewId);
+  if (!review) {
+    throw new Error('评价不存在');
+  }
+
+  const status = decision === 'approve' ? REVIEW_STATUSES.APPROVED : REVIEW_STATUSES.REJECTED;
+  await dbManager.update('activity_reviews', {
+    status,
+    reject_reason: status === REVIEW_STATUSES.REJECTED ? String(reason || '').trim().slice(0, 200) || null : null,
+    moderated_by: operatorPhone,
+    moderated_at: new Date()
+  }, 'id = ?', [reviewId]);
+
+  return {
+    success: true,
+    data: {
+      message: status === REVIEW_STATUSES.APPROVED ? '评价已公开' : '评价已下架',
+      status
+    }
+  };
+}
+
+// 解析留言 @ 的用户（JSON 字段可能以字符串返回）
+function parseMentions(mentions) {
+  if (!mentions) return [];
+  if (Array.isArray(mentions)) return mentions;
+  try {
+    const list = JSON.parse(mentions);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// 格式化留言 / 回复，已删除的留言不返回内容
+function formatComment(comment, activity) {
+  const isDeleted = Boolean(comment.is_deleted);
+
+  return {
+    id: comment.id,
+    parentId: comment.parent_id,
+    userPhone: comment.user_phone,
+    userName: comment.user_name,
+    userAvatarUrl: comment.user_avatar_url,
+    isHostAuthor: comment.user_phone === activity.created_by,
+    isGameMasterAuthor: Boolean(activity.game_master_phone) && comment.user_phone === activity.game_master_phone,
+    content: isDeleted ? '' : comment.content,
+    mentions: isDeleted ? [] : parseMentions(comment.mentions),
+    replyToPhone: comment.reply_to_phone || null,
+    replyToName: comment.reply_to_name || null,
+    isPinned: Boolean(comment.is_pinned),
+    isDeleted,
+    createdAt: comment.created_at
+  };
+}
+
+// 获取留言及操作所属的活动
+async function getCommentWithActivity(commentId, dbManager) {
+  const comment = commentId ? await dbManager.getComment(commentId) : null;
+  if (!comment || comment.is_deleted) {
+    throw new Error('留言不存在或已删除');
+  }
+
+  const activity = await dbManager.getActivity(comment.activity_id);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  return { comment, activity };
+}
+
+// 获取活动讨论区（分页）：每条留言附带最早的几条回复，其余回复通过 getCommentReplies 分页加载
+async function getComments(data, dbManager) {
+  const { activityId, offset = 0 } = data;
+  const { pageSize, replyPreviewCount } = activityConfig.comments;
+  const limit = Math.min(Number(data.limit) || pageSize, pageSize);
+
+  if (!activityId) {
+    throw new Error('活动ID不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  const comments = await dbManager.getActivityComments(activityId, limit + 1, Number(offset) || 0);
+  const list = await Promise.all(comments.slice(0, limit).map(async comment => {
+    const replies = await dbManager.getCommentReplies(comment.id, replyPreviewCount, 0);
+    return {
+      ...formatComment(comment, activity),
+      replyCount: Number(comment.reply_count),
+      replies: replies.map(reply => formatComment(reply, activity))
+    };
+  }));
+
+  return {
+    success: true,
+    data: {
+      list,
+      hasMore: comments.length > limit,
+      total: await dbManager.countActivityComments(activityId)
+    }
+  };
+}
+
+// 分页获取留言的回复
+async function getCommentReplies(data, dbManager) {
+  const { commentId, offset = 0 } = data;
+  const { pageSize } = activityConfig.comments;
+  const limit = Math.min(Number(data.limit) || pageSize, pageSize);
+
+  const comment = commentId ? await dbManager.getComment(commentId) : null;
+  if (!comment || comment.parent_id) {
+    throw new Error('留言不存在');
+  }
+
+  const activity = await dbManager.getActivity(comment.activity_id);
+  const replies = await dbManager.getCommentReplies(commentId, limit + 1, Number(offset) || 0);
+
+  return {
+    success: true,
+    data: {
+      list: replies.slice(0, limit).map(reply => formatComment(reply, activity)),
+      hasMore: replies.length > limit
+    }
+  };
+}
+
+// 发表留言或回复：内容先过滤敏感词再保存；可 @ 本活动的参与者、主持人和法官，被 @ 和被回复的人会收到站内信
+async function postComment(data, dbManager) {
+  const { activityId, userPhone, parentId, mentionPhones } = data;
+  const { maxLength, maxMentions } = activityConfig.comments;
+  const content = String(data.content || '').trim();
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  if (!content) {
+    throw new Error('请输入留言内容');
+  }
+
+  if (content.length > maxLength) {
+    throw new Error(`留言不能超过${maxLength}字`);
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (activity.status === 'cancelled') {
+    throw new Error('活动已取消，无法留言');
+  }
+
+  const author = await dbManager.getUser(userPhone);
+  if (!author) {
+    throw new Error('用户不存在');
+  }
+
+  // 回复统一挂在顶层留言下，reply_to_phone 记录被回复的人
+  let parent = null;
+  let replyToPhone = null;
+  if (parentId) {
+    const target = await dbManager.getComment(parentId);
+    if (!target || target.is_deleted || target.activity_id !== activity.id) {
+      throw new Error('回复的留言不存在或已删除');
+    }
+
+    parent = target.parent_id ? await dbManager.getComment(target.parent_id) : target;
+    replyToPhone = target.user_phone;
+  }
+
+  const mentionable = new Map(
+    (await dbManager.getActivityParticipants(activity.id)).map(p => [p.phone, p.name])
+  );
+  for (const phone of [activity.created_by, activity.game_master_phone]) {
+    if (phone && !mentionable.has(phone)) {
+      const user = await dbManager.getUser(phone);
+      if (user) mentionable.set(phone, user.name);
+    }
+  }
+
+  const mentions = [...new Set(mentionPhones || [])]
+    .filter(phone => phone !== userPhone && mentionable.has(phone))
+    .map(phone => ({ phone, name: mentionable.get(phone) }));
+  if (mentions.length > maxMentions) {
+    throw new Error(`每条留言最多@${maxMentions}人`);
+  }
+
+  const { text, hits } = filterSensitiveWords(content);
+
+  const commentId = await dbManager.insert('activity_comments', {
+    activity_id: activity.id,
+    user_phone: userPhone,
+    parent_id: parent ? parent.id : null,
+    reply_to_phone: replyToPhone,
+    content: text,
+    mentions: mentions.length > 0 ? JSON.stringify(mentions) : null
+  });
+
+  const excerpt = text.length > COMMENT_EXCERPT_LENGTH ? `${text.slice(0, COMMENT_EXCERPT_LENGTH)}…` : text;
+  for (const mention of mentions) {
+    await notifyParticipant(activity, mention.phone, 'comment_mentioned', { authorName: author.name, excerpt }, dbManager);
+  }
+  if (replyToPhone && replyToPhone !== userPhone && !mentions.some(mention => mention.phone === replyToPhone)) {
+    await notifyParticipant(activity, replyToPhone, 'comment_replied', { authorName: author.name, excerpt }, dbManager);
+  }
+
+  return {
+    success: true,
+    data: {
+      message: parent ? '回复成功' : '留言成功',
+      commentId,
+      filtered: hits.length > 0
+    }
+  };
+}
+
+// 主持人 / 法官：置顶或取消置顶留言（回复不能置顶）
+async function pinComment(data, dbManager) {
+  const { commentId, userPhone, pinned = true } = data;
+
+  const { comment, activity } = await getCommentWithActivity(commentId, dbManager);
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以置顶留言');
+  }
+
+  if (comment.parent_id) {
+    throw new Error('回复不能置顶');
+  }
+
+  const { maxPinned } = activityConfig.comments;
+  if (pinned && !comment.is_pinned && await dbManager.countPinnedComments(activity.id) >= maxPinned) {
+    throw new Error(`最多置顶${maxPinned}条留言`);
+  }
+
+  await dbManager.update('activity_comments', {
+    is_pinned: Boolean(pinned),
+    pinned_at: pinned ? new Date() : null
+  }, 'id = ?', [comment.id]);
+
+  return {
+    success: true,
+    data: {
+      message: pinned ? '已置顶' : '已取消置顶'
+    }
+  };
+}
+
+// 删除留言（软删除）：作者本人或管理员；留言删除后其回复仍保留
+async function deleteComment(data, dbManager) {
+  const { commentId, userPhone } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const { comment } = await getCommentWithActivity(commentId, dbManager);
+
+  if (comment.user_phone !== userPhone) {
+    const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [userPhone]);
+    if (!admin) {
+      throw new Error('只能删除自己的留言');
+    }
+  }
+
+  await dbManager.update('activity_comments', {
+    is_deleted: true,
+    is_pinned: false,
+    deleted_by: userPhone,
+    deleted_at: new Date()
+  }, 'id = ?', [comment.id]);
+
+  return {
+    success: true,
+    data: {
+      message: '留言已删除'
+    }
+  };
+}
+
+// 相册概况：照片数与封面
+async function getAlbumSummary(activityId, dbManager) {
+  const cover = await dbManager.getAlbumCover(activityId);
+
+  return {
+    count: await dbManager.countActivityPhotos(activityId),
+    coverFileId: cover ? cover.file_id : null
+  };
+}
+
+// 格式化相册照片
+function formatPhoto(photo) {
+  return {
+    id: photo.id,
+    fileId: photo.file_id,
+    userPhone: photo.user_phone,
+    userName: photo.user_name,
+    isCover: Boolean(photo.is_cover),
+    createdAt: photo.created_at
+  };
+}
+
+// 能否向活动相册上传照片：报名的参与者、主持人和法官
+async function canUploadPhotos(activity, userPhone, dbManager) {
+  if (canModerateActivity(activity, userPhone)) {
+    return true;
+  }
+
+  return Boolean(await dbManager.getParticipant(activity.id, userPhone));
+}
+
+// 删除云存储中的文件，失败只记录日志（相册记录以数据库为准）
+async function removeCloudFiles(fileIds) {
+  if (fileIds.length === 0) return;
+
+  try {
+    await cloud.deleteFile({ fileList: fileIds });
+  } catch (error) {
+    console.error('删除云存储文件失败:', fileIds, error);
+  }
+}
+
+// 获取活动相册（分页），附带配额与当前用户的上传权限
+async function getAlbum(data, dbManager) {
+  const { activityId, userPhone, offset = 0 } = data;
+  const { pageSize, maxPhotosPerActivity } = activityConfig.album;
+  const limit = Math.min(Number(data.limit) || pageSize, pageSize);
+
+  if (!activityId) {
+    throw new Error('活动ID不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  const photos = await dbManager.getActivityPhotos(activityId, limit + 1, Number(offset) || 0);
+  const count = await dbManager.countActivityPhotos(activityId);
+
+  return {
+    success: true,
+    data: {
+      list: photos.slice(0, limit).map(formatPhoto),
+      hasMore: photos.length > limit,
+      quota: {
+        used: count,
+        max: maxPhotosPerActivity,
+        remaining: Math.max(maxPhotosPerActivity - count, 0)
+      },
+      canUpload: Boolean(userPhone) && activity.status !== 'cancelled' &&
+        await canUploadPhotos(activity, userPhone, dbManager),
+      canSetCover: canModerateActivity(activity, userPhone)
+    }
+  };
+}
+
+// 登记已上传到云存储的照片：校验权限与配额，相册还没有封面时第一张作为封面
+// 登记失败时由小程序端删除本次上传的文件
+async function addPhotos(data, dbManager) {
+  const { activityId, userPhone } = data;
+  const { cloudPathPrefix, maxPhotosPerActivity, maxPhotosPerUpload } = activityConfig.album;
+  const fileIds = [...new Set(Array.isArray(data.fileIds) ? data.fileIds : [])];
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  if (fileIds.length === 0) {
+    throw new Error('请选择要上传的照片');
+  }
+
+  if (fileIds.length > maxPhotosPerUpload) {
+    throw new Error(`单次最多上传${maxPhotosPerUpload}张照片`);
+  }
+
+  // 只登记上传到本活动相册目录下的文件
+  const albumPath = `/${cloudPathPrefix}/${activityId}/`;
+  if (fileIds.some(fileId => typeof fileId !== 'string' || !fileId.startsWith('cloud://') || !fileId.includes(albumPath))) {
+    throw new Error('照片文件不正确');
+  }
+
+  const added = await dbManager.transaction(async (tx) => {
+    const activity = await tx.lockActivity(activityId);
+
+    if (activity.status === 'cancelled') {
+      throw new Error('活动已取消，无法上传照片');
+    }
+
+    if (!await canUploadPhotos(activity, userPhone, tx)) {
+      throw new Error('只有参与者、主持人和法官可以上传照片');
+    }
+
+    const remaining = maxPhotosPerActivity - await tx.countActivityPhotos(activity.id);
+    if (fileIds.length > remaining) {
+      throw new Error(remaining > 0 ? `相册还能上传${remaining}张照片` : '相册照片已达上限');
+    }
+
+    const hasCover = Boolean(await tx.getAlbumCover(activity.id));
+    for (const [index, fileId] of fileIds.entries()) {
+      await tx.insert('activity_photos', {
+        activity_id: activity.id,
+        user_phone: userPhone,
+        file_id: fileId,
+        is_cover: !hasCover && index === 0
+      });
+    }
+
+    return fileIds.length;
+  });
+
+  return {
+    success: true,
+    data: {
+      message: `已上传${added}张照片`,
+      added
+    }
+  };
+}
+
+// 删除照片：上传者本人或管理员；删除封面后由最早上传的照片接替封面
+async function deletePhoto(data, dbManager) {
+  const { photoId, userPhone } = data;
+
+  if (!photoId || !userPhone) {
+    throw new Error('照片ID和用户手机号不能为空');
+  }
+
+  const photo = await dbManager.getPhoto(photoId);
+  if (!photo) {
+    throw new Error('照片不存在或已删除');
+  }
+
+  if (photo.user_phone !== userPhone) {
+    const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [userPhone]);
+    if (!admin) {
+      throw new Error('只能删除自己上传的照片');
+    }
+  }
+
+  await dbManager.transaction(async (tx) => {
+    await tx.lockActivity(photo.activity_id);
+    await tx.delete('activity_photos', 'id = ?', [photo.id]);
+
+    if (photo.is_cover) {
+      await tx.resetAlbumCover(photo.activity_id);
+    }
+  });
+
+  await removeCloudFiles([photo.file_id]);
+
+  return {
+    success: true,
+    data: {
+      message: '照片已删除'
+    }
+  };
+}
+
+// 主持人 / 法官：设置相册封面
+async function setAlbumCover(data, dbManager) {
+  const { photoId, userPhone } = data;
+
+  const photo = photoId ? await dbManager.getPhoto(photoId) : null;
+  if (!photo) {
+    throw new Error('照片不存在或已删除');
+  }
+
+  const activity = await dbManager.getActivity(photo.activity_id);
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以设置封面');
+  }
+
+  await dbManager.setAlbumCover(activity.id, photo.id);
+
+  return {
+    success: true,
+    data: {
+      message: '已设为封面'
+    }
+  };
+}
+
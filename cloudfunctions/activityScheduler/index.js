@@ -0,0 +1,52 @@
+// 云函数：活动定时任务
+// cloudfunctions/activityScheduler/index.js
+
+const cloud = require('wx-server-sdk');
+
+cloud.init({
+  env: cloud.DYNAMIC_CURRENT_ENV
+});
+
+// 定时执行的任务，functionName 未指定时委托给 activityManager 对应的 action
+const SCHEDULED_TASKS = [
+  { name: '生成系列活动', action: 'generateSeriesActivities' },
+  { name: '推进活动状态', action: 'advanceActivities' },
+  { name: '标记缺席', action: 'markNoShows' },
+  { name: '校正报名人数', action: 'repairPlayerCounts' },
+  { name: '发送开始提醒', action: 'sendActivityReminders' },
+  { name: '更新店铺日历', action: 'publishStoreCalendar' },
+  { name: '投递通知', functionName: 'notificationManager', action: 'dispatchPending' }
+];
+
+// 由定时触发器调用（见 config.json triggers），依次执行各项任务
+exports.main = async () => {
+  const results = [];
+
+  for (const task of SCHEDULED_TASKS) {
+    try {
+      const res = await cloud.callFunction({
+        name: task.functionName || 'activityManager',
+        data: { action: task.action, data: {} }
+      });
+
+      results.push({
+        task: task.name,
+        success: res.result.success,
+        data: res.result.data,
+        error: res.result.error
+      });
+    } catch (error) {
+      console.error(`定时任务失败: ${task.name}`, error);
+      results.push({
+        task: task.name,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return {
+    success: results.every(result => result.success),
+    data: results
+  };
+};
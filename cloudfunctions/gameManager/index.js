@@ -0,0 +1,782 @@
+// 云函数：对局管理
+// cloudfunctions/gameManager/index.js
+
+const cloud = require('wx-server-sdk');
+const { getDatabaseManager } = require('../../utils/database');
+const { CAMPS, ROLES, getBoard } = require('../../utils/boards');
+const { sortBySeat, formatSeat } = require('../../utils/seats');
+const { isProvisional, calculateRatingChanges } = require('../../utils/rating');
+const { formatDate } = require('../../utils/recurrence');
+const {
+  DEATH_CAUSE_NAMES,
+  SHOOTER_ROLES,
+  getNightSteps,
+  getCurrentStep,
+  getActorSeats,
+  createGameState,
+  applyNightAction,
+  resolveNight,
+  applyDayAction,
+  startNextNight: enterNextNight,
+  checkWinner,
+  describeEvent
+} = require('../../utils/gameRunner');
+const { canModerateActivity } = require('../../utils/activityPermissions');
+const activityConfig = require('../../config/activity');
+
+const LEADERBOARD_TYPES = ['overall', 'monthly', 'role'];
+
+cloud.init({
+  env: cloud.DYNAMIC_CURRENT_ENV
+});
+
+exports.main = async (event) => {
+  const { action, data } = event;
+  const dbManager = getDatabaseManager();
+
+  try {
+    // 确保数据库连接
+    if (!dbManager.isHealthy()) {
+      await dbManager.init();
+    }
+
+    switch (action) {
+    case 'recordGame':
+      return await recordGame(data, dbManager);
+    case 'getGameRecords':
+      return await getGameRecords(data, dbManager);
+    case 'getPlayerStats':
+      return await getPlayerStats(data, dbManager);
+    case 'getLeaderboard':
+      return await getLeaderboard(data, dbManager);
+    case 'rebuildRatings':
+      return await rebuildRatings(data, dbManager);
+    case 'startGameSession':
+      return await startGameSession(data, dbManager);
+    case 'getGameSession':
+      return await getGameSession(data, dbManager);
+    case 'submitNightAction':
+      return await submitNightAction(data, dbManager);
+    case 'submitDayAction':
+      return await submitDayAction(data, dbManager);
+    case 'startNextNight':
+      return await startNextNight(data, dbManager);
+    case 'endGameSession':
+      return await endGameSession(data, dbManager);
+    default:
+      throw new Error('未知操作');
+    }
+  } catch (error) {
+    console.error('对局管理云函数错误:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// 计算胜率（百分比，保留一位小数）
+function calcWinRate(wins, games) {
+  return games > 0 ? Math.round((wins / games) * 1000) / 10 : 0;
+}
+
+function getRoleName(role) {
+  return ROLES[role] ? ROLES[role].name : role;
+}
+
+// 校验对局玩家身份与板子配置一致
+function checkPlayersMatchBoard(players, board) {
+  if (players.length !== board.playerCount) {
+    throw new Error(`${board.name}需要${board.playerCount}名玩家`);
+  }
+
+  const roleCounts = {};
+  players.forEach(player => {
+    roleCounts[player.role] = (roleCounts[player.role] || 0) + 1;
+  });
+
+  const mismatched = Object.keys({ ...board.roles, ...roleCounts })
+    .some(role => (board.roles[role] || 0) !== (roleCounts[role] || 0));
+
+  if (mismatched) {
+    throw new Error(`玩家身份与${board.name}配置不一致`);
+  }
+}
+
+// 记录一局游戏结果，玩家可用手机号（phone）或座位号（seatNo）指定，MVP 同理（mvpPhone / mvpSeatNo）
+async function recordGame(data, dbManager) {
+  const { activityId, userPhone, winningCamp, notes, roundNo, playedAt } = data;
+  let { boardKey, players, mvpPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和记录人不能为空');
+  }
+
+  if (!Object.values(CAMPS).includes(winningCamp)) {
+    throw new Error('请选择获胜阵营');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  if (!canModerateActivity(activity, userPhone)) {
+    throw new Error('只有主持人或法官可以记录对局');
+  }
+
+  if (!['in_progress', 'completed'].includes(activity.status)) {
+    throw new Error('活动开始后才能记录对局');
+  }
+
+  // 未提供玩家身份时，沿用该活动最近一次发牌结果
+  if (!players || players.length === 0) {
+    const assignment = await dbManager.getLatestRoleAssignment(activityId);
+    if (!assignment) {
+      throw new Error('请填写玩家身份');
+    }
+    players = assignment.players.map(p => ({ phone: p.user_phone, role: p.role }));
+    boardKey = boardKey || assignment.board_key;
+  }
+
+  boardKey = boardKey || activity.board_key;
+
+  const participants = await dbManager.getActivityParticipants(activityId);
+  const findBySeat = seatNo => participants.find(p => p.seat_no === Number(seatNo));
+  const seen = new Set();
+
+  const recordPlayers = players.map(player => {
+    if (!ROLES[player.role]) {
+      throw new Error(`未知角色: ${player.role}`);
+    }
+
+    const participant = player.phone
+      ? participants.find(p => p.phone === player.phone)
+      : findBySeat(player.seatNo);
+    if (!participant) {
+      throw new Error(player.phone ? `玩家 ${player.phone} 未参加此活动` : `${formatSeat(player.seatNo) || '座位'}没有玩家`);
+    }
+    if (seen.has(participant.phone)) {
+      throw new Error(`玩家 ${participant.name || participant.phone} 重复`);
+    }
+    seen.add(participant.phone);
+
+    return {
+      phone: participant.phone,
+      seatNo: participant.seat_no,
+      role: player.role,
+      camp: ROLES[player.role].camp
+    };
+  });
+
+  if (boardKey) {
+    const board = getBoard(boardKey);
+    if (!board) {
+      throw new Error('板子不存在');
+    }
+    checkPlayersMatchBoard(recordPlayers, board);
+  }
+
+  if (!mvpPhone && data.mvpSeatNo) {
+    const mvp = findBySeat(data.mvpSeatNo);
+    mvpPhone = mvp ? mvp.phone : null;
+  }
+
+  if ((mvpPhone || data.mvpSeatNo) && !seen.has(mvpPhone)) {
+    throw new Error('MVP必须是本局玩家');
+  }
+
+  const gamePlayedAt = playedAt || new Date();
+
+  // 对局与积分变化一起保存，并发记录时按玩家积分行加锁依次计算
+  const { gameId, ratingChanges } = await dbManager.transaction(async (tx) => {
+    const id = await tx.saveGameRecord(activityId, {
+      roundNo,
+      boardKey,
+      winningCamp,
+      mvpPhone,
+      notes,
+      playedAt: gamePlayedAt,
+      recordedBy: userPhone,
+      players: recordPlayers
+    });
+
+    const rows = await tx.lockPlayerRatings(recordPlayers.map(p => p.phone));
+    const ratings = new Map(rows.map(row => [row.user_phone, { rating: row.rating, games: row.games }]));
+    const changes = await applyGameRatings(id, gamePlayedAt, winningCamp, recordPlayers, ratings, tx);
+
+    return { gameId: id, ratingChanges: changes };
+  });
+
+  return {
+    success: true,
+    data: {
+      message: '对局记录成功',
+      gameId,
+      ratingChanges: ratingChanges.map(change => ({
+        phone: change.phone,
+        ratingBefore: change.ratingBefore,
+        ratingAfter: change.ratingAfter,
+        delta: change.delta
+      }))
+    }
+  };
+}
+
+// 计算并保存一局的积分变化，同时更新 ratings（手机号 -> { rating, games }）中的赛后积分
+async function applyGameRatings(gameId, playedAt, winningCamp, players, ratings, dbManager) {
+  const { initialRating } = activityConfig.rating;
+
+  const changes = calculateRatingChanges(players.map(player => {
+    const current = ratings.get(player.phone) || { rating: initialRating, games: 0 };
+    return { phone: player.phone, camp: player.camp, rating: current.rating, games: current.games };
+  }), winningCamp).map((change, index) => ({
+    ...change,
+    role: players[index].role,
+    camp: players[index].camp
+  }));
+
+  await dbManager.saveRatingChanges(gameId, playedAt, changes);
+
+  changes.forEach(change => {
+    const current = ratings.get(change.phone);
+    ratings.set(change.phone, { rating: change.ratingAfter, games: current ? current.games + 1 : 1 });
+  });
+
+  return changes;
+}
+
+// 整理玩家积分概况
+function formatRating(row) {
+  const { initialRating, provisionalGames } = activityConfig.rating;
+  const games = row ? Number(row.games) : 0;
+
+  return {
+    rating: row ? row.rating : initialRating,
+    peakRating: row ? row.peak_rating : initialRating,
+    games,
+    isProvisional: isProvisional(games),
+    provisionalRemaining: Math.max(provisionalGames - games, 0)
+  };
+}
+
+// 月份 YYYY-MM 对应的时间范围 [from, to)
+function getMonthRange(month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new Error('月份格式不正确');
+  }
+
+  const [year, monthIndex] = month.split('-').map(Number);
+  return {
+    from: `${month}-01 00:00:00`,
+    to: `${formatDate(new Date(year, monthIndex, 1))} 00:00:00`
+  };
+}
+
+// 获取排行榜：overall 积分总榜 / monthly 月榜（当月积分变化）/ role 角色榜（使用该角色时的积分变化）
+async function getLeaderboard(data, dbManager) {
+  const { type = 'overall', role, userPhone } = data;
+  const { provisionalGames, leaderboardSize, minMonthlyGames, minRoleGames } = activityConfig.rating;
+
+  if (!LEADERBOARD_TYPES.includes(type)) {
+    throw new Error('不支持的排行榜类型');
+  }
+
+  if (type === 'role' && !ROLES[role]) {
+    throw new Error('请选择角色');
+  }
+
+  const month = data.month || formatDate(new Date()).slice(0, 7);
+  let rows;
+  let minGames;
+
+  if (type === 'overall') {
+    minGames = provisionalGames;
+    rows = await dbManager.getRatingLeaderboard(minGames, leaderboardSize);
+  } else {
+    minGames = type === 'monthly' ? minMonthlyGames : minRoleGames;
+    rows = await dbManager.getRatingChangeLeaderboard({
+      ...(type === 'monthly' ? getMonthRange(month) : { role }),
+      minGames,
+      limit: leaderboardSize
+    });
+  }
+
+  const entries = rows.map((row, index) => {
+    const games = Number(row.games);
+    const wins = Number(row.wins);
+
+    return {
+      rank: index + 1,
+      phone: row.user_phone,
+      name: row.name,
+      avatarUrl: row.avatar_url,
+      rating: row.rating,
+      games,
+      wins,
+      winRate: calcWinRate(wins, games),
+      delta: type === 'overall' ? null : Number(row.delta)
+    };
+  });
+
+  let me = null;
+  if (userPhone) {
+    const row = await dbManager.getPlayerRating(userPhone);
+    const entry = entries.find(item => item.phone === userPhone);
+    me = formatRating(row);
+
+    if (entry) {
+      me.rank = entry.rank;
+    } else if (type === 'overall' && row && !me.isProvisional) {
+      me.rank = await dbManager.getRatingRank(row.rating, provisionalGames);
+    } else {
+      me.rank = null;
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      type,
+      month: type === 'monthly' ? month : null,
+      role: type === 'role' ? role : null,
+      roleName: type === 'role' ? getRoleName(role) : null,
+      minGames,
+      entries,
+      me
+    }
+  };
+}
+
+// 管理员：按对局时间顺序重新计算所有玩家的积分（调整积分配置或补录历史对局后使用）
+async function rebuildRatings(data, dbManager) {
+  const { operatorPhone } = data;
+
+  const admin = operatorPhone
+    ? await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [operatorPhone])
+    : null;
+  if (!admin) {
+    throw new Error('只有管理员可以重新计算积分');
+  }
+
+  const rows = await dbManager.getGameResultsForRating();
+
+  const games = [];
+  rows.forEach(row => {
+    let game = games[games.length - 1];
+    if (!game || game.id !== row.game_id) {
+      game = { id: row.game_id, playedAt: row.played_at, winningCamp: row.winning_camp, players: [] };
+      games.push(game);
+    }
+    game.players.push({ phone: row.user_phone, role: row.role, camp: row.camp });
+  });
+
+  const ratings = new Map();
+  await dbManager.transaction(async (tx) => {
+    await tx.clearRatings();
+    for (const game of games) {
+      await applyGameRatings(game.id, game.playedAt, game.winningCamp, game.players, ratings, tx);
+    }
+  });
+
+  return {
+    success: true,
+    data: {
+      message: '积分已重新计算',
+      games: games.length,
+      players: ratings.size
+    }
+  };
+}
+
+// 获取活动的对局记录
+async function getGameRecords(data, dbManager) {
+  const { activityId } = data;
+
+  if (!activityId) {
+    throw new Error('活动ID不能为空');
+  }
+
+  const games = await dbManager.getActivityGameRecords(activityId);
+
+  return {
+    success: true,
+    data: games.map(game => {
+      const board = game.board_key ? getBoard(game.board_key) : null;
+
+      return {
+        id: game.id,
+        activityId: game.activity_id,
+        roundNo: game.round_no,
+        boardKey: game.board_key,
+        boardName: board ? board.name : null,
+        winningCamp: game.winning_camp,
+        mvpPhone: game.mvp_phone,
+        notes: game.notes,
+        recordedBy: game.recorded_by,
+        playedAt: game.played_at,
+        players: sortBySeat(game.players).map(p => ({
+          phone: p.user_phone,
+          name: p.name,
+          avatarUrl: p.avatar_url,
+          seatNo: p.seat_no,
+          seatName: formatSeat(p.seat_no),
+          role: p.role,
+          roleName: getRoleName(p.role),
+          camp: p.camp,
+          isWinner: Boolean(p.is_winner)
+        }))
+      };
+    })
+  };
+}
+
+// 获取玩家战绩统计
+async function getPlayerStats(data, dbManager) {
+  const { userPhone, recentLimit = 10 } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const { summary, byCamp, byRole } = await dbManager.getPlayerGameStats(userPhone);
+  const recentGames = await dbManager.getPlayerRecentGames(userPhone, recentLimit);
+  const rating = await dbManager.getPlayerRating(userPhone);
+
+  const games = Number(summary.games) || 0;
+  const wins = Number(summary.wins) || 0;
+
+  const campStats = {};
+  Object.values(CAMPS).forEach(camp => {
+    const row = byCamp.find(item => item.camp === camp);
+    const campGames = row ? Number(row.games) : 0;
+    const campWins = row ? Number(row.wins) : 0;
+    campStats[camp] = {
+      games: campGames,
+      wins: campWins,
+      winRate: calcWinRate(campWins, campGames)
+    };
+  });
+
+  const recent = recentGames.map(game => ({
+    gameId: game.game_id,
+    activityId: game.activity_id,
+    activityTitle: game.activity_title,
+    roundNo: game.round_no,
+    role: game.role,
+    roleName: getRoleName(game.role),
+    camp: game.camp,
+    isWinner: Boolean(game.is_winner),
+    isMvp: game.mvp_phone === userPhone,
+    playedAt: game.played_at
+  }));
+
+  return {
+    success: true,
+    data: {
+      gamesPlayed: games,
+      wins,
+      losses: games - wins,
+      winRate: calcWinRate(wins, games),
+      mvpCount: Number(summary.mvps) || 0,
+      rating: formatRating(rating),
+      byCamp: campStats,
+      byRole: byRole.map(row => ({
+        role: row.role,
+        roleName: getRoleName(row.role),
+        camp: row.camp,
+        games: Number(row.games),
+        wins: Number(row.wins),
+        winRate: calcWinRate(Number(row.wins), Number(row.games))
+      })),
+      recentGames: recent,
+      // 近期走势，最新一局在前，W 为胜 L 为负
+      recentForm: recent.map(game => (game.isWinner ? 'W' : 'L')).join('')
+    }
+  };
+}
+
+// JSON 字段可能以字符串返回
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// 对局玩家身份（来自开局时的发牌记录，按座位号排列）
+async function getSessionPlayers(session, dbManager) {
+  const rows = await dbManager.getRoleAssignmentPlayers(session.assignment_id);
+
+  return rows.map(row => ({
+    seatNo: row.seat_no,
+    seatName: formatSeat(row.seat_no),
+    phone: row.user_phone,
+    name: row.name,
+    role: row.role,
+    roleName: getRoleName(row.role),
+    camp: row.camp
+  }));
+}
+
+// 法官视角的对局：局面、当前步骤提示、玩家存活情况与完整时间线
+function formatGameSession(session, players, events) {
+  const state = parseJson(session.state, {});
+  const board = getBoard(session.board_key);
+  const step = session.status === 'running' ? getCurrentStep(state, players) : null;
+
+  let currentStep = null;
+  if (step) {
+    currentStep = {
+      key: step.key,
+      name: step.name,
+      prompt: step.prompt,
+      actorSeats: getActorSeats(step, state, players)
+    };
+    if (step.key === 'guard') {
+      currentStep.forbiddenSeat = state.lastGuardTarget;
+    }
+    if (step.key === 'witch') {
+      currentStep.killedSeat = state.night.kill;
+      currentStep.antidoteAvailable = !state.antidoteUsed;
+      currentStep.poisonAvailable = !state.poisonUsed;
+    }
+  }
+
+  return {
+    id: session.id,
+    activityId: session.activity_id,
+    boardKey: session.board_key,
+    boardName: board ? board.name : session.board_key,
+    status: session.status,
+    winningCamp: session.winning_camp,
+    round: state.round,
+    phase: state.phase,
+    nightSteps: getNightSteps(players).map(item => ({ key: item.key, name: item.name })),
+    currentStep,
+    suggestedWinner: checkWinner(state, players),
+    players: players.map(player => {
+      const death = state.deaths.find(item => item.seatNo === player.seatNo);
+      return {
+        ...player,
+        isAlive: state.alive.includes(player.seatNo),
+        deathCause: death ? DEATH_CAUSE_NAMES[death.cause] : null,
+        deathRound: death ? death.round : null,
+        canShoot: Boolean(death) && death.cause !== 'poisoned' &&
+          SHOOTER_ROLES.includes(player.role) && !state.shotUsed.includes(player.seatNo)
+      };
+    }),
+    timeline: events.map(event => {
+      const item = {
+        round: event.round_no,
+        phase: event.phase,
+        step: event.step,
+        actorSeats: parseJson(event.actor_seats, []),
+        targetSeat: event.target_seat,
+        data: parseJson(event.data, {})
+      };
+      return { id: event.id, ...item, text: describeEvent(item), createdAt: event.created_at };
+    })
+  };
+}
+
+// 在事务中锁定对局并校验主持权限，回调返回新局面与事件后保存，最后返回法官视角的对局
+async function updateGameSession(data, dbManager, update) {
+  const { sessionId, userPhone } = data;
+
+  if (!sessionId || !userPhone) {
+    throw new Error('对局ID和用户手机号不能为空');
+  }
+
+  let extra = {};
+  const updatedId = await dbManager.transaction(async (tx) => {
+    const session = await tx.lockGameSession(sessionId);
+    const activity = await tx.getActivity(session.activity_id);
+
+    if (!activity || !canModerateActivity(activity, userPhone)) {
+      throw new Error('只有主持人或法官可以操作对局');
+    }
+
+    if (session.status !== 'running') {
+      throw new Error('对局已结束');
+    }
+
+    const players = await getSessionPlayers(session, tx);
+    const result = update(parseJson(session.state, {}), players, session);
+    extra = result.extra || {};
+
+    await tx.saveGameSessionState(session.id, result.state, result.events, userPhone);
+    if (result.fields) {
+      await tx.update('game_sessions', result.fields, 'id = ?', [session.id]);
+    }
+
+    return session.id;
+  });
+
+  const session = await dbManager.getGameSession(updatedId);
+  const players = await getSessionPlayers(session, dbManager);
+
+  return {
+    success: true,
+    data: {
+      ...extra,
+      session: formatGameSession(session, players, await dbManager.getGameSessionEvents(session.id))
+    }
+  };
+}
+
+// 开始法官流程：按活动最近一次发牌的身份开局，从第一夜开始
+async function startGameSession(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const sessionId = await dbManager.transaction(async (tx) => {
+    const activity = await tx.lockActivity(activityId);
+
+    if (!canModerateActivity(activity, userPhone)) {
+      throw new Error('只有主持人或法官可以开始对局');
+    }
+
+    if (['completed', 'cancelled'].includes(activity.status)) {
+      throw new Error('活动已结束，无法开始对局');
+    }
+
+    const latest = await tx.getLatestGameSession(activity.id);
+    if (latest && latest.status === 'running') {
+      throw new Error('已有进行中的对局，请先结束');
+    }
+
+    const assignment = await tx.getLatestRoleAssignmentInfo(activity.id);
+    if (!assignment) {
+      throw new Error('请先在「发身份」中为玩家发牌');
+    }
+
+    const players = (await tx.getRoleAssignmentPlayers(assignment.id))
+      .map(row => ({ seatNo: row.seat_no, role: row.role }));
+
+    return await tx.insert('game_sessions', {
+      activity_id: activity.id,
+      assignment_id: assignment.id,
+      board_key: assignment.board_key,
+      state: JSON.stringify(createGameState(players)),
+      created_by: userPhone
+    });
+  });
+
+  const session = await dbManager.getGameSession(sessionId);
+
+  return {
+    success: true,
+    data: {
+      message: '对局开始，天黑请闭眼',
+      session: formatGameSession(session, await getSessionPlayers(session, dbManager), [])
+    }
+  };
+}
+
+// 查看对局：进行中仅主持人和法官可见；结束后本活动的参与者可以查看完整时间线复盘
+async function getGameSession(data, dbManager) {
+  const { activityId, userPhone } = data;
+
+  if (!activityId || !userPhone) {
+    throw new Error('活动ID和用户手机号不能为空');
+  }
+
+  const activity = await dbManager.getActivity(activityId);
+  if (!activity) {
+    throw new Error('活动不存在');
+  }
+
+  const session = await dbManager.getLatestGameSession(activityId);
+  if (!session) {
+    return {
+      success: true,
+      data: { session: null }
+    };
+  }
+
+  // 进行中的对局含全部玩家身份，需确认调用者本人就是传入的手机号
+  await dbManager.assertUserOpenid(userPhone, cloud.getWXContext().OPENID);
+
+  if (!canModerateActivity(activity, userPhone)) {
+    if (session.status === 'running') {
+      throw new Error('对局进行中，只有主持人和法官可以查看');
+    }
+    if (!await dbManager.getParticipant(activityId, userPhone)) {
+      throw new Error('只有本局玩家可以查看复盘');
+    }
+  }
+
+  const players = await getSessionPlayers(session, dbManager);
+
+  return {
+    success: true,
+    data: {
+      session: formatGameSession(session, players, await dbManager.getGameSessionEvents(session.id))
+    }
+  };
+}
+
+// 记录当前夜间步骤；最后一步完成后自动天亮并公布死讯
+async function submitNightAction(data, dbManager) {
+  return await updateGameSession(data, dbManager, (state, players) => {
+    const action = applyNightAction(state, players, data);
+    const events = [action.event];
+    const extra = {};
+
+    if (action.event.step === 'seer' && !action.event.data.skipped) {
+      extra.seerResult = action.event.data.result;
+    }
+
+    let next = action.state;
+    if (!getCurrentStep(next, players)) {
+      const dawn = resolveNight(next, players);
+      next = dawn.state;
+      events.push(dawn.event);
+      extra.announcement = dawn.event.data.announcement;
+    }
+
+    return { state: next, events, extra };
+  });
+}
+
+// 记录白天的放逐或开枪
+async function submitDayAction(data, dbManager) {
+  return await updateGameSession(data, dbManager, (state, players) => {
+    const action = applyDayAction(state, players, data);
+    return { state: action.state, events: [action.event] };
+  });
+}
+
+// 白天结束，进入下一夜
+async function startNextNight(data, dbManager) {
+  return await updateGameSession(data, dbManager, state => ({
+    state: enterNextNight(state),
+    events: []
+  }));
+}
+
+// 结束对局：未指定获胜阵营时按屠边规则判定
+async function endGameSession(data, dbManager) {
+  return await updateGameSession(data, dbManager, (state, players) => {
+    const winningCamp = data.winningCamp || checkWinner(state, players);
+    if (!Object.values(CAMPS).includes(winningCamp)) {
+      throw new Error('尚未分出胜负，请选择获胜阵营');
+    }
+
+    return {
+      state,
+      events: [{ phase: state.phase, round: state.round, step: 'end', targetSeat: null, data: { winningCamp } }],
+      fields: { status: 'ended', winning_camp: winningCamp, ended_at: new Date() },
+      extra: { message: '对局已结束', winningCamp }
+    };
+  });
+}
+
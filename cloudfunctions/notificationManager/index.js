@@ -0,0 +1,271 @@
+// 云函数：通知管理
+// cloudfunctions/notificationManager/index.js
+
+const cloud = require('wx-server-sdk');
+const { getDatabaseManager } = require('../../utils/database');
+const {
+  enqueueNotification,
+  dispatchPendingNotifications,
+  listNotificationTypes
+} = require('../../utils/notifications');
+
+cloud.init({
+  env: cloud.DYNAMIC_CURRENT_ENV
+});
+
+// 站内信每页条数
+const INBOX_DEFAULT_LIMIT = 20;
+const INBOX_MAX_LIMIT = 50;
+
+exports.main = async (event) => {
+  const { action, data } = event;
+  const dbManager = getDatabaseManager();
+
+  try {
+    // 确保数据库连接
+    if (!dbManager.isHealthy()) {
+      await dbManager.init();
+    }
+
+    switch (action) {
+    case 'enqueue':
+      return await enqueue(data, dbManager);
+    case 'dispatchPending':
+      return await dispatchPending(data, dbManager);
+    case 'getInbox':
+      return await getInbox(data, dbManager);
+    case 'markRead':
+      return await markRead(data, dbManager);
+    case 'countUnread':
+      return await countUnread(data, dbManager);
+    case 'deleteMessages':
+      return await deleteMessages(data, dbManager);
+    case 'sendAnnouncement':
+      return await sendAnnouncement(data, dbManager);
+    case 'getPreferences':
+      return await getPreferences(data, dbManager);
+    case 'updatePreferences':
+      return await updatePreferences(data, dbManager);
+    default:
+      throw new Error('未知操作');
+    }
+  } catch (error) {
+    console.error('通知管理云函数错误:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// 将通知事件写入发件箱（供其他云函数调用）
+async function enqueue(data, dbManager) {
+  const { userPhone, type, payload, referenceType, referenceId } = data;
+
+  const ids = await enqueueNotification(dbManager, {
+    userPhone,
+    type,
+    data: payload,
+    referenceType,
+    referenceId
+  });
+
+  return {
+    success: true,
+    data: {
+      notificationIds: ids
+    }
+  };
+}
+
+// 投递到期的待发送通知（由定时任务调用）
+async function dispatchPending(data, dbManager) {
+  const stats = await dispatchPendingNotifications(dbManager, { cloud });
+
+  return {
+    success: true,
+    data: {
+      message: '通知投递完成',
+      ...stats
+    }
+  };
+}
+
+// 获取站内信列表及未读数量，unreadOnly 为 true 时只返回未读
+async function getInbox(data, dbManager) {
+  const { userPhone, offset = 0, unreadOnly = false } = data;
+  const limit = Math.min(Number(data.limit) || INBOX_DEFAULT_LIMIT, INBOX_MAX_LIMIT);
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const notifications = await dbManager.getInboxNotifications(userPhone, limit + 1, Number(offset) || 0, Boolean(unreadOnly));
+  const unreadCount = await dbManager.countUnreadNotifications(userPhone);
+
+  return {
+    success: true,
+    data: {
+      list: notifications.slice(0, limit).map(formatNotification),
+      hasMore: notifications.length > limit,
+      unreadCount
+    }
+  };
+}
+
+// 将站内信标记为已读，未传 ids 时全部标记为已读
+async function markRead(data, dbManager) {
+  const { userPhone, ids } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const updated = await dbManager.markNotificationsRead(userPhone, Array.isArray(ids) ? ids.map(Number) : null);
+
+  return {
+    success: true,
+    data: {
+      updated,
+      unreadCount: await dbManager.countUnreadNotifications(userPhone)
+    }
+  };
+}
+
+// 统计未读站内信数量（用于用户中心角标）
+async function countUnread(data, dbManager) {
+  const { userPhone } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  return {
+    success: true,
+    data: {
+      unreadCount: await dbManager.countUnreadNotifications(userPhone)
+    }
+  };
+}
+
+// 删除站内信
+async function deleteMessages(data, dbManager) {
+  const { userPhone, ids } = data;
+
+  if (!userPhone || !Array.isArray(ids) || ids.length === 0) {
+    throw new Error('用户手机号和消息ID不能为空');
+  }
+
+  const deleted = await dbManager.deleteNotifications(userPhone, ids.map(Number));
+
+  return {
+    success: true,
+    data: {
+      deleted,
+      unreadCount: await dbManager.countUnreadNotifications(userPhone)
+    }
+  };
+}
+
+// 管理员向所有会员发送店铺公告
+async function sendAnnouncement(data, dbManager) {
+  const { adminPhone, title, content } = data;
+
+  if (!adminPhone || !title || !content) {
+    throw new Error('操作人、公告标题和内容不能为空');
+  }
+
+  const admin = await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [adminPhone]);
+  if (!admin) {
+    throw new Error('只有管理员可以发送公告');
+  }
+
+  const userPhones = await dbManager.getActiveUserPhones();
+  let sentCount = 0;
+  for (const userPhone of userPhones) {
+    try {
+      await enqueueNotification(dbManager, {
+        userPhone,
+        type: 'announcement',
+        data: { title: String(title).slice(0, 200), content },
+        referenceType: 'announcement'
+      });
+      sentCount++;
+    } catch (error) {
+      console.error(`公告发送失败: ${userPhone}`, error);
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      message: `公告已发送给${sentCount}位会员`,
+      sentCount
+    }
+  };
+}
+
+// 获取通知偏好：列出各通知类型的可用渠道及是否接收（默认接收）
+async function getPreferences(data, dbManager) {
+  const { userPhone } = data;
+
+  if (!userPhone) {
+    throw new Error('用户手机号不能为空');
+  }
+
+  const saved = await dbManager.getNotificationPreferences(userPhone);
+  const isEnabled = (type, channel) => {
+    const preference = saved.find(item => item.type === type && item.channel === channel);
+    return preference ? Boolean(preference.enabled) : true;
+  };
+
+  return {
+    success: true,
+    data: listNotificationTypes().map(item => ({
+      type: item.type,
+      name: item.name,
+      channels: item.channels.map(channel => ({
+        channel,
+        enabled: isEnabled(item.type, channel)
+      }))
+    }))
+  };
+}
+
+// 更新通知偏好，preferences 为 [{ type, channel, enabled }]
+async function updatePreferences(data, dbManager) {
+  const { userPhone, preferences } = data;
+
+  if (!userPhone || !Array.isArray(preferences)) {
+    throw new Error('用户手机号和偏好设置不能为空');
+  }
+
+  const types = listNotificationTypes();
+  for (const preference of preferences) {
+    const type = types.find(item => item.type === preference.type);
+    if (!type || !type.channels.includes(preference.channel)) {
+      throw new Error(`不支持的通知设置: ${preference.type}/${preference.channel}`);
+    }
+  }
+
+  for (const preference of preferences) {
+    await dbManager.setNotificationPreference(userPhone, preference.type, preference.channel, preference.enabled);
+  }
+
+  return await getPreferences({ userPhone }, dbManager);
+}
+
+// 格式化站内信
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    content: notification.content,
+    referenceType: notification.reference_type,
+    referenceId: notification.reference_id,
+    isRead: Boolean(notification.read_at),
+    readAt: notification.read_at,
+    createdAt: notification.created_at
+  };
+}
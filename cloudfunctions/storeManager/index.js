@@ -3,6 +3,10 @@
 
 const cloud = require('wx-server-sdk');
 const { getDatabaseManager } = require('../../utils/database');
+const activityConfig = require('../../config/activity');
+const { ROOM_TYPE_NAMES, ROOM_FEATURES, validateRoom, getBookingRange, parseFeatures } = require('../../utils/rooms');
+const { formatDateTime, getSlotRange } = require('../../utils/gameMasters');
+const { addDays } = require('../../utils/recurrence');
 
 cloud.init({
   env: cloud.DYNAMIC_CURRENT_ENV
@@ -33,6 +37,26 @@ exports.main = async (event, context) => {
       return await removeAdmin(data, dbManager);
     case 'updateAdmin':
       return await updateAdmin(data, dbManager);
+    case 'getRooms':
+      return await getRooms(data, dbManager);
+    case 'saveRoom':
+      return await saveRoom(data, dbManager);
+    case 'setRoomStatus':
+      return await setRoomStatus(data, dbManager);
+    case 'getRoomTimeline':
+      return await getRoomTimeline(data, dbManager);
+    case 'getGameMasters':
+      return await getGameMasters(data, dbManager);
+    case 'saveGameMaster':
+      return await saveGameMaster(data, dbManager);
+    case 'setGameMasterStatus':
+      return await setGameMasterStatus(data, dbManager);
+    case 'getGameMasterAvailability':
+      return await getGameMasterAvailability(data, dbManager);
+    case 'addGameMasterAvailability':
+      return await addGameMasterAvailability(data, dbManager);
+    case 'removeGameMasterAvailability':
+      return await removeGameMasterAvailability(data, dbManager);
     default:
       throw new Error('未知操作');
     }
@@ -328,3 +352,346 @@ async function updateAdmin(data, dbManager) {
     }
   };
 }
+
+// 校验操作人是否为管理员
+async function assertAdmin(phone, dbManager) {
+  const admin = phone
+    ? await dbManager.queryOne('SELECT * FROM admins WHERE phone = ?', [phone])
+    : null;
+  if (!admin) {
+    throw new Error('只有管理员可以执行此操作');
+  }
+}
+
+// 获取房间列表，includeInactive 为 true 时包含已停用的房间
+async function getRooms(data = {}, dbManager) {
+  const rooms = await dbManager.getRooms(Boolean(data.includeInactive));
+
+  return {
+    success: true,
+    data: {
+      rooms: rooms.map(formatRoom),
+      types: Object.entries(ROOM_TYPE_NAMES).map(([value, name]) => ({ value, name })),
+      features: Object.entries(ROOM_FEATURES).map(([value, name]) => ({ value, name }))
+    }
+  };
+}
+
+// 新增或编辑房间（传入 id 时为编辑）
+async function saveRoom(data, dbManager) {
+  const { operatorPhone, room } = data;
+
+  await assertAdmin(operatorPhone, dbManager);
+
+  if (!room) {
+    throw new Error('房间信息不能为空');
+  }
+
+  const fields = {
+    name: String(room.name || '').trim(),
+    type: room.type,
+    capacity: Number(room.capacity),
+    hourly_price: Number(room.hourlyPrice) || 0,
+    features: Array.isArray(room.features) ? room.features : [],
+    sort_order: Number(room.sortOrder) || 0
+  };
+
+  validateRoom(fields);
+
+  const duplicate = await dbManager.queryOne(
+    'SELECT id FROM rooms WHERE name = ? AND id <> ?',
+    [fields.name, room.id || 0]
+  );
+  if (duplicate) {
+    throw new Error('房间名称已存在');
+  }
+
+  fields.features = JSON.stringify(fields.features);
+
+  let roomId = room.id;
+  if (roomId) {
+    const affected = await dbManager.update('rooms', fields, 'id = ?', [roomId]);
+    if (affected === 0) {
+      throw new Error('房间不存在');
+    }
+  } else {
+    roomId = await dbManager.insert('rooms', fields);
+  }
+
+  return {
+    success: true,
+    data: {
+      message: room.id ? '房间已更新' : '房间已添加',
+      room: formatRoom(await dbManager.getRoom(roomId))
+    }
+  };
+}
+
+// 启用或停用房间，停用后不能再被新活动预订，已有预订不受影响
+async function setRoomStatus(data, dbManager) {
+  const { operatorPhone, roomId, status } = data;
+
+  await assertAdmin(operatorPhone, dbManager);
+
+  if (!['active', 'inactive'].includes(status)) {
+    throw new Error('无效的房间状态');
+  }
+
+  const affected = await dbManager.update('rooms', { status }, 'id = ?', [roomId]);
+  if (affected === 0) {
+    throw new Error('房间不存在');
+  }
+
+  return {
+    success: true,
+    data: {
+      message: status === 'active' ? '房间已启用' : '房间已停用'
+    }
+  };
+}
+
+// 获取某天各房间的占用时间轴，预订位置以时间轴百分比返回，便于页面直接渲染
+async function getRoomTimeline(data, dbManager) {
+  const { date } = data;
+
+  if (!date) {
+    throw new Error('日期不能为空');
+  }
+
+  const { defaultDurationMinutes, timelineStartHour, timelineEndHour } = activityConfig.booking;
+  const totalMinutes = (timelineEndHour - timelineStartHour) * 60;
+  const range = getBookingRange(date, `${timelineStartHour}:00`, totalMinutes);
+
+  const rooms = await dbManager.getRooms(true);
+  const bookings = await dbManager.getRoomBookings(range, defaultDurationMinutes);
+
+  // 时间段起止均为 YYYY-MM-DD HH:mm:ss，按同一基准换算分钟差
+  const minutesFromStart = value => (Date.parse(`${value.replace(' ', 'T')}Z`) - Date.parse(`${range.start.replace(' ', 'T')}Z`)) / 60000;
+  const clamp = value => Math.min(Math.max(value, 0), totalMinutes);
+
+  const timeline = rooms.map(room => ({
+    ...formatRoom(room),
+    bookings: bookings
+      .filter(booking => booking.room_id === room.id)
+      .map(booking => {
+        const bookingRange = getBookingRange(booking.date, booking.time, booking.duration_minutes || defaultDurationMinutes);
+        const left = clamp(minutesFromStart(bookingRange.start));
+        const right = clamp(minutesFromStart(bookingRange.end));
+        return {
+          activityId: booking.id,
+          title: booking.title,
+          status: booking.status,
+          start: bookingRange.start.slice(11, 16),
+          end: bookingRange.end.slice(11, 16),
+          leftPercent: Math.round(left / totalMinutes * 10000) / 100,
+          widthPercent: Math.round((right - left) / totalMinutes * 10000) / 100
+        };
+      })
+  }));
+
+  const hours = [];
+  for (let hour = timelineStartHour; hour <= timelineEndHour; hour++) {
+    hours.push({
+      label: `${String(hour % 24).padStart(2, '0')}:00`,
+      leftPercent: Math.round((hour - timelineStartHour) * 60 / totalMinutes * 10000) / 100
+    });
+  }
+
+  return {
+    success: true,
+    data: {
+      date,
+      hours,
+      rooms: timeline
+    }
+  };
+}
+
+// 获取法官列表，includeInactive 为 true 时包含已停用的法官
+async function getGameMasters(data = {}, dbManager) {
+  const gameMasters = await dbManager.getGameMasters(Boolean(data.includeInactive));
+
+  return {
+    success: true,
+    data: gameMasters.map(formatGameMaster)
+  };
+}
+
+// 新增或编辑法官（按手机号识别，法官需为已注册用户）
+async function saveGameMaster(data, dbManager) {
+  const { operatorPhone, phone, name, bio } = data;
+
+  await assertAdmin(operatorPhone, dbManager);
+
+  if (!phone || !name || !String(name).trim()) {
+    throw new Error('手机号和姓名不能为空');
+  }
+
+  const user = await dbManager.getUser(phone);
+  if (!user) {
+    throw new Error('用户不存在，请先让该用户注册');
+  }
+
+  const fields = {
+    name: String(name).trim(),
+    bio: bio ? String(bio).slice(0, 500) : null
+  };
+
+  const existing = await dbManager.getGameMaster(phone);
+  if (existing) {
+    await dbManager.update('game_masters', fields, 'phone = ?', [phone]);
+  } else {
+    await dbManager.insert('game_masters', { ...fields, phone, created_by: operatorPhone });
+  }
+
+  return {
+    success: true,
+    data: {
+      message: existing ? '法官信息已更新' : '法官已添加',
+      gameMaster: formatGameMaster(await dbManager.getGameMaster(phone))
+    }
+  };
+}
+
+// 启用或停用法官，停用后不能再被安排新的活动，已有排班不受影响
+async function setGameMasterStatus(data, dbManager) {
+  const { operatorPhone, phone, status } = data;
+
+  await assertAdmin(operatorPhone, dbManager);
+
+  if (!['active', 'inactive'].includes(status)) {
+    throw new Error('无效的法官状态');
+  }
+
+  const affected = await dbManager.update('game_masters', { status }, 'phone = ?', [phone]);
+  if (affected === 0) {
+    throw new Error('法官不存在');
+  }
+
+  return {
+    success: true,
+    data: {
+      message: status === 'active' ? '法官已启用' : '法官已停用'
+    }
+  };
+}
+
+// 校验操作人可以维护该法官的空闲时段：管理员或法官本人
+async function assertCanEditAvailability(operatorPhone, gameMasterPhone, dbManager) {
+  if (operatorPhone && operatorPhone === gameMasterPhone) {
+    return;
+  }
+  await assertAdmin(operatorPhone, dbManager);
+}
+
+// 获取日期区间内的法官空闲时段，未指定法官时返回所有法官
+async function getGameMasterAvailability(data, dbManager) {
+  const { gameMasterPhone, dateFrom, dateTo } = data;
+
+  if (!dateFrom || !dateTo) {
+    throw new Error('日期区间不能为空');
+  }
+
+  const range = { start: `${dateFrom} 00:00:00`, end: `${addDays(dateTo, 1)} 00:00:00` };
+  const slots = await dbManager.getGameMasterAvailability(range, gameMasterPhone || null);
+
+  return {
+    success: true,
+    data: slots.map(formatAvailability)
+  };
+}
+
+// 登记空闲时段，与同一法官已有时段重叠时拒绝
+async function addGameMasterAvailability(data, dbManager) {
+  const { operatorPhone, gameMasterPhone, date, startTime, endTime, note } = data;
+
+  await assertCanEditAvailability(operatorPhone, gameMasterPhone, dbManager);
+
+  const gameMaster = await dbManager.getGameMaster(gameMasterPhone);
+  if (!gameMaster) {
+    throw new Error('法官不存在');
+  }
+
+  const range = getSlotRange(date, startTime, endTime);
+  const overlapping = await dbManager.getGameMasterAvailability(range, gameMasterPhone);
+  if (overlapping.length > 0) {
+    throw new Error('与已登记的空闲时段重叠');
+  }
+
+  const id = await dbManager.insert('game_master_availability', {
+    game_master_phone: gameMasterPhone,
+    start_at: range.start,
+    end_at: range.end,
+    note: note ? String(note).slice(0, 100) : null
+  });
+
+  return {
+    success: true,
+    data: {
+      message: '空闲时段已登记',
+      id
+    }
+  };
+}
+
+// 删除空闲时段（已安排的活动不受影响）
+async function removeGameMasterAvailability(data, dbManager) {
+  const { operatorPhone, id } = data;
+
+  const slot = await dbManager.queryOne('SELECT * FROM game_master_availability WHERE id = ?', [id]);
+  if (!slot) {
+    throw new Error('空闲时段不存在');
+  }
+
+  await assertCanEditAvailability(operatorPhone, slot.game_master_phone, dbManager);
+  await dbManager.delete('game_master_availability', 'id = ?', [id]);
+
+  return {
+    success: true,
+    data: {
+      message: '空闲时段已删除'
+    }
+  };
+}
+
+// 格式化法官
+function formatGameMaster(gameMaster) {
+  return {
+    phone: gameMaster.phone,
+    name: gameMaster.name,
+    bio: gameMaster.bio || '',
+    status: gameMaster.status
+  };
+}
+
+// 格式化空闲时段
+function formatAvailability(slot) {
+  const start = formatDateTime(slot.start_at);
+  const end = formatDateTime(slot.end_at);
+  return {
+    id: slot.id,
+    gameMasterPhone: slot.game_master_phone,
+    date: start.slice(0, 10),
+    startTime: start.slice(11, 16),
+    endTime: end.slice(11, 16),
+    crossesMidnight: end.slice(0, 10) !== start.slice(0, 10),
+    note: slot.note || ''
+  };
+}
+
+// 格式化房间
+function formatRoom(room) {
+  const features = parseFeatures(room.features);
+  return {
+    id: room.id,
+    name: room.name,
+    type: room.type,
+    typeName: ROOM_TYPE_NAMES[room.type],
+    capacity: room.capacity,
+    hourlyPrice: Number(room.hourly_price),
+    features,
+    featureNames: features.map(feature => ROOM_FEATURES[feature]).filter(Boolean),
+    status: room.status,
+    sortOrder: room.sort_order
+  };
+}
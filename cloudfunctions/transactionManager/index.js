@@ -3,6 +3,7 @@
 
 const cloud = require('wx-server-sdk');
 const { getDatabaseManager } = require('../../utils/database');
+const { enqueueNotification } = require('../../utils/notifications');
 
 cloud.init({
   env: cloud.DYNAMIC_CURRENT_ENV
@@ -123,6 +124,14 @@ async function addTransaction(data, dbManager) {
     last_transaction_time: new Date()
   });
 
+  if (transactionData.type === 'penalty') {
+    await notifyBalanceChange(transactionData.userPhone, 'penalty_charged', {
+      amount: parseFloat(transactionData.amount),
+      balance: balanceAfter,
+      description: transactionData.description || '罚金'
+    }, transactionId, dbManager);
+  }
+
   return {
     success: true,
     data: {
@@ -197,6 +206,11 @@ async function recharge(data, dbManager) {
     });
   }
 
+  await notifyBalanceChange(userPhone, 'balance_recharged', {
+    amount: parseFloat(amount),
+    balance: newBalance
+  }, transactionId, dbManager);
+
   return {
     success: true,
     data: {
@@ -308,6 +322,21 @@ async function refund(data, dbManager) {
   };
 }
 
+// 余额变动通知，入队失败只记录日志，不影响交易结果
+async function notifyBalanceChange(userPhone, type, data, transactionId, dbManager) {
+  try {
+    await enqueueNotification(dbManager, {
+      userPhone,
+      type,
+      data,
+      referenceType: 'transaction',
+      referenceId: transactionId
+    });
+  } catch (error) {
+    console.error(`余额变动通知入队失败: ${userPhone}`, error);
+  }
+}
+
 // 检查并更新会员等级
 async function checkAndUpdateMemberLevel(userPhone, dbManager) {
   const memberCard = await dbManager.getMemberCard(userPhone);
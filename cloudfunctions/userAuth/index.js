@@ -59,10 +59,11 @@ async function handleLogin(data, dbManager) {
   // 获取会员卡信息
   const memberCard = await dbManager.getMemberCard(phone);
 
-  // 记录最后登录时间
+  // 记录最后登录时间和微信 openid（用于发送订阅消息）
+  const { OPENID } = cloud.getWXContext();
   await dbManager.execute(
-    'UPDATE users SET last_login_time = ? WHERE phone = ?',
-    [new Date(), phone]
+    'UPDATE users SET last_login_time = ?, openid = COALESCE(?, openid) WHERE phone = ?',
+    [new Date(), OPENID || null, phone]
   );
 
   return {
@@ -0,0 +1,103 @@
+// 活动业务配置文件
+// config/activity.js
+
+module.exports = {
+  // 签到配置
+  checkin: {
+    codeRotateSeconds: 30, // 签到码轮换周期（秒）
+    openBeforeMinutes: 60, // 活动开始前多久开放签到（分钟）
+    graceMinutes: 15 // 开始后的签到宽限期（分钟），超时未签到记为缺席
+  },
+
+  // 缺席处罚配置
+  noShowPenalty: {
+    enabled: false, // 是否扣除缺席罚金（默认关闭，由运营确认后开启）
+    amount: 10.00 // 罚金金额（元），通过 penalty 交易从会员余额扣除
+  },
+
+  // 活动生命周期配置（由定时任务自动推进状态）
+  lifecycle: {
+    minPlayersDeadlineHours: 2, // 开始前多久仍未达到最少人数则自动取消（小时）
+    earlyStartMinutes: 30, // 主持人最多可提前开始的时间（分钟）
+    autoCompleteMinutes: 240 // 开始后多久自动结束（分钟）
+  },
+
+  // 付费活动退出时的退款规则：按距开始时间从远到近匹配第一条，活动开始后不退款
+  refundPolicy: [
+    { hoursBeforeStart: 24, ratio: 1 }, // 开始前24小时以上全额退款
+    { hoursBeforeStart: 0, ratio: 0.5 } // 开始前24小时内退款50%
+  ],
+
+  // 朋友名额配置
+  guests: {
+    maxPerMember: 3, // 每位会员最多为几位朋友预留名额
+    maxNameLength: 20 // 朋友称呼最大字数
+  },
+
+  // 座位配置
+  seating: {
+    allocateOnJoin: true // 报名时自动分配最小的空闲座位号；关闭后由主持人开局前随机排座
+  },
+
+  // 活动讨论区配置
+  comments: {
+    maxLength: 500, // 单条留言最大字数
+    pageSize: 20, // 每页留言条数（回复同样分页）
+    replyPreviewCount: 3, // 留言列表中每条留言预览的回复条数
+    maxMentions: 5, // 单条留言最多 @ 的人数
+    maxPinned: 3 // 每个活动最多置顶的留言数
+  },
+
+  // 活动相册配置：照片上传到云存储 {cloudPathPrefix}/{活动ID}/ 目录下
+  album: {
+    cloudPathPrefix: 'activity-photos',
+    maxPhotosPerActivity: 200, // 每个活动最多的照片数
+    maxPhotosPerUpload: 9, // 单次最多上传的照片数
+    maxFileSizeMB: 10, // 单张照片大小上限（MB）
+    pageSize: 30 // 每页照片数
+  },
+
+  // 活动评价配置
+  review: {
+    windowDays: 7, // 活动结束后多久内可以评价（天）
+    maxCommentLength: 300, // 评价内容最大字数
+    requireApproval: true // 评价是否需要管理员审核后才公开；关闭后提交即公开，管理员仍可下架
+  },
+
+  // 法官夜间流程助手配置（不同店的规则差异）
+  gameRunner: {
+    witchSelfSave: 'first_night', // 女巫自救：first_night 仅首夜可自救，never 不能自救，always 任意夜可自救
+    guardedAndSavedDies: true // 同守同救：被守卫守护且被女巫救的玩家是否依然死亡
+  },
+
+  // 积分（ELO）配置：每局结束后按所在阵营胜负与对方阵营平均积分调整
+  rating: {
+    initialRating: 1500, // 初始积分
+    kFactor: 24, // 积分变化系数
+    provisionalGames: 10, // 定级局数，定级期内不进入总榜
+    provisionalKFactor: 48, // 定级期内的积分变化系数（更快接近真实水平）
+    leaderboardSize: 50, // 排行榜显示人数
+    minMonthlyGames: 3, // 进入月榜的最少局数
+    minRoleGames: 3 // 进入角色榜的最少局数
+  },
+
+  // 活动时长与房间预订配置
+  booking: {
+    defaultDurationMinutes: 240, // 未设置时长的活动按此时长占用房间、导出日历
+    minDurationMinutes: 30, // 最短时长（分钟）
+    maxDurationMinutes: 720, // 最长时长（分钟）
+    timelineStartHour: 10, // 房间占用时间轴起始时刻
+    timelineEndHour: 26 // 房间占用时间轴结束时刻（26 表示次日凌晨2点）
+  },
+
+  // 日历导出（iCalendar）配置
+  calendar: {
+    name: '狼人杀桌游店', // 日历名称
+    productId: '-//zhuoyou//activity calendar//CN', // PRODID
+    timezone: 'Asia/Shanghai', // 活动时间所在时区
+    utcOffset: '+0800', // 时区固定偏移
+    uidDomain: 'zhuoyou.activity', // UID 后缀，修改后日历应用会把日程视为新日程
+    pastDays: 30, // 导出最近多少天内已过去的活动
+    storeFilePath: 'calendars/store.ics' // 店铺公开日历在云存储中的路径（定时刷新，可作为订阅地址）
+  }
+};
@@ -0,0 +1,39 @@
+// 通知业务配置文件
+// config/notification.js
+
+module.exports = {
+  // 启用的投递渠道：inbox 站内信 / wechat_subscribe 微信订阅消息 / local 本地调试渠道（仅打印日志，启用后接收所有类型的通知）
+  enabledChannels: ['inbox', 'wechat_subscribe'],
+
+  // 投递失败重试：第 n 次失败后等待 baseDelaySeconds * 2^(n-1) 秒，达到 maxAttempts 次后标记为失败
+  retry: {
+    maxAttempts: 5,
+    baseDelaySeconds: 60
+  },
+
+  // 每次定时投递处理的最大条数
+  dispatchBatchSize: 100,
+
+  // 活动开始前多久发送提醒（分钟）
+  reminderBeforeMinutes: 60,
+
+  // 微信订阅消息模板：templateId 需在小程序后台申请后填写，data 为模板字段与通知变量的对应关系
+  // 未配置 templateId 的通知类型不会通过订阅消息发送
+  subscribeTemplates: {
+    activity_cancelled: {
+      templateId: '',
+      page: 'pages/activity-detail/activity-detail?id={activityId}',
+      data: { thing1: 'activityTitle', time2: 'startTime', thing3: 'reason' }
+    },
+    waitlist_promoted: {
+      templateId: '',
+      page: 'pages/activity-detail/activity-detail?id={activityId}',
+      data: { thing1: 'activityTitle', time2: 'startTime' }
+    },
+    activity_reminder: {
+      templateId: '',
+      page: 'pages/activity-detail/activity-detail?id={activityId}',
+      data: { thing1: 'activityTitle', time2: 'startTime', thing3: 'location' }
+    }
+  }
+};
@@ -0,0 +1,14 @@
+// 敏感词配置文件
+// config/sensitiveWords.js
+
+module.exports = {
+  // 命中后替换为同等长度的 * 再保存；英文不区分大小写
+  words: [
+    // 辱骂
+    '傻逼', '傻B', '煞笔', '脑残', '智障', '滚蛋', '去死',
+    // 广告与引流
+    '加微信', '加vx', '私聊领取', '代练', '刷单', '兼职日结',
+    // 赌博与违禁
+    '赌博', '博彩', '网赌', '外挂'
+  ]
+};
@@ -0,0 +1,239 @@
+// pages/activity-album/activity-album.js
+const activityConfig = require('../../config/activity');
+
+const { cloudPathPrefix, maxPhotosPerUpload, maxFileSizeMB, pageSize } = activityConfig.album;
+
+Page({
+  data: {
+    activityId: null,
+    userPhone: '',
+    isAdmin: false,
+    photos: [],
+    quota: null,
+    canUpload: false,
+    // 主持人或被安排的法官可以设置封面
+    canSetCover: false,
+    hasMore: false,
+    isLoading: false,
+    hasLoaded: false,
+    isUploading: false
+  },
+
+  onLoad(options) {
+    if (!options.id) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    const app = getApp();
+    const userInfo = app.globalData.isLoggedIn ? app.globalData.userInfo : null;
+
+    this.setData({
+      activityId: options.id,
+      userPhone: userInfo ? userInfo.phone : '',
+      isAdmin: !!userInfo && app.isAdminUser(userInfo.phone, userInfo.name)
+    });
+    this.loadPhotos();
+  },
+
+  onReachBottom() {
+    if (this.data.hasMore && !this.data.isLoading) {
+      this.loadPhotos(true);
+    }
+  },
+
+  onPullDownRefresh() {
+    this.loadPhotos().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('网络未连接，请稍后重试');
+    }
+
+    const result = await app.callActivityManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 加载相册，append 为 true 时加载下一页
+  async loadPhotos(append = false) {
+    const { photos, activityId, userPhone, isAdmin } = this.data;
+    this.setData({ isLoading: true });
+
+    try {
+      const page = await this.callActivityManager('getAlbum', {
+        activityId,
+        userPhone,
+        limit: pageSize,
+        offset: append ? photos.length : 0
+      });
+      const list = page.list.map(photo => ({
+        ...photo,
+        canDelete: !!userPhone && (photo.userPhone === userPhone || isAdmin)
+      }));
+
+      this.setData({
+        photos: append ? [...photos, ...list] : list,
+        quota: page.quota,
+        canUpload: page.canUpload,
+        canSetCover: page.canSetCover,
+        hasMore: page.hasMore,
+        isLoading: false,
+        hasLoaded: true
+      });
+    } catch (error) {
+      console.error('加载相册失败:', error);
+      this.setData({ isLoading: false, hasLoaded: true });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 选择照片并上传到云存储，再登记到活动相册；登记失败时删除已上传的文件
+  async choosePhotos() {
+    const { quota, isUploading } = this.data;
+    if (isUploading) return;
+
+    const count = Math.min(maxPhotosPerUpload, quota ? quota.remaining : maxPhotosPerUpload);
+    if (count <= 0) {
+      wx.showToast({
+        title: '相册照片已达上限',
+        icon: 'none'
+      });
+      return;
+    }
+
+    let files;
+    try {
+      const res = await wx.chooseMedia({ count, mediaType: ['image'], sizeType: ['compressed'] });
+      files = res.tempFiles;
+    } catch (error) {
+      // 用户取消选择
+      return;
+    }
+
+    if (files.some(file => file.size > maxFileSizeMB * 1024 * 1024)) {
+      wx.showToast({
+        title: `单张照片不能超过${maxFileSizeMB}MB`,
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ isUploading: true });
+    wx.showLoading({ title: '上传中...' });
+
+    const fileIds = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        const ext = (file.tempFilePath.match(/\.(\w+)$/) || [null, 'jpg'])[1];
+        const { fileID } = await wx.cloud.uploadFile({
+          cloudPath: `${cloudPathPrefix}/${this.data.activityId}/${this.data.userPhone}-${Date.now()}-${index}.${ext}`,
+          filePath: file.tempFilePath
+        });
+        fileIds.push(fileID);
+      }
+
+      const result = await this.callActivityManager('addPhotos', {
+        activityId: this.data.activityId,
+        userPhone: this.data.userPhone,
+        fileIds
+      });
+
+      wx.hideLoading();
+      wx.showToast({ title: result.message, icon: 'success' });
+      this.loadPhotos();
+    } catch (error) {
+      console.error('上传照片失败:', error);
+      if (fileIds.length > 0) {
+        wx.cloud.deleteFile({ fileList: fileIds }).catch(err => console.error('清理上传文件失败:', err));
+      }
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '上传失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isUploading: false });
+    }
+  },
+
+  // 预览大图
+  previewPhoto(e) {
+    const { photos } = this.data;
+    wx.previewImage({
+      current: photos[Number(e.currentTarget.dataset.index)].fileId,
+      urls: photos.map(photo => photo.fileId)
+    });
+  },
+
+  // 长按照片：设为封面 / 删除
+  onPhotoLongPress(e) {
+    const photo = this.data.photos[Number(e.currentTarget.dataset.index)];
+    const actions = [];
+
+    if (this.data.canSetCover && !photo.isCover) {
+      actions.push({ name: '设为封面', handler: () => this.setCover(photo) });
+    }
+    if (photo.canDelete) {
+      actions.push({ name: '删除照片', handler: () => this.deletePhoto(photo) });
+    }
+    if (actions.length === 0) return;
+
+    wx.showActionSheet({
+      itemList: actions.map(action => action.name),
+      success: (res) => actions[res.tapIndex].handler()
+    });
+  },
+
+  async setCover(photo) {
+    try {
+      const result = await this.callActivityManager('setAlbumCover', {
+        photoId: photo.id,
+        userPhone: this.data.userPhone
+      });
+      wx.showToast({ title: result.message, icon: 'success' });
+      this.loadPhotos();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  deletePhoto(photo) {
+    wx.showModal({
+      title: '删除照片',
+      content: '确定删除这张照片吗？',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await this.callActivityManager('deletePhoto', {
+            photoId: photo.id,
+            userPhone: this.data.userPhone
+          });
+          wx.showToast({ title: result.message, icon: 'success' });
+          this.loadPhotos();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '删除失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  }
+});
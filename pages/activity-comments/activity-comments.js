@@ -0,0 +1,312 @@
+// pages/activity-comments/activity-comments.js
+const activityConfig = require('../../config/activity');
+
+const { pageSize, maxLength, maxMentions } = activityConfig.comments;
+
+Page({
+  data: {
+    activityId: null,
+    activityTitle: '',
+    userPhone: '',
+    isAdmin: false,
+    // 主持人或被安排的法官可以置顶留言
+    canModerate: false,
+    canPost: false,
+    comments: [],
+    total: 0,
+    hasMore: false,
+    isLoading: false,
+    hasLoaded: false,
+    // 输入框
+    content: '',
+    maxLength,
+    // 正在回复的留言 { commentId, name }
+    replyTarget: null,
+    // 可 @ 的人（参与者、主持人、法官）与已选择的 @
+    mentionOptions: [],
+    mentions: [],
+    isSubmitting: false
+  },
+
+  onLoad(options) {
+    if (!options.id) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ activityId: options.id });
+    this.loadActivity().then(() => this.loadComments());
+  },
+
+  onReachBottom() {
+    if (this.data.hasMore && !this.data.isLoading) {
+      this.loadComments(true);
+    }
+  },
+
+  onPullDownRefresh() {
+    this.loadComments().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('网络未连接，请稍后重试');
+    }
+
+    const result = await app.callActivityManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 加载活动信息：标题、权限和可 @ 的人
+  async loadActivity() {
+    const app = getApp();
+    const userInfo = app.globalData.isLoggedIn ? app.globalData.userInfo : null;
+    const userPhone = userInfo ? userInfo.phone : '';
+
+    try {
+      const detail = await this.callActivityManager('getActivityDetail', {
+        activityId: this.data.activityId,
+        userPhone
+      });
+
+      const people = new Map(detail.participants.map(p => [p.phone, p.name]));
+      [detail.host, detail.gameMaster].forEach(person => {
+        if (person && !people.has(person.phone)) {
+          people.set(person.phone, person.name);
+        }
+      });
+      people.delete(userPhone);
+
+      this.setData({
+        activityTitle: detail.title,
+        userPhone,
+        isAdmin: !!userInfo && app.isAdminUser(userInfo.phone, userInfo.name),
+        canModerate: !!userPhone && (detail.createdBy === userPhone ||
+          (!!detail.gameMaster && detail.gameMaster.phone === userPhone)),
+        canPost: !!userPhone && detail.status !== 'cancelled',
+        mentionOptions: [...people].map(([phone, name]) => ({ phone, name }))
+      });
+
+      wx.setNavigationBarTitle({ title: `${detail.title} · 讨论区` });
+    } catch (error) {
+      console.error('加载活动失败:', error);
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 加载留言列表，append 为 true 时加载下一页
+  async loadComments(append = false) {
+    const { comments, activityId } = this.data;
+    this.setData({ isLoading: true });
+
+    try {
+      const page = await this.callActivityManager('getComments', {
+        activityId,
+        limit: pageSize,
+        offset: append ? comments.length : 0
+      });
+      const list = page.list.map(comment => this.formatComment(comment));
+
+      this.setData({
+        comments: append ? [...comments, ...list] : list,
+        total: page.total,
+        hasMore: page.hasMore,
+        isLoading: false,
+        hasLoaded: true
+      });
+    } catch (error) {
+      console.error('加载留言失败:', error);
+      this.setData({ isLoading: false, hasLoaded: true });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 加载某条留言的更多回复
+  async loadReplies(e) {
+    const index = Number(e.currentTarget.dataset.index);
+    const comment = this.data.comments[index];
+
+    try {
+      const page = await this.callActivityManager('getCommentReplies', {
+        commentId: comment.id,
+        limit: pageSize,
+        offset: comment.replies.length
+      });
+      const replies = [...comment.replies, ...page.list.map(reply => this.formatComment(reply))];
+
+      this.setData({
+        [`comments[${index}].replies`]: replies,
+        [`comments[${index}].hasMoreReplies`]: page.hasMore
+      });
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 整理留言用于展示
+  formatComment(comment) {
+    const { userPhone, isAdmin } = this.data;
+    const replies = (comment.replies || []).map(reply => this.formatComment(reply));
+
+    return {
+      ...comment,
+      content: comment.isDeleted ? '该留言已删除' : comment.content,
+      timeText: this.formatTime(comment.createdAt),
+      authorTag: comment.isHostAuthor ? '主持人' : (comment.isGameMasterAuthor ? '法官' : ''),
+      canDelete: !comment.isDeleted && !!userPhone && (comment.userPhone === userPhone || isAdmin),
+      replies,
+      hasMoreReplies: replies.length < (comment.replyCount || 0)
+    };
+  },
+
+  formatTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getMonth() + 1}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  },
+
+  onContentInput(e) {
+    this.setData({ content: e.detail.value });
+  },
+
+  // 回复留言或回复
+  startReply(e) {
+    if (!this.data.canPost) return;
+
+    const { id, name } = e.currentTarget.dataset;
+    this.setData({ replyTarget: { commentId: id, name } });
+  },
+
+  cancelReply() {
+    this.setData({ replyTarget: null });
+  },
+
+  // 选择要 @ 的人，并在输入框末尾插入 @名字
+  onMentionPick(e) {
+    const { mentionOptions, mentions, content } = this.data;
+    const person = mentionOptions[Number(e.detail.value)];
+
+    if (mentions.some(m => m.phone === person.phone)) return;
+
+    if (mentions.length >= maxMentions) {
+      wx.showToast({
+        title: `每条留言最多@${maxMentions}人`,
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({
+      mentions: [...mentions, person],
+      content: `${content}@${person.name} `
+    });
+  },
+
+  // 发表留言或回复
+  async submitComment() {
+    const { activityId, userPhone, content, replyTarget, mentions, isSubmitting } = this.data;
+
+    if (isSubmitting) return;
+
+    if (!content.trim()) {
+      wx.showToast({
+        title: '请输入留言内容',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ isSubmitting: true });
+
+    try {
+      const result = await this.callActivityManager('postComment', {
+        activityId,
+        userPhone,
+        content,
+        parentId: replyTarget ? replyTarget.commentId : null,
+        // 删掉了 @名字 的人不再提醒
+        mentionPhones: mentions.filter(m => content.includes(`@${m.name}`)).map(m => m.phone)
+      });
+
+      this.setData({ content: '', replyTarget: null, mentions: [], isSubmitting: false });
+      wx.showToast({
+        title: result.filtered ? '已发布，部分内容已屏蔽' : result.message,
+        icon: result.filtered ? 'none' : 'success'
+      });
+      this.loadComments();
+    } catch (error) {
+      this.setData({ isSubmitting: false });
+      wx.showToast({
+        title: error.message || '发布失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 主持人 / 法官：置顶或取消置顶
+  async togglePin(e) {
+    const { id, pinned } = e.currentTarget.dataset;
+
+    try {
+      const result = await this.callActivityManager('pinComment', {
+        commentId: id,
+        userPhone: this.data.userPhone,
+        pinned: !pinned
+      });
+      wx.showToast({ title: result.message, icon: 'success' });
+      this.loadComments();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 删除留言（作者本人或管理员）
+  deleteComment(e) {
+    const { id } = e.currentTarget.dataset;
+
+    wx.showModal({
+      title: '删除留言',
+      content: '确定删除这条留言吗？',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await this.callActivityManager('deleteComment', {
+            commentId: id,
+            userPhone: this.data.userPhone
+          });
+          wx.showToast({ title: result.message, icon: 'success' });
+          this.loadComments();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '删除失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  }
+});
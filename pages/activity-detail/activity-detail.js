@@ -0,0 +1,483 @@
+// pages/activity-detail/activity-detail.js
+const { getBoard, countCamps, ROLES } = require('../../utils/boards');
+const { STATUS_NAMES, ENROLLMENT_STATUSES } = require('../../utils/activityLifecycle');
+const activityConfig = require('../../config/activity');
+
+const PAYMENT_STATUS_NAMES = {
+  pending: '待付款',
+  paid: '已付款',
+  refunded: '已退款'
+};
+
+Page({
+  data: {
+    activityId: null,
+    activity: null,
+    board: null,
+    refundRules: [],
+    userPhone: '',
+    isHost: false,
+    // 主持人或被安排的法官可以主持签到
+    canModerate: false,
+    isJoined: false,
+    canEnroll: false,
+    canCheckIn: false,
+    // 发身份：主持人 / 法官发牌，已发牌后参与者查看自己的身份
+    canOpenRoleCard: false,
+    // 法官助手：主持人 / 法官进行中操作，参与者可查看结束后的复盘
+    canOpenGameRunner: false,
+    // 调座时先选中的座位号
+    selectedSeat: null,
+    reviewForm: { rating: 0, comment: '' },
+    // 报名时同行朋友的称呼
+    guestNames: [],
+    maxGuests: activityConfig.guests.maxPerMember,
+    // 当前用户已预留的朋友名额
+    myGuests: [],
+    reviewMaxLength: activityConfig.review.maxCommentLength,
+    isLoading: true
+  },
+
+  onLoad(options) {
+    if (!options.id) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({
+      activityId: Number(options.id),
+      refundRules: this.buildRefundRules()
+    });
+  },
+
+  onShow() {
+    if (this.data.activityId) {
+      this.loadActivity();
+    }
+  },
+
+  onPullDownRefresh() {
+    this.loadActivity().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 分享活动
+  onShareAppMessage() {
+    const { activity, activityId } = this.data;
+
+    return {
+      title: activity ? `${activity.title} · ${activity.dateText} ${activity.timeText}` : '狼人杀桌游活动',
+      path: `/pages/activity-detail/activity-detail?id=${activityId}`
+    };
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('网络未连接，请稍后重试');
+    }
+
+    const result = await app.callActivityManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 加载活动详情
+  async loadActivity() {
+    const app = getApp();
+    const userPhone = app.globalData.isLoggedIn ? app.globalData.userInfo.phone : '';
+
+    this.setData({ isLoading: true, userPhone });
+
+    try {
+      const detail = await this.callActivityManager('getActivityDetail', {
+        activityId: this.data.activityId,
+        userPhone
+      });
+
+      const activity = this.formatActivity(detail);
+      const myParticipant = activity.participants.find(p => p.phone === userPhone);
+      const isJoined = !!myParticipant;
+      const canModerate = !!userPhone && (detail.createdBy === userPhone ||
+        (!!detail.gameMaster && detail.gameMaster.phone === userPhone));
+
+      this.setData({
+        activity,
+        board: this.buildBoard(detail.boardKey),
+        isHost: !!userPhone && detail.createdBy === userPhone,
+        canModerate,
+        isJoined,
+        myGuests: myParticipant ? myParticipant.guestNames : [],
+        canEnroll: ENROLLMENT_STATUSES.includes(detail.status),
+        canCheckIn: isJoined && ['open', 'full', 'in_progress'].includes(detail.status),
+        canOpenRoleCard: !['completed', 'cancelled'].includes(detail.status) &&
+          ((isJoined && !!detail.rolesDealtAt) || canModerate),
+        canOpenGameRunner: !!detail.rolesDealtAt && detail.status !== 'cancelled' && (canModerate || isJoined),
+        selectedSeat: null,
+        isLoading: false
+      });
+
+      wx.setNavigationBarTitle({ title: activity.title });
+    } catch (error) {
+      console.error('加载活动详情失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 整理活动数据用于展示
+  formatActivity(detail) {
+    return {
+      ...detail,
+      dateText: String(detail.date).slice(0, 10),
+      timeText: String(detail.time).slice(0, 5),
+      statusName: STATUS_NAMES[detail.status] || detail.status,
+      isFull: detail.currentPlayers >= detail.maxPlayers,
+      reviews: detail.reviews ? this.formatReviews(detail.reviews) : null,
+      participants: detail.participants.map((p, index) => ({
+        ...p,
+        // 已分配座位时显示座位号，否则显示报名顺序
+        order: p.seatNo || index + 1,
+        paymentStatusName: PAYMENT_STATUS_NAMES[p.paymentStatus] || ''
+      }))
+    };
+  },
+
+  // 整理评价数据用于展示
+  formatReviews(reviews) {
+    const withStars = review => ({ ...review, starsText: '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating) });
+    const deadline = new Date(reviews.deadline);
+
+    return {
+      ...reviews,
+      list: reviews.list.map(withStars),
+      myReview: reviews.myReview ? withStars(reviews.myReview) : null,
+      deadlineText: `${deadline.getMonth() + 1}月${deadline.getDate()}日`
+    };
+  },
+
+  // 板子角色配置
+  buildBoard(boardKey) {
+    const board = boardKey ? getBoard(boardKey) : null;
+    if (!board) return null;
+
+    const camps = countCamps(board.roles);
+    return {
+      name: board.name,
+      playerCount: board.playerCount,
+      werewolfCount: camps.werewolf,
+      goodCount: camps.good,
+      roles: Object.entries(board.roles).map(([roleKey, count]) => ({
+        key: roleKey,
+        name: ROLES[roleKey].name,
+        camp: ROLES[roleKey].camp,
+        count
+      }))
+    };
+  },
+
+  // 退款规则说明
+  buildRefundRules() {
+    const rules = activityConfig.refundPolicy.map(rule => {
+      const timeText = rule.hoursBeforeStart > 0 ? `开始前${rule.hoursBeforeStart}小时以上` : '开始前';
+      return rule.ratio >= 1 ? `${timeText}退出全额退款` : `${timeText}退出退款${Math.round(rule.ratio * 100)}%`;
+    });
+    rules.push('活动开始后退出不退款');
+    return rules;
+  },
+
+  // 检查登录状态
+  checkLogin() {
+    if (getApp().globalData.isLoggedIn) {
+      return true;
+    }
+
+    wx.showToast({
+      title: '请先登录',
+      icon: 'none'
+    });
+    wx.navigateTo({
+      url: '/pages/login/login'
+    });
+    return false;
+  },
+
+  // 执行操作并刷新详情，返回是否成功
+  async runAction(action, data, successTitle) {
+    wx.showLoading({ title: '处理中...' });
+
+    try {
+      const result = await this.callActivityManager(action, {
+        activityId: this.data.activityId,
+        userPhone: this.data.userPhone,
+        ...data
+      });
+
+      wx.hideLoading();
+      wx.showToast({
+        title: successTitle || result.message,
+        icon: 'none'
+      });
+      await this.loadActivity();
+      return true;
+    } catch (error) {
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+      return false;
+    }
+  },
+
+  // 报名（可同时为朋友预留名额）
+  joinActivity() {
+    if (!this.checkLogin()) return;
+
+    const { activity } = this.data;
+    const guestNames = this.data.guestNames.map(name => name.trim());
+    if (guestNames.some(name => !name)) {
+      wx.showToast({
+        title: '请填写朋友的称呼',
+        icon: 'none'
+      });
+      return;
+    }
+
+    const seatCount = 1 + guestNames.length;
+    const amount = Math.round(activity.price * seatCount * 100) / 100;
+    const guestText = guestNames.length > 0 ? `（含${guestNames.length}位朋友）` : '';
+    const content = activity.price > 0
+      ? `报名${seatCount}个名额${guestText}需支付¥${amount}，将从会员卡余额扣除`
+      : `确定报名参加「${activity.title}」${guestText}吗？`;
+
+    wx.showModal({
+      title: '确认报名',
+      content,
+      confirmText: activity.price > 0 ? '支付报名' : '报名',
+      success: async (res) => {
+        if (res.confirm && await this.runAction('joinActivity', { guestNames })) {
+          this.setData({ guestNames: [] });
+        }
+      }
+    });
+  },
+
+  // 添加同行朋友
+  addGuest() {
+    const { guestNames, maxGuests } = this.data;
+    if (guestNames.length >= maxGuests) return;
+    this.setData({ guestNames: [...guestNames, ''] });
+  },
+
+  onGuestInput(e) {
+    this.setData({ [`guestNames[${e.currentTarget.dataset.index}]`]: e.detail.value });
+  },
+
+  removeGuest(e) {
+    const guestNames = this.data.guestNames.filter((name, index) => index !== Number(e.currentTarget.dataset.index));
+    this.setData({ guestNames });
+  },
+
+  // 释放一个朋友名额（付费名额按退款规则退款）
+  releaseGuestSeat(e) {
+    const guestIndex = Number(e.currentTarget.dataset.index);
+    const { activity, myGuests } = this.data;
+    const content = activity.price > 0
+      ? `释放「${myGuests[guestIndex]}」的名额，按退款规则退款：${this.data.refundRules.join('，')}`
+      : `确定释放「${myGuests[guestIndex]}」的名额吗？`;
+
+    wx.showModal({
+      title: '释放名额',
+      content,
+      confirmText: '释放',
+      confirmColor: '#e84393',
+      success: (res) => {
+        if (res.confirm) {
+          this.runAction('releaseGuestSeat', { guestIndex });
+        }
+      }
+    });
+  },
+
+  // 退出活动
+  leaveActivity() {
+    const { activity, myGuests } = this.data;
+    const guestText = myGuests.length > 0 ? `为${myGuests.length}位朋友预留的名额将一并释放。` : '';
+    const content = activity.price > 0
+      ? `${guestText}退出后按退款规则退款：${this.data.refundRules.join('，')}`
+      : `${guestText}确定退出此活动吗？`;
+
+    wx.showModal({
+      title: '退出活动',
+      content,
+      confirmText: '退出',
+      confirmColor: '#e84393',
+      success: (res) => {
+        if (res.confirm) {
+          this.runAction('leaveActivity');
+        }
+      }
+    });
+  },
+
+  // 加入候补
+  joinWaitlist() {
+    if (!this.checkLogin()) return;
+    this.runAction('joinWaitlist');
+  },
+
+  // 退出候补
+  leaveWaitlist() {
+    this.runAction('leaveWaitlist', {}, '已退出候补');
+  },
+
+  // 主持人 / 法官：随机排座
+  shuffleSeats() {
+    wx.showModal({
+      title: '随机排座',
+      content: '将打乱所有玩家的座位号，确定吗？',
+      success: (res) => {
+        if (res.confirm) {
+          this.runAction('shuffleSeats', {}, '已重新排座');
+        }
+      }
+    });
+  },
+
+  // 主持人 / 法官：依次点选两个座位进行交换
+  selectSeat(e) {
+    const { canEnroll, canModerate, selectedSeat } = this.data;
+    const { seat } = e.currentTarget.dataset;
+    if (!canEnroll || !canModerate || !seat) return;
+
+    if (!selectedSeat) {
+      this.setData({ selectedSeat: seat });
+      wx.showToast({ title: `已选中${seat}号位，再点一个座位交换`, icon: 'none' });
+      return;
+    }
+
+    if (selectedSeat === seat) {
+      this.setData({ selectedSeat: null });
+      return;
+    }
+
+    this.runAction('swapSeats', { seatA: selectedSeat, seatB: seat }, '已交换座位');
+  },
+
+  // 评价：选择星级
+  onStarTap(e) {
+    this.setData({ 'reviewForm.rating': Number(e.currentTarget.dataset.rating) });
+  },
+
+  onReviewInput(e) {
+    this.setData({ 'reviewForm.comment': e.detail.value });
+  },
+
+  // 提交评价（成功后详情刷新，表单由我的评价替代）
+  submitReview() {
+    const { rating, comment } = this.data.reviewForm;
+
+    if (!rating) {
+      wx.showToast({
+        title: '请选择评分',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.runAction('submitReview', { rating, comment: comment.trim() });
+  },
+
+  // 查看主持人主页
+  viewHostProfile() {
+    wx.navigateTo({
+      url: `/pages/host-profile/host-profile?phone=${this.data.activity.host.phone}`
+    });
+  },
+
+  // 进入活动相册
+  viewAlbum() {
+    wx.navigateTo({
+      url: `/pages/activity-album/activity-album?id=${this.data.activityId}`
+    });
+  },
+
+  // 进入活动讨论区
+  viewComments() {
+    wx.navigateTo({
+      url: `/pages/activity-comments/activity-comments?id=${this.data.activityId}`
+    });
+  },
+
+  // 查看该法官主持的其他活动
+  viewGameMasterActivities() {
+    const { gameMaster } = this.data.activity;
+    wx.navigateTo({
+      url: `/pages/search/search?gameMasterPhone=${gameMaster.phone}`
+    });
+  },
+
+  // 前往签到
+  goToCheckin() {
+    wx.navigateTo({
+      url: `/pages/checkin/checkin?id=${this.data.activityId}`
+    });
+  },
+
+  // 发身份 / 查看身份
+  goToRoleCard() {
+    wx.navigateTo({
+      url: `/pages/role-card/role-card?id=${this.data.activityId}`
+    });
+  },
+
+  // 法官助手 / 对局复盘
+  goToGameRunner() {
+    wx.navigateTo({
+      url: `/pages/game-runner/game-runner?id=${this.data.activityId}`
+    });
+  },
+
+  // 主持人：编辑活动
+  editActivity() {
+    wx.navigateTo({
+      url: `/pages/activity/activity?id=${this.data.activityId}`
+    });
+  },
+
+  // 主持人：取消活动（需填写原因）
+  cancelActivity() {
+    wx.showModal({
+      title: '取消活动',
+      content: '',
+      editable: true,
+      placeholderText: '请填写取消原因，将通知所有参与者',
+      confirmText: '取消活动',
+      confirmColor: '#e84393',
+      cancelText: '再想想',
+      success: (res) => {
+        if (!res.confirm) return;
+
+        if (!res.content || !res.content.trim()) {
+          wx.showToast({
+            title: '请填写取消原因',
+            icon: 'none'
+          });
+          return;
+        }
+
+        this.runAction('cancelActivity', { reason: res.content.trim() });
+      }
+    });
+  }
+});
@@ -24,6 +24,7 @@ Page({
   onShow() {
     this.loadActivities();
     this.updateFilteredActivities();
+    getApp().refreshUnreadBadge();
   },
 
   // 加载活动数据
@@ -38,8 +39,21 @@ Page({
       this.setData({ isCloudConnected: app.globalData.isCloudConnected });
 
       // 如果云数据库连接成功，优先使用云数据库
-      if (app.globalData.isCloudConnected && app.globalData.dbManager) {
-        activities = await app.globalData.dbManager.getActivities();
+      if (app.globalData.isCloudConnected && app.callActivityManager) {
+        const result = await app.callActivityManager('getActivities', {});
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        activities = result.data.map(activity => ({
+          ...activity,
+          date: String(activity.date).slice(0, 10),
+          time: String(activity.time).slice(0, 5),
+          creator: activity.creator || { name: '' }
+        }));
+
+        // 缓存到本地，离线时使用
+        wx.setStorageSync('activities', activities);
         console.log('从云数据库加载活动:', activities.length);
       } else {
         // 降级到本地存储
@@ -65,6 +79,9 @@ Page({
       }
     }
 
+    // 合并当前用户的候补排队位置
+    activities = await this.loadWaitlistPositions(activities);
+
     this.setData({
       activities,
       userInfo: app.globalData.userInfo,
@@ -75,6 +92,38 @@ Page({
     this.updateFilteredActivities();
   },
 
+  // 加载当前用户在各活动候补队列中的位置
+  async loadWaitlistPositions(activities) {
+    const app = getApp();
+
+    if (!app.globalData.isLoggedIn || !app.globalData.isCloudConnected || !app.callActivityManager) {
+      return activities;
+    }
+
+    try {
+      const result = await app.callActivityManager('getMyWaitlist', {
+        userPhone: app.globalData.userInfo.phone
+      });
+
+      if (!result.success) {
+        return activities;
+      }
+
+      const positions = {};
+      result.data.forEach(item => {
+        positions[item.activityId] = item.position;
+      });
+
+      return activities.map(activity => ({
+        ...activity,
+        waitlistPosition: positions[activity.id] || null
+      }));
+    } catch (error) {
+      console.error('加载候补位置失败:', error);
+      return activities;
+    }
+  },
+
   // 切换标签页
   switchTab(e) {
     const tab = e.currentTarget.dataset.tab;
@@ -201,12 +250,15 @@ Page({
       return;
     }
 
-    // 检查人数是否已满
+    // 检查人数是否已满，已满时引导加入候补
     if (activity.currentPlayers >= activity.maxPlayers) {
-      wx.showToast({
-        title: '人数已满',
-        icon: 'none'
-      });
+      this.confirmJoinWaitlist(activityId);
+      return;
+    }
+
+    // 付费活动需确认从会员余额扣费
+    if (activity.price > 0) {
+      this.confirmPaidJoin(activity);
       return;
     }
 
@@ -214,8 +266,15 @@ Page({
       let success = false;
 
       // 如果云数据库连接成功，优先使用云数据库
-      if (app.globalData.isCloudConnected && app.globalData.dbManager) {
-        success = await app.globalData.dbManager.joinActivity(activityId, userInfo.phone);
+      if (app.globalData.isCloudConnected && app.callActivityManager) {
+        const result = await app.callActivityManager('joinActivity', {
+          activityId,
+          userPhone: userInfo.phone
+        });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        success = true;
         console.log('云数据库报名结果:', success);
       } else {
         // 降级到本地存储
@@ -240,10 +299,155 @@ Page({
     } catch (error) {
       console.error('报名过程出错:', error);
       wx.showToast({
-        title: '报名失败',
-        icon: 'error'
+        title: error.message || '报名失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 确认付费报名
+  confirmPaidJoin(activity) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      wx.showToast({
+        title: '付费活动需联网报名',
+        icon: 'none'
       });
+      return;
     }
+
+    wx.showModal({
+      title: '确认报名',
+      content: `报名需支付¥${activity.price}，将从会员卡余额扣除。退出活动时按距开始时间比例退款，活动开始后不退款`,
+      confirmText: '支付报名',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await app.callActivityManager('joinActivity', {
+            activityId: activity.id,
+            userPhone: app.globalData.userInfo.phone
+          });
+
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+
+          await this.loadActivities();
+
+          wx.showToast({
+            title: '报名成功',
+            icon: 'success'
+          });
+        } catch (error) {
+          console.error('付费报名失败:', error);
+          wx.showToast({
+            title: error.message || '报名失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  },
+
+  // 确认加入候补队列
+  confirmJoinWaitlist(activityId) {
+    wx.showModal({
+      title: '人数已满',
+      content: '是否加入候补队列？有人退出时将按顺序自动为您递补报名',
+      confirmText: '加入候补',
+      success: (res) => {
+        if (res.confirm) {
+          this.joinWaitlist({ currentTarget: { dataset: { id: activityId } } });
+        }
+      }
+    });
+  },
+
+  // 加入候补队列
+  async joinWaitlist(e) {
+    const activityId = e.currentTarget.dataset.id;
+    const app = getApp();
+
+    if (!app.globalData.isLoggedIn) {
+      wx.navigateTo({
+        url: '/pages/login/login'
+      });
+      return;
+    }
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      wx.showToast({
+        title: '候补需要联网使用',
+        icon: 'none'
+      });
+      return;
+    }
+
+    try {
+      const result = await app.callActivityManager('joinWaitlist', {
+        activityId,
+        userPhone: app.globalData.userInfo.phone
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await this.loadActivities();
+
+      wx.showToast({
+        title: `候补第${result.data.position}位`,
+        icon: 'success'
+      });
+    } catch (error) {
+      console.error('加入候补失败:', error);
+      wx.showToast({
+        title: error.message || '加入候补失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 退出候补队列
+  leaveWaitlist(e) {
+    const activityId = e.currentTarget.dataset.id;
+    const app = getApp();
+
+    wx.showModal({
+      title: '退出候补',
+      content: '退出后将失去当前排队位置，确定退出吗？',
+      success: async (res) => {
+        if (!res.confirm) {
+          return;
+        }
+
+        try {
+          const result = await app.callActivityManager('leaveWaitlist', {
+            activityId,
+            userPhone: app.globalData.userInfo.phone
+          });
+
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+
+          await this.loadActivities();
+
+          wx.showToast({
+            title: '已退出候补',
+            icon: 'success'
+          });
+        } catch (error) {
+          console.error('退出候补失败:', error);
+          wx.showToast({
+            title: error.message || '退出候补失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
   },
 
   // 本地存储报名方法（降级方案）
@@ -310,9 +514,8 @@ Page({
 
   // 跳转到搜索页面
   goToSearch() {
-    wx.showToast({
-      title: '搜索功能开发中',
-      icon: 'none'
+    wx.navigateTo({
+      url: '/pages/search/search'
     });
   },
 
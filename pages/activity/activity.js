@@ -1,17 +1,60 @@
 // pages/activity/activity.js
+const { listBoards } = require('../../utils/boards');
+const activityConfig = require('../../config/activity');
+
+// 房间选项第一项为不指定
+const NO_ROOM_OPTION = { id: null, name: '不指定房间', capacity: 0 };
+
 Page({
   data: {
     activity: {
       title: '',
       date: '',
       time: '',
+      location: '',
       maxPlayers: 12,
-      description: '',
-      currentPlayers: 0,
-      participants: []
+      minPlayers: 6,
+      price: 0,
+      boardKey: '',
+      roomId: null,
+      durationMinutes: activityConfig.booking.defaultDurationMinutes,
+      description: ''
     },
     userInfo: null,
-    isCreating: true
+    isCreating: true,
+    // 编辑模式下的活动ID
+    activityId: null,
+    minDate: '',
+    // 板子选项（第一项为不指定）
+    boardOptions: [{ key: '', name: '不指定板子', playerCount: 0 }].concat(listBoards()),
+    boardIndex: 0,
+    roomOptions: [NO_ROOM_OPTION],
+    roomIndex: 0,
+    // 重复设置（系列活动）
+    repeatOptions: [
+      { value: 'none', label: '不重复' },
+      { value: 'weekly', label: '每周' },
+      { value: 'interval', label: '每隔N天' },
+      { value: 'weekdays', label: '指定星期' }
+    ],
+    repeatIndex: 0,
+    weekdayOptions: [
+      { value: 1, label: '一' },
+      { value: 2, label: '二' },
+      { value: 3, label: '三' },
+      { value: 4, label: '四' },
+      { value: 5, label: '五' },
+      { value: 6, label: '六' },
+      { value: 0, label: '日' }
+    ],
+    repeat: {
+      type: 'none',
+      interval: 7,
+      weekdays: [],
+      endType: 'count',
+      endDate: '',
+      count: 4
+    }
   },
 
   onLoad(options) {
@@ -26,9 +69,105 @@ Page({
     const timeString = '19:00';
 
     this.setData({
+      minDate: dateString,
       'activity.date': dateString,
       'activity.time': timeString
     });
+
+    this.loadRooms();
+
+    // 带活动ID进入为编辑模式
+    if (options.id) {
+      this.setData({
+        activityId: Number(options.id),
+        isCreating: false
+      });
+      wx.setNavigationBarTitle({ title: '编辑活动' });
+      this.loadActivity();
+    }
+  },
+
+  // 加载可预订的房间，未联网时只能不指定房间
+  async loadRooms() {
+    const app = getApp();
+    if (!app.globalData.isCloudConnected || !app.callStoreManager) return;
+
+    try {
+      const result = await app.callStoreManager('getRooms', {});
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const roomOptions = [NO_ROOM_OPTION].concat(result.data.rooms.map(room => ({
+        id: room.id,
+        name: `${room.name}（${room.capacity}人）`,
+        capacity: room.capacity
+      })));
+      this.setData({
+        roomOptions,
+        roomIndex: this.findRoomIndex(roomOptions, this.data.activity.roomId)
+      });
+    } catch (error) {
+      console.error('加载房间失败:', error);
+    }
+  },
+
+  findRoomIndex(roomOptions, roomId) {
+    return Math.max(roomOptions.findIndex(room => room.id === (roomId || null)), 0);
+  },
+
+  // 编辑模式：加载活动信息填充表单
+  async loadActivity() {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      wx.showToast({
+        title: '编辑活动需要联网',
+        icon: 'none'
+      });
+      return;
+    }
+
+    wx.showLoading({ title: '加载中...' });
+
+    try {
+      const result = await app.callActivityManager('getActivityDetail', {
+        activityId: this.data.activityId
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const detail = result.data;
+      const boardIndex = Math.max(this.data.boardOptions.findIndex(board => board.key === (detail.boardKey || '')), 0);
+
+      this.setData({
+        activity: {
+          title: detail.title,
+          date: String(detail.date).slice(0, 10),
+          time: String(detail.time).slice(0, 5),
+          location: detail.location || '',
+          maxPlayers: detail.maxPlayers,
+          minPlayers: detail.minPlayers,
+          price: detail.price,
+          boardKey: detail.boardKey || '',
+          roomId: detail.roomId || null,
+          durationMinutes: detail.durationMinutes,
+          description: detail.description || ''
+        },
+        boardIndex,
+        roomIndex: this.findRoomIndex(this.data.roomOptions, detail.roomId)
+      });
+      wx.hideLoading();
+    } catch (error) {
+      console.error('加载活动失败:', error);
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
   },
 
   // 输入活动标题
@@ -59,6 +198,59 @@ Page({
     });
   },
 
+  // 输入最少开局人数
+  onMinPlayersInput(e) {
+    this.setData({
+      'activity.minPlayers': parseInt(e.detail.value) || 0
+    });
+  },
+
+  // 输入价格
+  onPriceInput(e) {
+    this.setData({
+      'activity.price': parseFloat(e.detail.value) || 0
+    });
+  },
+
+  // 输入地点
+  onLocationInput(e) {
+    this.setData({
+      'activity.location': e.detail.value
+    });
+  },
+
+  // 选择板子，人数上限随板子人数自动调整
+  onBoardChange(e) {
+    const boardIndex = parseInt(e.detail.value);
+    const board = this.data.boardOptions[boardIndex];
+    const updates = {
+      boardIndex,
+      'activity.boardKey': board.key
+    };
+
+    if (board.playerCount) {
+      updates['activity.maxPlayers'] = board.playerCount;
+    }
+
+    this.setData(updates);
+  },
+
+  // 选择房间
+  onRoomChange(e) {
+    const roomIndex = parseInt(e.detail.value);
+    this.setData({
+      roomIndex,
+      'activity.roomId': this.data.roomOptions[roomIndex].id
+    });
+  },
+
+  // 输入活动时长（分钟）
+  onDurationInput(e) {
+    this.setData({
+      'activity.durationMinutes': parseInt(e.detail.value) || 0
+    });
+  },
+
   // 输入活动描述
   onDescriptionInput(e) {
     this.setData({
@@ -66,83 +258,289 @@ Page({
     });
   },
 
-  // 创建活动
-  createActivity() {
-    const { activity, userInfo } = this.data;
+  // 选择重复方式
+  onRepeatChange(e) {
+    const repeatIndex = parseInt(e.detail.value);
+    this.setData({
+      repeatIndex,
+      'repeat.type': this.data.repeatOptions[repeatIndex].value
+    });
+  },
 
-    // 验证输入
-    if (!activity.title) {
-      wx.showToast({
-        title: '请输入活动标题',
-        icon: 'none'
-      });
-      return;
+  // 输入间隔天数
+  onRepeatIntervalInput(e) {
+    this.setData({
+      'repeat.interval': parseInt(e.detail.value) || 0
+    });
+  },
+
+  // 切换重复的星期
+  onWeekdayToggle(e) {
+    const index = e.currentTarget.dataset.index;
+    const weekdayOptions = this.data.weekdayOptions.map((option, i) => (
+      i === index ? { ...option, checked: !option.checked } : option
+    ));
+
+    this.setData({
+      weekdayOptions,
+      'repeat.weekdays': weekdayOptions.filter(option => option.checked).map(option => option.value)
+    });
+  },
+
+  // 切换结束方式（按次数 / 按日期）
+  onRepeatEndTypeChange(e) {
+    this.setData({
+      'repeat.endType': e.detail.value
+    });
+  },
+
+  // 选择结束日期
+  onRepeatEndDateChange(e) {
+    this.setData({
+      'repeat.endDate': e.detail.value
+    });
+  },
+
+  // 输入重复次数
+  onRepeatCountInput(e) {
+    this.setData({
+      'repeat.count': parseInt(e.detail.value) || 0
+    });
+  },
+
+  // 校验重复设置
+  validateRepeat() {
+    const { repeat } = this.data;
+
+    if (repeat.type === 'interval' && repeat.interval <= 0) {
+      return '请输入有效的间隔天数';
+    }
+
+    if (repeat.type === 'weekdays' && repeat.weekdays.length === 0) {
+      return '请至少选择一个星期';
+    }
+
+    if (repeat.endType === 'date' && !repeat.endDate) {
+      return '请选择结束日期';
+    }
+
+    if (repeat.endType === 'count' && repeat.count <= 0) {
+      return '请输入重复次数';
     }
 
-    if (!activity.date) {
+    return null;
+  },
+
+  // 创建系列活动（由云端按规则生成每一期活动）
+  async createSeries() {
+    const { activity, userInfo, repeat } = this.data;
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      wx.hideLoading();
       wx.showToast({
-        title: '请选择日期',
+        title: '重复活动需要联网创建',
         icon: 'none'
       });
       return;
     }
 
-    if (!activity.time) {
+    try {
+      const result = await app.callActivityManager('createSeries', {
+        seriesData: {
+          title: activity.title,
+          description: activity.description,
+          time: activity.time,
+          location: activity.location,
+          maxPlayers: activity.maxPlayers,
+          minPlayers: activity.minPlayers,
+          price: activity.price,
+          boardKey: activity.boardKey || null,
+          startDate: activity.date,
+          recurrenceType: repeat.type,
+          interval: repeat.interval,
+          weekdays: repeat.weekdays,
+          endDate: repeat.endType === 'date' ? repeat.endDate : null,
+          count: repeat.endType === 'count' ? repeat.count : null
+        },
+        userPhone: userInfo.phone
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      wx.hideLoading();
       wx.showToast({
-        title: '请选择时间',
-        icon: 'none'
+        title: '系列活动创建成功',
+        icon: 'success'
       });
-      return;
-    }
 
-    if (activity.maxPlayers < 4) {
+      setTimeout(() => {
+        wx.switchTab({
+          url: '/pages/activity-list/activity-list'
+        });
+      }, 1500);
+    } catch (error) {
+      console.error('创建系列活动失败:', error);
+      wx.hideLoading();
       wx.showToast({
-        title: '最少需要4人',
+        title: error.message || '创建失败',
         icon: 'none'
       });
-      return;
     }
+  },
+
+  // 校验表单，返回错误提示
+  validateForm() {
+    const { activity } = this.data;
+
+    if (!activity.title) return '请输入活动标题';
+    if (!activity.date) return '请选择日期';
+    if (!activity.time) return '请选择时间';
+    if (activity.maxPlayers < 4) return '最少需要4人';
+    if (activity.maxPlayers > 20) return '最多支持20人';
+    if (activity.minPlayers < 1) return '请输入最少开局人数';
+    if (activity.minPlayers > activity.maxPlayers) return '最少开局人数不能超过最大人数';
+    if (activity.price < 0) return '价格不能为负数';
+
+    const board = this.data.boardOptions[this.data.boardIndex];
+    if (board.playerCount && activity.maxPlayers < board.playerCount) {
+      return `${board.name}需要${board.playerCount}人`;
+    }
+
+    const { minDurationMinutes, maxDurationMinutes } = activityConfig.booking;
+    if (activity.durationMinutes < minDurationMinutes || activity.durationMinutes > maxDurationMinutes) {
+      return `活动时长需在${minDurationMinutes}-${maxDurationMinutes}分钟之间`;
+    }
+
+    if (this.data.isCreating && this.data.repeat.type !== 'none') {
+      return this.validateRepeat();
+    }
+
+    const room = this.data.roomOptions[this.data.roomIndex];
+    if (room.id && activity.maxPlayers > room.capacity) {
+      return `所选房间最多容纳${room.capacity}人`;
+    }
+
+    return null;
+  },
 
-    if (activity.maxPlayers > 20) {
+  // 提交表单：创建或保存修改
+  async createActivity() {
+    const formError = this.validateForm();
+    if (formError) {
       wx.showToast({
-        title: '最多支持20人',
+        title: formError,
         icon: 'none'
       });
       return;
     }
 
     wx.showLoading({
-      title: '创建中...'
+      title: this.data.isCreating ? '创建中...' : '保存中...'
     });
 
-    // 创建活动对象
-    const newActivity = {
-      id: Date.now(),
-      ...activity,
-      creator: userInfo,
-      createdAt: new Date().toLocaleString(),
-      participants: [userInfo] // 创建者自动加入
+    if (this.data.isCreating && this.data.repeat.type !== 'none') {
+      this.createSeries();
+      return;
+    }
+
+    const { activity, userInfo, activityId, isCreating } = this.data;
+    const fields = {
+      title: activity.title,
+      description: activity.description,
+      date: activity.date,
+      time: activity.time,
+      location: activity.location,
+      maxPlayers: activity.maxPlayers,
+      minPlayers: activity.minPlayers,
+      price: activity.price,
+      boardKey: activity.boardKey || null,
+      roomId: activity.roomId || null,
+      durationMinutes: activity.durationMinutes
     };
 
-    // 更新当前人数
-    newActivity.currentPlayers = newActivity.participants.length;
+    const action = isCreating ? 'createActivity' : 'updateActivity';
+    const data = isCreating
+      ? { activityData: { ...fields, createdBy: userInfo.phone } }
+      : { activityId, userPhone: userInfo.phone, updates: fields };
+
+    await this.submitToCloud(action, data, isCreating ? '活动创建成功' : '活动已保存');
+  },
+
+  // 提交到活动管理云函数；无网络或请求未送达时加入离线队列，网络恢复后自动同步
+  async submitToCloud(action, data, successTitle) {
+    const app = getApp();
+    const label = `${this.data.isCreating ? '创建' : '修改'}活动「${this.data.activity.title}」`;
+
+    const isOnline = app.globalData.isCloudConnected && app.callActivityManager && await app.isNetworkAvailable();
+    if (!isOnline) {
+      this.queueOffline(action, data, label);
+      return;
+    }
 
-    // 保存到本地存储
-    const activities = wx.getStorageSync('activities') || [];
-    activities.unshift(newActivity);
-    wx.setStorageSync('activities', activities);
+    let result;
+    try {
+      result = await app.callActivityManager(action, data);
+    } catch (error) {
+      console.error('提交活动失败，转入离线队列:', error);
+      this.queueOffline(action, data, label);
+      return;
+    }
 
     wx.hideLoading();
+
+    // 服务端校验失败，提示具体原因
+    if (!result.success) {
+      wx.showModal({
+        title: '提交失败',
+        content: result.error || '请检查填写内容',
+        showCancel: false
+      });
+      return;
+    }
+
     wx.showToast({
-      title: '活动创建成功',
+      title: successTitle,
       icon: 'success'
     });
 
-    // 跳转到活动列表
     setTimeout(() => {
-      wx.switchTab({
-        url: '/pages/activity-list/activity-list'
-      });
+      this.leavePage();
     }, 1500);
+  },
+
+  // 加入离线队列
+  queueOffline(action, data, label) {
+    const app = getApp();
+    wx.hideLoading();
+
+    if (!app.enqueueOfflineAction('activityManager', action, data, label)) {
+      wx.showToast({
+        title: '离线队列已满，请联网后重试',
+        icon: 'none'
+      });
+      return;
+    }
+
+    wx.showModal({
+      title: '网络不可用',
+      content: '已保存到离线队列，网络恢复后将自动提交',
+      showCancel: false,
+      success: () => this.leavePage()
+    });
+  },
+
+  // 返回上一页（编辑）或活动列表（创建）
+  leavePage() {
+    if (!this.data.isCreating) {
+      wx.navigateBack();
+      return;
+    }
+
+    wx.switchTab({
+      url: '/pages/activity-list/activity-list'
+    });
   }
 });
@@ -15,7 +15,12 @@ Page({
       { value: 'super', label: '超级管理员' }
     ],
     roleIndex: 0,
-    editingIndex: -1
+    editingIndex: -1,
+    announcement: {
+      title: '',
+      content: ''
+    },
+    isSendingAnnouncement: false
   },
 
   onLoad() {
@@ -199,6 +204,130 @@ Page({
     }
   },
 
+  // 房间 / 桌位管理与占用时间轴
+  goToRooms() {
+    wx.navigateTo({
+      url: '/pages/rooms/rooms'
+    });
+  },
+
+  // 法官名单、空闲时段与活动排班
+  goToGameMasters() {
+    wx.navigateTo({
+      url: '/pages/game-masters/game-masters'
+    });
+  },
+
+  // 活动评价审核队列
+  goToReviewModeration() {
+    wx.navigateTo({
+      url: '/pages/review-moderation/review-moderation'
+    });
+  },
+
+  // 按对局时间顺序重新计算所有玩家积分（调整积分配置后使用）
+  rebuildRatings() {
+    if (!app.globalData.isCloudConnected || !app.callGameManager) {
+      wx.showToast({
+        title: '重新计算积分需要联网',
+        icon: 'none'
+      });
+      return;
+    }
+
+    wx.showModal({
+      title: '重新计算积分',
+      content: '将清空现有积分并按全部对局记录重新计算，确定吗？',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        wx.showLoading({ title: '计算中...' });
+        try {
+          const result = await app.callGameManager('rebuildRatings', {
+            operatorPhone: this.data.currentAdmin.phone
+          });
+
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+
+          wx.hideLoading();
+          wx.showToast({
+            title: `${result.data.message}（${result.data.games}局）`,
+            icon: 'none'
+          });
+        } catch (error) {
+          wx.hideLoading();
+          wx.showToast({
+            title: error.message || '计算失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  },
+
+  onAnnouncementInput(e) {
+    this.setData({
+      [`announcement.${e.currentTarget.dataset.field}`]: e.detail.value
+    });
+  },
+
+  // 向所有会员发送店铺公告（显示在会员的消息中心）
+  sendAnnouncement() {
+    const { title, content } = this.data.announcement;
+
+    if (!title.trim() || !content.trim()) {
+      wx.showToast({
+        title: '请填写公告标题和内容',
+        icon: 'none'
+      });
+      return;
+    }
+
+    if (!app.globalData.isCloudConnected || !app.callNotificationManager) {
+      wx.showToast({
+        title: '发送公告需要联网',
+        icon: 'none'
+      });
+      return;
+    }
+
+    wx.showModal({
+      title: '发送公告',
+      content: '公告将发送给所有会员，确定发送吗？',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        this.setData({ isSendingAnnouncement: true });
+        try {
+          const result = await app.callNotificationManager('sendAnnouncement', {
+            adminPhone: this.data.currentAdmin.phone,
+            title: title.trim(),
+            content: content.trim()
+          });
+
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+
+          this.setData({ announcement: { title: '', content: '' } });
+          wx.showToast({
+            title: result.data.message,
+            icon: 'none'
+          });
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '发送失败',
+            icon: 'none'
+          });
+        } finally {
+          this.setData({ isSendingAnnouncement: false });
+        }
+      }
+    });
+  },
+
   // 导出管理员数据
   exportAdminData() {
     const adminList = app.getAdminList() || [];
@@ -0,0 +1,295 @@
+// pages/checkin/checkin.js
+Page({
+  data: {
+    activityId: null,
+    activity: null,
+    isHost: false,
+    // 主持人展示的活动签到码 / 参与者展示的个人签到码
+    checkinCode: null,
+    countdown: 0,
+    attendance: null,
+    manualCode: '',
+    showMyCode: false,
+    isLoading: false
+  },
+
+  onLoad(options) {
+    let activityId = options.id;
+
+    // 通过微信扫一扫打开签到小程序码时，参数在 scene 中
+    if (options.scene) {
+      const params = this.parseScene(decodeURIComponent(options.scene));
+      if (params.a) {
+        activityId = params.a;
+        this.pendingCode = params.c;
+      }
+    }
+
+    if (!activityId) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ activityId: Number(activityId) });
+    this.loadActivity();
+  },
+
+  onHide() {
+    this.clearTimers();
+  },
+
+  onUnload() {
+    this.clearTimers();
+  },
+
+  clearTimers() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  },
+
+  // 解析 scene 参数，如 a=12&c=123456
+  parseScene(scene) {
+    const params = {};
+    scene.split('&').forEach(pair => {
+      const [key, value] = pair.split('=');
+      if (key) params[key] = value;
+    });
+    return params;
+  },
+
+  // 解析扫码结果：小程序码返回 path（含 scene），普通二维码返回 result
+  parseScanResult(res) {
+    const source = res.path || res.result || '';
+    const match = source.match(/scene=([^&]+)/);
+    return this.parseScene(match ? decodeURIComponent(match[1]) : source);
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('签到需要联网使用');
+    }
+
+    const result = await app.callActivityManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 加载活动信息并判断身份
+  async loadActivity() {
+    const app = getApp();
+
+    if (!app.globalData.isLoggedIn) {
+      wx.navigateTo({
+        url: '/pages/login/login'
+      });
+      return;
+    }
+
+    this.setData({ isLoading: true });
+
+    try {
+      const userPhone = app.globalData.userInfo.phone;
+      const activity = await this.callActivityManager('getActivityDetail', {
+        activityId: this.data.activityId,
+        userPhone
+      });
+      // 主持人或被安排的法官主持签到
+      const isHost = activity.createdBy === userPhone ||
+        (!!activity.gameMaster && activity.gameMaster.phone === userPhone);
+
+      this.setData({ activity, isHost, isLoading: false });
+
+      if (isHost) {
+        this.loadCheckinCode('getCheckinCode');
+        this.loadAttendance();
+      } else if (this.pendingCode) {
+        // 扫一扫直接打开时自动签到
+        const code = this.pendingCode;
+        this.pendingCode = null;
+        this.submitCheckIn(code);
+      }
+    } catch (error) {
+      console.error('加载活动失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 加载签到码，过期后自动轮换
+  async loadCheckinCode(action) {
+    const app = getApp();
+    this.clearTimers();
+
+    try {
+      const checkinCode = await this.callActivityManager(action, {
+        activityId: this.data.activityId,
+        userPhone: app.globalData.userInfo.phone
+      });
+
+      this.setData({
+        checkinCode,
+        countdown: checkinCode.expiresIn
+      });
+
+      this.countdownTimer = setInterval(() => {
+        const countdown = this.data.countdown - 1;
+        if (countdown <= 0) {
+          this.loadCheckinCode(action);
+          if (this.data.isHost) {
+            this.loadAttendance();
+          }
+          return;
+        }
+        this.setData({ countdown });
+      }, 1000);
+    } catch (error) {
+      console.error('获取签到码失败:', error);
+      wx.showToast({
+        title: error.message || '获取签到码失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 主持人：加载签到情况
+  async loadAttendance() {
+    const app = getApp();
+
+    try {
+      const attendance = await this.callActivityManager('getAttendance', {
+        activityId: this.data.activityId,
+        userPhone: app.globalData.userInfo.phone
+      });
+      this.setData({ attendance });
+    } catch (error) {
+      console.error('加载签到情况失败:', error);
+    }
+  },
+
+  // 主持人：扫描参与者个人签到码
+  scanMemberCode() {
+    const app = getApp();
+
+    wx.scanCode({
+      success: async (res) => {
+        const params = this.parseScanResult(res);
+
+        if (!params.m || !params.c) {
+          wx.showToast({
+            title: '不是有效的签到码',
+            icon: 'none'
+          });
+          return;
+        }
+
+        try {
+          const result = await this.callActivityManager('hostCheckIn', {
+            activityId: this.data.activityId,
+            userPhone: app.globalData.userInfo.phone,
+            memberPhone: params.m,
+            code: params.c
+          });
+
+          wx.showToast({
+            title: result.message,
+            icon: 'success'
+          });
+          this.loadAttendance();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '签到失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  },
+
+  // 参与者：扫描主持人签到码
+  scanHostCode() {
+    wx.scanCode({
+      success: (res) => {
+        const params = this.parseScanResult(res);
+
+        if (!params.c || (params.a && Number(params.a) !== this.data.activityId)) {
+          wx.showToast({
+            title: '不是本活动的签到码',
+            icon: 'none'
+          });
+          return;
+        }
+
+        this.submitCheckIn(params.c);
+      }
+    });
+  },
+
+  // 参与者：输入签到码
+  onManualCodeInput(e) {
+    this.setData({
+      manualCode: e.detail.value
+    });
+  },
+
+  submitManualCode() {
+    if (!/^\d{6}$/.test(this.data.manualCode)) {
+      wx.showToast({
+        title: '请输入6位签到码',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.submitCheckIn(this.data.manualCode);
+  },
+
+  // 提交签到
+  async submitCheckIn(code) {
+    const app = getApp();
+
+    try {
+      const result = await this.callActivityManager('checkIn', {
+        activityId: this.data.activityId,
+        userPhone: app.globalData.userInfo.phone,
+        code
+      });
+
+      this.setData({ manualCode: '' });
+      wx.showToast({
+        title: result.message,
+        icon: 'success'
+      });
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '签到失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 参与者：展示个人签到码给主持人扫描
+  toggleMyCode() {
+    const showMyCode = !this.data.showMyCode;
+    this.setData({ showMyCode });
+
+    if (showMyCode) {
+      this.loadCheckinCode('getMemberCheckinCode');
+    } else {
+      this.clearTimers();
+      this.setData({ checkinCode: null });
+    }
+  }
+});
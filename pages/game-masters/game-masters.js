@@ -0,0 +1,349 @@
+// pages/game-masters/game-masters.js
+const { formatDate, addDays } = require('../../utils/recurrence');
+
+// 排班表显示的天数
+const SCHEDULE_DAYS = 14;
+
+Page({
+  data: {
+    isAdmin: false,
+    userPhone: '',
+    dateFrom: formatDate(new Date()),
+    schedule: [],
+    gameMasters: [],
+    // 可登记空闲时段的法官（管理员可选所有法官，法官只能登记自己）
+    slotOwners: [],
+    slotOwnerIndex: 0,
+    availability: [],
+    slotForm: {
+      date: formatDate(new Date()),
+      startTime: '18:00',
+      endTime: '23:00',
+      note: ''
+    },
+    gameMasterForm: {
+      phone: '',
+      name: ''
+    },
+    isLoading: false
+  },
+
+  onLoad() {
+    const app = getApp();
+    const userInfo = app.getUserInfo();
+
+    if (!userInfo) {
+      wx.showToast({
+        title: '请先登录',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({
+      isAdmin: app.isAdminUser(userInfo.phone, userInfo.name),
+      userPhone: userInfo.phone
+    });
+    this.loadAll();
+  },
+
+  onPullDownRefresh() {
+    this.loadAll().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用云函数
+  async callCloud(manager, action, data = {}) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app[manager]) {
+      throw new Error('法官排班需要联网使用');
+    }
+
+    const result = await app[manager](action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  },
+
+  async loadAll() {
+    this.setData({ isLoading: true });
+
+    try {
+      await this.loadGameMasters();
+      await Promise.all([
+        this.data.isAdmin ? this.loadSchedule() : Promise.resolve(),
+        this.loadAvailability()
+      ]);
+    } catch (error) {
+      console.error('加载法官排班失败:', error);
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isLoading: false });
+    }
+  },
+
+  // 加载法官名单；非管理员只能维护自己的空闲时段
+  async loadGameMasters() {
+    const { isAdmin, userPhone } = this.data;
+    const gameMasters = await this.callCloud('callStoreManager', 'getGameMasters', { includeInactive: isAdmin });
+    const slotOwners = isAdmin
+      ? gameMasters.filter(gameMaster => gameMaster.status === 'active')
+      : gameMasters.filter(gameMaster => gameMaster.phone === userPhone);
+
+    this.setData({
+      gameMasters,
+      slotOwners,
+      slotOwnerIndex: Math.min(this.data.slotOwnerIndex, Math.max(slotOwners.length - 1, 0))
+    });
+  },
+
+  // 加载排班表，候选法官标注空闲 / 冲突
+  async loadSchedule() {
+    const { dateFrom, userPhone } = this.data;
+    const result = await this.callCloud('callActivityManager', 'getGameMasterSchedule', {
+      operatorPhone: userPhone,
+      dateFrom,
+      dateTo: addDays(dateFrom, SCHEDULE_DAYS - 1)
+    });
+
+    this.setData({
+      schedule: result.activities.map(activity => {
+        const options = [{ phone: '', label: '未安排' }].concat(activity.candidates.map(candidate => ({
+          phone: candidate.phone,
+          label: `${candidate.name}${candidate.busy ? '（冲突）' : candidate.available ? '（空闲）' : ''}`
+        })));
+        const currentPhone = activity.gameMaster ? activity.gameMaster.phone : '';
+        return {
+          ...activity,
+          options,
+          optionIndex: Math.max(options.findIndex(option => option.phone === currentPhone), 0)
+        };
+      })
+    });
+  },
+
+  // 加载空闲时段（管理员查看全部，法官查看自己）
+  async loadAvailability() {
+    const { isAdmin, userPhone, dateFrom, gameMasters } = this.data;
+
+    if (!isAdmin && !gameMasters.some(gameMaster => gameMaster.phone === userPhone)) {
+      this.setData({ availability: [] });
+      return;
+    }
+
+    const slots = await this.callCloud('callStoreManager', 'getGameMasterAvailability', {
+      gameMasterPhone: isAdmin ? null : userPhone,
+      dateFrom,
+      dateTo: addDays(dateFrom, SCHEDULE_DAYS - 1)
+    });
+    const names = new Map(gameMasters.map(gameMaster => [gameMaster.phone, gameMaster.name]));
+
+    this.setData({
+      availability: slots.map(slot => ({
+        ...slot,
+        gameMasterName: names.get(slot.gameMasterPhone) || slot.gameMasterPhone
+      }))
+    });
+  },
+
+  // 为活动安排法官
+  async onAssignChange(e) {
+    const activity = this.data.schedule[e.currentTarget.dataset.index];
+    const option = activity.options[Number(e.detail.value)];
+
+    wx.showLoading({ title: '保存中...' });
+    try {
+      const result = await this.callCloud('callActivityManager', 'assignGameMaster', {
+        activityId: activity.id,
+        gameMasterPhone: option.phone || null,
+        operatorPhone: this.data.userPhone
+      });
+      wx.hideLoading();
+
+      if (result.withinAvailability === false) {
+        wx.showModal({
+          title: result.message,
+          content: '活动时间不在该法官登记的空闲时段内，请与法官确认',
+          showCancel: false
+        });
+      } else {
+        wx.showToast({
+          title: result.message,
+          icon: 'none'
+        });
+      }
+      await this.loadSchedule();
+    } catch (error) {
+      wx.hideLoading();
+      wx.showModal({
+        title: '安排失败',
+        content: error.message || '请稍后重试',
+        showCancel: false
+      });
+    }
+  },
+
+  onScheduleDateChange(e) {
+    this.setData({ dateFrom: e.detail.value });
+    this.loadAll();
+  },
+
+  viewActivity(e) {
+    wx.navigateTo({
+      url: `/pages/activity-detail/activity-detail?id=${e.currentTarget.dataset.id}`
+    });
+  },
+
+  // 空闲时段表单
+  onSlotOwnerChange(e) {
+    this.setData({ slotOwnerIndex: Number(e.detail.value) });
+  },
+
+  onSlotFieldChange(e) {
+    this.setData({
+      [`slotForm.${e.currentTarget.dataset.field}`]: e.detail.value
+    });
+  },
+
+  async addSlot() {
+    const { slotOwners, slotOwnerIndex, slotForm, userPhone } = this.data;
+    const owner = slotOwners[slotOwnerIndex];
+
+    if (!owner) {
+      wx.showToast({
+        title: '请先添加法官',
+        icon: 'none'
+      });
+      return;
+    }
+
+    try {
+      const result = await this.callCloud('callStoreManager', 'addGameMasterAvailability', {
+        operatorPhone: userPhone,
+        gameMasterPhone: owner.phone,
+        ...slotForm,
+        note: slotForm.note.trim()
+      });
+      wx.showToast({
+        title: result.message,
+        icon: 'success'
+      });
+      this.setData({ 'slotForm.note': '' });
+      await this.loadAll();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '登记失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  removeSlot(e) {
+    const slot = this.data.availability[e.currentTarget.dataset.index];
+
+    wx.showModal({
+      title: '删除空闲时段',
+      content: `确定删除 ${slot.date} ${slot.startTime}-${slot.endTime} 的空闲时段吗？已安排的活动不受影响`,
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          await this.callCloud('callStoreManager', 'removeGameMasterAvailability', {
+            operatorPhone: this.data.userPhone,
+            id: slot.id
+          });
+          await this.loadAll();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '删除失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  },
+
+  // 法官名单（仅管理员）
+  onGameMasterInput(e) {
+    this.setData({
+      [`gameMasterForm.${e.currentTarget.dataset.field}`]: e.detail.value
+    });
+  },
+
+  async saveGameMaster() {
+    const { phone, name } = this.data.gameMasterForm;
+
+    if (!/^1[3-9]\d{9}$/.test(phone)) {
+      wx.showToast({
+        title: '请输入正确的手机号',
+        icon: 'none'
+      });
+      return;
+    }
+
+    if (!name.trim()) {
+      wx.showToast({
+        title: '请输入法官姓名',
+        icon: 'none'
+      });
+      return;
+    }
+
+    try {
+      const result = await this.callCloud('callStoreManager', 'saveGameMaster', {
+        operatorPhone: this.data.userPhone,
+        phone,
+        name: name.trim()
+      });
+      wx.showToast({
+        title: result.message,
+        icon: 'success'
+      });
+      this.setData({ gameMasterForm: { phone: '', name: '' } });
+      await this.loadAll();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '保存失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  toggleGameMasterStatus(e) {
+    const gameMaster = this.data.gameMasters[e.currentTarget.dataset.index];
+    const status = gameMaster.status === 'active' ? 'inactive' : 'active';
+
+    wx.showModal({
+      title: status === 'active' ? '启用法官' : '停用法官',
+      content: status === 'active'
+        ? `启用后可以为「${gameMaster.name}」安排活动`
+        : `停用后不能再为「${gameMaster.name}」安排新活动，已有排班不受影响`,
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await this.callCloud('callStoreManager', 'setGameMasterStatus', {
+            operatorPhone: this.data.userPhone,
+            phone: gameMaster.phone,
+            status
+          });
+          wx.showToast({
+            title: result.message,
+            icon: 'success'
+          });
+          await this.loadAll();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '操作失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  }
+});
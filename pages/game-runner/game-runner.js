@@ -0,0 +1,324 @@
+// pages/game-runner/game-runner.js
+const CAMP_NAMES = {
+  werewolf: '狼人阵营',
+  good: '好人阵营'
+};
+
+const CAMP_OPTIONS = [
+  { value: 'good', label: '好人阵营' },
+  { value: 'werewolf', label: '狼人阵营' }
+];
+
+Page({
+  data: {
+    activityId: null,
+    userPhone: '',
+    // 主持人或被安排的法官可以操作对局，其他玩家只能在结束后复盘
+    canModerate: false,
+    session: null,
+    // 夜间选择的目标 / 白天放逐对象
+    selectedSeat: null,
+    // 女巫是否使用解药
+    useAntidote: false,
+    // 白天开枪的玩家座位号
+    shooterSeat: null,
+    // 最近一次天亮的死讯
+    announcement: '',
+    campOptions: CAMP_OPTIONS,
+    isSubmitting: false,
+    isLoading: true
+  },
+
+  onLoad(options) {
+    if (!options.id) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    const app = getApp();
+    if (!app.globalData.isLoggedIn) {
+      wx.showToast({
+        title: '请先登录',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({
+      activityId: options.id,
+      userPhone: app.globalData.userInfo.phone
+    });
+    this.loadPermissions().then(() => this.loadSession());
+  },
+
+  onPullDownRefresh() {
+    this.loadSession().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用对局管理云函数
+  async callGameManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callGameManager) {
+      throw new Error('网络未连接，请稍后重试');
+    }
+
+    const result = await app.callGameManager(action, {
+      userPhone: this.data.userPhone,
+      ...data
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 主持人 / 法官才显示操作按钮（权限由云函数校验）
+  async loadPermissions() {
+    const app = getApp();
+    const { activityId, userPhone } = this.data;
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) return;
+
+    try {
+      const result = await app.callActivityManager('getActivityDetail', { activityId, userPhone });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const detail = result.data;
+      this.setData({
+        canModerate: detail.createdBy === userPhone ||
+          (!!detail.gameMaster && detail.gameMaster.phone === userPhone)
+      });
+      wx.setNavigationBarTitle({ title: `${detail.title} · 法官助手` });
+    } catch (error) {
+      console.error('加载活动失败:', error);
+    }
+  },
+
+  // 加载对局
+  async loadSession() {
+    this.setData({ isLoading: true });
+
+    try {
+      const result = await this.callGameManager('getGameSession', { activityId: this.data.activityId });
+      this.applySession(result.session);
+    } catch (error) {
+      console.error('加载对局失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 整理对局数据，重置当前步骤的选择
+  applySession(session) {
+    if (!session) {
+      this.setData({ session: null, isLoading: false });
+      return;
+    }
+
+    const dawn = [...session.timeline].reverse().find(event => event.step === 'dawn');
+    let round = 0;
+    let phase = '';
+    const timeline = session.timeline.map(event => {
+      // 每夜、每天的第一条事件前显示分组标题
+      const header = event.round !== round || event.phase !== phase
+        ? `第${event.round}${event.phase === 'night' ? '夜' : '天'}`
+        : '';
+      round = event.round;
+      phase = event.phase;
+      return { ...event, header };
+    });
+
+    this.setData({
+      session: {
+        ...session,
+        timeline,
+        winnerName: CAMP_NAMES[session.winningCamp] || '',
+        suggestedWinnerName: CAMP_NAMES[session.suggestedWinner] || '',
+        shooters: session.players.filter(player => player.canShoot)
+      },
+      announcement: dawn ? dawn.text : '',
+      selectedSeat: null,
+      useAntidote: false,
+      shooterSeat: null,
+      isLoading: false
+    });
+  },
+
+  // 开始对局
+  async startSession() {
+    this.setData({ isSubmitting: true });
+    try {
+      const result = await this.callGameManager('startGameSession', { activityId: this.data.activityId });
+      this.applySession(result.session);
+      wx.showToast({ title: result.message, icon: 'none' });
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '开局失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isSubmitting: false });
+    }
+  },
+
+  // 点选座位，再次点选取消
+  selectSeat(e) {
+    const { session } = this.data;
+    if (!this.data.canModerate || !session || session.status !== 'running') return;
+
+    const seatNo = Number(e.currentTarget.dataset.seat);
+    const player = session.players.find(item => item.seatNo === seatNo);
+    if (!player.isAlive) return;
+
+    this.setData({ selectedSeat: this.data.selectedSeat === seatNo ? null : seatNo });
+  },
+
+  // 女巫：解药未用且今晚有人被刀时可以使用
+  toggleAntidote() {
+    const step = this.data.session.currentStep;
+    if (!step.antidoteAvailable || !step.killedSeat) return;
+
+    this.setData({ useAntidote: !this.data.useAntidote, selectedSeat: null });
+  },
+
+  // 提交当前夜间步骤
+  async submitNightStep() {
+    const { session, selectedSeat, useAntidote } = this.data;
+    const step = session.currentStep;
+
+    const input = step.key === 'witch'
+      ? { save: useAntidote, poisonSeat: selectedSeat }
+      : { targetSeat: selectedSeat };
+
+    const result = await this.submit('submitNightAction', {
+      sessionId: session.id,
+      step: step.key,
+      ...input
+    });
+    if (!result) return;
+
+    if (result.seerResult) {
+      wx.showModal({
+        title: '查验结果',
+        content: `${selectedSeat}号是${result.seerResult === 'werewolf' ? '狼人' : '好人'}`,
+        showCancel: false
+      });
+    } else if (result.announcement) {
+      wx.showModal({
+        title: '天亮了',
+        content: result.announcement,
+        showCancel: false
+      });
+    }
+  },
+
+  // 白天放逐：未选择座位时记为无人出局
+  exilePlayer() {
+    const { session, selectedSeat } = this.data;
+
+    wx.showModal({
+      title: '放逐投票',
+      content: selectedSeat ? `确定放逐${selectedSeat}号吗？` : '确定本轮无人出局吗？',
+      success: (res) => {
+        if (!res.confirm) return;
+        this.submit('submitDayAction', { sessionId: session.id, type: 'exile', targetSeat: selectedSeat });
+      }
+    });
+  },
+
+  // 选择开枪的玩家，再点选目标
+  chooseShooter(e) {
+    const seatNo = Number(e.currentTarget.dataset.seat);
+    this.setData({ shooterSeat: this.data.shooterSeat === seatNo ? null : seatNo, selectedSeat: null });
+  },
+
+  async shoot() {
+    const { session, shooterSeat, selectedSeat } = this.data;
+
+    if (!selectedSeat) {
+      wx.showToast({
+        title: '请选择开枪带走的玩家',
+        icon: 'none'
+      });
+      return;
+    }
+
+    await this.submit('submitDayAction', {
+      sessionId: session.id,
+      type: 'shoot',
+      actorSeat: shooterSeat,
+      targetSeat: selectedSeat
+    });
+  },
+
+  nextNight() {
+    this.submit('startNextNight', { sessionId: this.data.session.id });
+  },
+
+  // 结束对局：已分胜负时直接确认，否则选择获胜阵营
+  endSession() {
+    const { session, campOptions } = this.data;
+    const end = winningCamp => this.submit('endGameSession', { sessionId: session.id, winningCamp });
+
+    if (session.suggestedWinner) {
+      wx.showModal({
+        title: '结束对局',
+        content: `${session.suggestedWinnerName}获胜，确定结束对局吗？`,
+        success: (res) => res.confirm && end(session.suggestedWinner)
+      });
+      return;
+    }
+
+    wx.showActionSheet({
+      itemList: campOptions.map(option => `${option.label}获胜`),
+      success: (res) => end(campOptions[res.tapIndex].value)
+    });
+  },
+
+  // 主持人 / 法官：把结果记入战绩与积分
+  async recordGame() {
+    const { activityId, session } = this.data;
+
+    wx.showLoading({ title: '记录中...' });
+    try {
+      await this.callGameManager('recordGame', { activityId, winningCamp: session.winningCamp });
+      wx.hideLoading();
+      wx.showToast({ title: '已记入战绩', icon: 'success' });
+    } catch (error) {
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '记录失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 提交对局操作并刷新局面
+  async submit(action, data) {
+    if (this.data.isSubmitting) return null;
+
+    this.setData({ isSubmitting: true });
+    try {
+      const result = await this.callGameManager(action, data);
+      this.applySession(result.session);
+      return result;
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+      return null;
+    } finally {
+      this.setData({ isSubmitting: false });
+    }
+  }
+});
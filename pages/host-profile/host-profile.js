@@ -0,0 +1,85 @@
+// pages/host-profile/host-profile.js
+
+// 评分转为星星文本，如 ★★★★☆
+function toStars(rating) {
+  const full = Math.round(rating);
+  return '★'.repeat(full) + '☆'.repeat(5 - full);
+}
+
+Page({
+  data: {
+    hostPhone: '',
+    profile: null,
+    isLoading: true
+  },
+
+  onLoad(options) {
+    if (!options.phone) {
+      wx.showToast({
+        title: '主持人不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ hostPhone: options.phone });
+    this.loadProfile();
+  },
+
+  onPullDownRefresh() {
+    this.loadProfile().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 加载主持人主页
+  async loadProfile() {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: '网络未连接，请稍后重试',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ isLoading: true });
+
+    try {
+      const result = await app.callActivityManager('getHostProfile', { hostPhone: this.data.hostPhone });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const profile = result.data;
+      this.setData({
+        profile: {
+          ...profile,
+          ratingStars: toStars(profile.rating.average),
+          reviews: profile.reviews.map(review => ({
+            ...review,
+            starsText: toStars(review.rating),
+            dateText: String(review.activityDate).slice(0, 10)
+          }))
+        },
+        isLoading: false
+      });
+
+      wx.setNavigationBarTitle({ title: profile.name });
+    } catch (error) {
+      console.error('加载主持人主页失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 查看评价对应的活动
+  viewActivity(e) {
+    wx.navigateTo({
+      url: `/pages/activity-detail/activity-detail?id=${e.currentTarget.dataset.id}`
+    });
+  }
+});
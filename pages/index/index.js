@@ -32,6 +32,7 @@ Page({
     this.loadActivities();
     this.loadUserStatus();
     this.updateGreeting();
+    getApp().refreshUnreadBadge();
   },
 
   onHide() {
@@ -174,9 +175,8 @@ Page({
 
   // 搜索功能
   goToSearch() {
-    wx.showToast({
-      title: '搜索功能开发中',
-      icon: 'none'
+    wx.navigateTo({
+      url: '/pages/search/search'
     });
   },
 
@@ -0,0 +1,106 @@
+// pages/leaderboard/leaderboard.js
+const { ROLES } = require('../../utils/boards');
+const { formatDate } = require('../../utils/recurrence');
+
+// 排行榜类型
+const BOARD_TABS = [
+  { type: 'overall', label: '总榜' },
+  { type: 'monthly', label: '月榜' },
+  { type: 'role', label: '角色榜' }
+];
+
+// 前三名奖牌
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+Page({
+  data: {
+    tabs: BOARD_TABS,
+    tabIndex: 0,
+    month: formatDate(new Date()).slice(0, 7),
+    currentMonth: formatDate(new Date()).slice(0, 7),
+    roleOptions: Object.values(ROLES).map(role => ({ key: role.key, name: role.name })),
+    roleIndex: 0,
+    entries: [],
+    minGames: 0,
+    me: null,
+    isLoading: false,
+    hasLoaded: false
+  },
+
+  onLoad() {
+    this.loadLeaderboard();
+  },
+
+  onPullDownRefresh() {
+    this.loadLeaderboard().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 加载排行榜
+  async loadLeaderboard() {
+    const app = getApp();
+    const { tabs, tabIndex, month, roleOptions, roleIndex } = this.data;
+
+    if (!app.globalData.isCloudConnected || !app.callGameManager) {
+      wx.showToast({
+        title: '排行榜需要联网使用',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ isLoading: true });
+
+    try {
+      const result = await app.callGameManager('getLeaderboard', {
+        type: tabs[tabIndex].type,
+        month,
+        role: roleOptions[roleIndex].key,
+        userPhone: app.globalData.isLoggedIn ? app.globalData.userInfo.phone : ''
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.setData({
+        entries: result.data.entries.map(entry => ({
+          ...entry,
+          medal: MEDALS[entry.rank - 1] || '',
+          deltaText: entry.delta === null ? '' : `${entry.delta > 0 ? '+' : ''}${entry.delta}`
+        })),
+        minGames: result.data.minGames,
+        me: result.data.me,
+        isLoading: false,
+        hasLoaded: true
+      });
+    } catch (error) {
+      console.error('加载排行榜失败:', error);
+      this.setData({ isLoading: false, hasLoaded: true });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 切换排行榜类型
+  onTabTap(e) {
+    const tabIndex = Number(e.currentTarget.dataset.index);
+    if (tabIndex === this.data.tabIndex) return;
+
+    this.setData({ tabIndex, entries: [] });
+    this.loadLeaderboard();
+  },
+
+  // 选择月份
+  onMonthChange(e) {
+    this.setData({ month: e.detail.value });
+    this.loadLeaderboard();
+  },
+
+  // 选择角色
+  onRoleChange(e) {
+    this.setData({ roleIndex: Number(e.detail.value) });
+    this.loadLeaderboard();
+  }
+});
@@ -5,6 +5,9 @@ Page({
     isLoggedIn: false,
     balance: 0,
     transactionHistory: [],
+    gameStats: null,
+    unreadCount: 0,
+    isGameMaster: false,
     isLoading: false
   },
 
@@ -64,17 +67,152 @@ Page({
         transactionHistory: transactions,
         isLoading: false
       });
+
+      this.loadGameStats(userInfo.phone);
+      this.loadUnreadCount();
+      this.loadGameMasterRole(userInfo.phone);
     } else {
       this.setData({
         userInfo: null,
         isLoggedIn: false,
         balance: 0,
         transactionHistory: [],
+        gameStats: null,
         isLoading: false
       });
     }
   },
 
+  // 加载我的战绩
+  async loadGameStats(userPhone) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callGameManager) {
+      return;
+    }
+
+    try {
+      const result = await app.callGameManager('getPlayerStats', { userPhone });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.setData({
+        gameStats: {
+          ...result.data,
+          recentFormList: result.data.recentForm.split('')
+        }
+      });
+    } catch (error) {
+      console.error('加载战绩失败:', error);
+    }
+  },
+
+  // 刷新未读消息数量（同时更新 tab 角标）
+  async loadUnreadCount() {
+    const unreadCount = await getApp().refreshUnreadBadge();
+    this.setData({ unreadCount });
+  },
+
+  // 判断当前用户是否为法官（法官可登记空闲时段）
+  async loadGameMasterRole(userPhone) {
+    const app = getApp();
+    if (!app.globalData.isCloudConnected || !app.callStoreManager) return;
+
+    try {
+      const result = await app.callStoreManager('getGameMasters', {});
+      if (result.success) {
+        this.setData({ isGameMaster: result.data.some(gameMaster => gameMaster.phone === userPhone) });
+      }
+    } catch (error) {
+      console.error('加载法官信息失败:', error);
+    }
+  },
+
+  // 进入排行榜
+  goToLeaderboard() {
+    wx.navigateTo({
+      url: '/pages/leaderboard/leaderboard'
+    });
+  },
+
+  // 进入法官排班（登记空闲时段）
+  goToGameMasters() {
+    wx.navigateTo({
+      url: '/pages/game-masters/game-masters'
+    });
+  },
+
+  // 进入消息中心
+  goToMessages() {
+    wx.navigateTo({
+      url: '/pages/messages/messages'
+    });
+  },
+
+  // 导出活动日历：复制日历内容，或获取可在手机日历中订阅的链接
+  exportCalendar() {
+    const options = [
+      { label: '复制我的活动日历', scope: 'mine', upload: false },
+      { label: '获取我的活动日历链接', scope: 'mine', upload: true },
+      { label: '获取店铺活动日历链接', scope: 'store', upload: true }
+    ];
+
+    wx.showActionSheet({
+      itemList: options.map(option => option.label),
+      success: (res) => {
+        this.requestCalendar(options[res.tapIndex]);
+      }
+    });
+  },
+
+  async requestCalendar({ scope, upload }) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      wx.showToast({
+        title: '导出日历需要联网',
+        icon: 'none'
+      });
+      return;
+    }
+
+    wx.showLoading({ title: '生成中...' });
+    try {
+      const result = await app.callActivityManager('exportCalendar', {
+        scope,
+        upload,
+        userPhone: this.data.userInfo.phone
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      wx.hideLoading();
+      const { ics, downloadUrl, eventCount } = result.data;
+      wx.setClipboardData({
+        data: upload ? downloadUrl : ics,
+        success: () => {
+          wx.showModal({
+            title: '已复制',
+            content: upload
+              ? `日历链接已复制（共${eventCount}个活动），可在手机日历中添加订阅或在浏览器中打开下载`
+              : `日历内容已复制（共${eventCount}个活动），可粘贴保存为 .ics 文件后导入日历`,
+            showCancel: false
+          });
+        }
+      });
+    } catch (error) {
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '导出失败',
+        icon: 'none'
+      });
+    }
+  },
+
   // 充值功能已移除，只保留余额显示
 
   // 处理充值（已取消）
@@ -115,6 +253,7 @@ Page({
           app.globalData.isLoggedIn = false;
           app.globalData.userInfo = null;
           app.globalData.isAdmin = false;
+          app.setUnreadBadge(0);
 
           // 清除本地存储的登录信息
           wx.removeStorageSync('isLoggedIn');
@@ -125,7 +264,9 @@ Page({
             userInfo: null,
             isLoggedIn: false,
             balance: 0,
-            transactionHistory: []
+            transactionHistory: [],
+            gameStats: null,
+            unreadCount: 0
           });
 
           wx.showToast({
@@ -0,0 +1,234 @@
+// pages/messages/messages.js
+
+// 消息类型图标
+const TYPE_ICONS = {
+  activity_cancelled: '🚫',
+  waitlist_promoted: '🎉',
+  activity_reminder: '⏰',
+  balance_recharged: '💰',
+  penalty_charged: '💸',
+  game_master_assigned: '⚖️',
+  comment_mentioned: '💬',
+  comment_replied: '💬',
+  announcement: '📢'
+};
+
+// 消息筛选
+const FILTER_OPTIONS = [
+  { value: false, label: '全部' },
+  { value: true, label: '未读' }
+];
+
+// 每页条数
+const PAGE_SIZE = 20;
+
+Page({
+  data: {
+    messages: [],
+    filterOptions: FILTER_OPTIONS,
+    filterIndex: 0,
+    unreadCount: 0,
+    hasMore: false,
+    isLoading: false,
+    hasLoaded: false
+  },
+
+  onShow() {
+    const app = getApp();
+
+    if (!app.globalData.isLoggedIn) {
+      wx.showToast({
+        title: '请先登录',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.loadMessages();
+  },
+
+  onReachBottom() {
+    if (this.data.hasMore && !this.data.isLoading) {
+      this.loadMessages(true);
+    }
+  },
+
+  onPullDownRefresh() {
+    this.loadMessages().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用通知管理云函数
+  async callNotificationManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callNotificationManager) {
+      throw new Error('消息中心需要联网使用');
+    }
+
+    const result = await app.callNotificationManager(action, {
+      userPhone: app.globalData.userInfo.phone,
+      ...data
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  },
+
+  // 加载消息列表，append 为 true 时加载下一页
+  async loadMessages(append = false) {
+    const { messages, filterOptions, filterIndex } = this.data;
+    this.setData({ isLoading: true });
+
+    try {
+      const page = await this.callNotificationManager('getInbox', {
+        limit: PAGE_SIZE,
+        offset: append ? messages.length : 0,
+        unreadOnly: filterOptions[filterIndex].value
+      });
+      const list = page.list.map(message => this.formatMessage(message));
+
+      this.setData({
+        messages: append ? [...messages, ...list] : list,
+        hasMore: page.hasMore,
+        isLoading: false,
+        hasLoaded: true
+      });
+      this.updateUnreadCount(page.unreadCount);
+    } catch (error) {
+      console.error('加载消息失败:', error);
+      this.setData({ isLoading: false, hasLoaded: true });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 格式化消息（图标、时间、跳转链接）
+  formatMessage(message) {
+    return {
+      ...message,
+      icon: TYPE_ICONS[message.type] || '✉️',
+      timeText: this.formatTime(message.createdAt),
+      link: this.getMessageLink(message)
+    };
+  },
+
+  // 消息关联的业务页面
+  getMessageLink(message) {
+    if (message.referenceType === 'activity' && message.referenceId && message.type.startsWith('comment_')) {
+      return { url: `/pages/activity-comments/activity-comments?id=${message.referenceId}` };
+    }
+    if (message.referenceType === 'activity' && message.referenceId) {
+      return { url: `/pages/activity-detail/activity-detail?id=${message.referenceId}` };
+    }
+    if (message.referenceType === 'transaction') {
+      return { url: '/pages/member/member', isTab: true };
+    }
+    return null;
+  },
+
+  formatTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getMonth() + 1}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  },
+
+  // 同步未读数量到页面和 tab 角标
+  updateUnreadCount(unreadCount) {
+    this.setData({ unreadCount });
+    getApp().setUnreadBadge(unreadCount);
+  },
+
+  onFilterTap(e) {
+    this.setData({ filterIndex: Number(e.currentTarget.dataset.index) });
+    this.loadMessages();
+  },
+
+  // 点击消息：标记已读后跳转到关联页面
+  async openMessage(e) {
+    const index = Number(e.currentTarget.dataset.index);
+    const message = this.data.messages[index];
+
+    if (!message.isRead) {
+      try {
+        const result = await this.callNotificationManager('markRead', { ids: [message.id] });
+        this.setData({ [`messages[${index}].isRead`]: true });
+        this.updateUnreadCount(result.unreadCount);
+      } catch (error) {
+        console.error('标记已读失败:', error);
+      }
+    }
+
+    if (message.link) {
+      if (message.link.isTab) {
+        wx.switchTab({ url: message.link.url });
+      } else {
+        wx.navigateTo({ url: message.link.url });
+      }
+      return;
+    }
+
+    wx.showModal({
+      title: message.title,
+      content: message.content,
+      showCancel: false,
+      confirmText: '知道了'
+    });
+  },
+
+  // 全部标记为已读
+  async markAllRead() {
+    if (this.data.unreadCount === 0) return;
+
+    try {
+      const result = await this.callNotificationManager('markRead', {});
+      this.setData({
+        messages: this.data.messages.map(message => ({ ...message, isRead: true }))
+      });
+      this.updateUnreadCount(result.unreadCount);
+      if (this.data.filterOptions[this.data.filterIndex].value) {
+        this.loadMessages();
+      }
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 删除消息（长按或点击删除按钮）
+  deleteMessage(e) {
+    const index = Number(e.currentTarget.dataset.index);
+    const message = this.data.messages[index];
+
+    wx.showModal({
+      title: '删除消息',
+      content: `确定删除「${message.title}」吗？`,
+      confirmText: '删除',
+      confirmColor: '#ff4757',
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await this.callNotificationManager('deleteMessages', { ids: [message.id] });
+          this.setData({
+            messages: this.data.messages.filter(item => item.id !== message.id)
+          });
+          this.updateUnreadCount(result.unreadCount);
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '删除失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,136 @@
+// pages/review-moderation/review-moderation.js
+
+// 审核队列筛选
+const STATUS_TABS = [
+  { status: 'pending', label: '待审核' },
+  { status: 'approved', label: '已公开' },
+  { status: 'rejected', label: '未通过' }
+];
+
+Page({
+  data: {
+    tabs: STATUS_TABS,
+    tabIndex: 0,
+    reviews: [],
+    isLoading: false,
+    hasLoaded: false
+  },
+
+  onLoad() {
+    const app = getApp();
+    const userInfo = app.getUserInfo();
+
+    if (!userInfo || !app.isAdminUser(userInfo.phone, userInfo.name)) {
+      wx.showToast({
+        title: '非管理员无法访问此页面',
+        icon: 'none'
+      });
+      setTimeout(() => {
+        wx.navigateBack();
+      }, 1500);
+      return;
+    }
+
+    this.operatorPhone = userInfo.phone;
+    this.loadReviews();
+  },
+
+  onPullDownRefresh() {
+    this.loadReviews().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data = {}) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('评价审核需要联网使用');
+    }
+
+    const result = await app.callActivityManager(action, {
+      operatorPhone: this.operatorPhone,
+      ...data
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  },
+
+  // 加载当前筛选下的评价
+  async loadReviews() {
+    const { tabs, tabIndex } = this.data;
+    this.setData({ isLoading: true });
+
+    try {
+      const reviews = await this.callActivityManager('getReviewQueue', { status: tabs[tabIndex].status });
+      this.setData({
+        reviews: reviews.map(review => ({
+          ...review,
+          starsText: '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating),
+          dateText: String(review.activityDate).slice(0, 10)
+        }))
+      });
+    } catch (error) {
+      console.error('加载评价失败:', error);
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isLoading: false, hasLoaded: true });
+    }
+  },
+
+  onTabTap(e) {
+    const tabIndex = Number(e.currentTarget.dataset.index);
+    if (tabIndex === this.data.tabIndex) return;
+
+    this.setData({ tabIndex, reviews: [] });
+    this.loadReviews();
+  },
+
+  // 通过审核，公开评价
+  approveReview(e) {
+    this.moderate(e.currentTarget.dataset.id, 'approve');
+  },
+
+  // 不通过 / 下架评价，可填写原因（评价人可见）
+  rejectReview(e) {
+    const { id } = e.currentTarget.dataset;
+
+    wx.showModal({
+      title: '不公开此评价',
+      editable: true,
+      placeholderText: '原因（选填，评价人可见）',
+      confirmText: '确定',
+      confirmColor: '#e84393',
+      success: (res) => {
+        if (res.confirm) {
+          this.moderate(id, 'reject', (res.content || '').trim());
+        }
+      }
+    });
+  },
+
+  async moderate(reviewId, decision, reason) {
+    wx.showLoading({ title: '处理中...' });
+
+    try {
+      const result = await this.callActivityManager('moderateReview', { reviewId, decision, reason });
+      wx.hideLoading();
+      wx.showToast({
+        title: result.message,
+        icon: 'none'
+      });
+      await this.loadReviews();
+    } catch (error) {
+      wx.hideLoading();
+      wx.showToast({
+        title: error.message || '操作失败',
+        icon: 'none'
+      });
+    }
+  }
+});
@@ -0,0 +1,188 @@
+// pages/role-card/role-card.js
+const { listBoards } = require('../../utils/boards');
+
+const CAMP_NAMES = {
+  werewolf: '狼人阵营',
+  good: '好人阵营'
+};
+
+Page({
+  data: {
+    activityId: null,
+    userPhone: '',
+    // 主持人或被安排的法官：发身份并查看上帝视角
+    canModerate: false,
+    canDeal: false,
+    boards: listBoards(),
+    boardIndex: 0,
+    // host：上帝视角；player：自己的身份；null：尚未发牌
+    view: null,
+    assignment: null,
+    myRole: null,
+    // 按住身份牌时才显示身份
+    revealed: false,
+    // 上帝视角默认遮挡，避免被旁人看到
+    godVisible: false,
+    isDealing: false,
+    isLoading: true
+  },
+
+  onLoad(options) {
+    if (!options.id) {
+      wx.showToast({
+        title: '活动不存在',
+        icon: 'none'
+      });
+      return;
+    }
+
+    const app = getApp();
+    if (!app.globalData.isLoggedIn) {
+      wx.showToast({
+        title: '请先登录',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({
+      activityId: options.id,
+      userPhone: app.globalData.userInfo.phone
+    });
+    this.loadRoles();
+  },
+
+  // 离开页面时盖上身份牌
+  onHide() {
+    this.setData({ revealed: false, godVisible: false });
+  },
+
+  onPullDownRefresh() {
+    this.loadRoles().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用活动管理云函数
+  async callActivityManager(action, data) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('网络未连接，请稍后重试');
+    }
+
+    const result = await app.callActivityManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  },
+
+  // 加载发牌状态；已发牌时按权限获取身份（云函数只返回当前用户可见的身份）
+  async loadRoles() {
+    const { activityId, userPhone, boards } = this.data;
+    this.setData({ isLoading: true });
+
+    try {
+      const detail = await this.callActivityManager('getActivityDetail', { activityId, userPhone });
+      const canModerate = detail.createdBy === userPhone ||
+        (!!detail.gameMaster && detail.gameMaster.phone === userPhone);
+      const boardIndex = Math.max(boards.findIndex(board => board.key === detail.boardKey), 0);
+
+      this.setData({
+        canModerate,
+        canDeal: canModerate && !['completed', 'cancelled'].includes(detail.status),
+        boardIndex
+      });
+      wx.setNavigationBarTitle({ title: `${detail.title} · 身份` });
+
+      if (!detail.rolesDealtAt) {
+        this.setData({ view: null, assignment: null, myRole: null, isLoading: false });
+        return;
+      }
+
+      this.applyRoles(await this.callActivityManager('getRoleAssignment', { activityId, userPhone }));
+    } catch (error) {
+      console.error('加载身份失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 整理云函数返回的发牌结果
+  applyRoles(result) {
+    if (result.view === 'host') {
+      this.setData({
+        view: 'host',
+        assignment: {
+          ...result,
+          players: result.players.map(player => ({ ...player, campName: CAMP_NAMES[player.camp] || player.camp }))
+        },
+        myRole: null,
+        godVisible: false,
+        isLoading: false
+      });
+      return;
+    }
+
+    this.setData({
+      view: 'player',
+      assignment: null,
+      myRole: { ...result, campName: CAMP_NAMES[result.camp] || result.camp },
+      revealed: false,
+      isLoading: false
+    });
+  },
+
+  onBoardChange(e) {
+    this.setData({ boardIndex: Number(e.detail.value) });
+  },
+
+  // 发身份；已发过时重新发牌会作废上一轮身份
+  dealRoles() {
+    const { boards, boardIndex, view } = this.data;
+
+    wx.showModal({
+      title: view ? '重新发身份' : '发身份',
+      content: view
+        ? `重新发牌后上一轮身份作废，玩家需重新查看。确定按「${boards[boardIndex].name}」重新发牌吗？`
+        : `确定按「${boards[boardIndex].name}」为已就座的玩家发身份吗？`,
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        this.setData({ isDealing: true });
+        try {
+          const result = await this.callActivityManager('assignRoles', {
+            activityId: this.data.activityId,
+            userPhone: this.data.userPhone,
+            boardKey: boards[boardIndex].key
+          });
+          this.applyRoles({ view: 'host', ...result });
+          wx.showToast({ title: result.message, icon: 'success' });
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '发牌失败',
+            icon: 'none'
+          });
+        } finally {
+          this.setData({ isDealing: false });
+        }
+      }
+    });
+  },
+
+  // 玩家按住身份牌查看，松开即盖上
+  onRevealStart() {
+    this.setData({ revealed: true });
+    wx.vibrateShort({ type: 'light' });
+  },
+
+  onRevealEnd() {
+    this.setData({ revealed: false });
+  },
+
+  toggleGodView() {
+    this.setData({ godVisible: !this.data.godVisible });
+  }
+});
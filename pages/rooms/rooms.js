@@ -0,0 +1,273 @@
+// pages/rooms/rooms.js
+const { formatDate, addDays } = require('../../utils/recurrence');
+
+// 空白房间表单
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  type: 'room',
+  capacity: '',
+  hourlyPrice: '',
+  features: []
+};
+
+Page({
+  data: {
+    date: formatDate(new Date()),
+    hours: [],
+    timeline: [],
+    rooms: [],
+    typeOptions: [],
+    featureOptions: [],
+    typeIndex: 0,
+    form: { ...EMPTY_FORM },
+    showForm: false,
+    isLoading: false,
+    isSaving: false
+  },
+
+  onLoad() {
+    const app = getApp();
+    const userInfo = app.getUserInfo();
+
+    if (!userInfo || !app.isAdminUser(userInfo.phone, userInfo.name)) {
+      wx.showToast({
+        title: '非管理员无法访问此页面',
+        icon: 'none'
+      });
+      setTimeout(() => {
+        wx.navigateBack();
+      }, 1500);
+      return;
+    }
+
+    this.loadAll();
+  },
+
+  onPullDownRefresh() {
+    this.loadAll().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 调用店铺管理云函数
+  async callStoreManager(action, data = {}) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callStoreManager) {
+      throw new Error('房间管理需要联网使用');
+    }
+
+    const result = await app.callStoreManager(action, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  },
+
+  // 加载房间列表和当天占用情况
+  async loadAll() {
+    this.setData({ isLoading: true });
+
+    try {
+      await Promise.all([this.loadRooms(), this.loadTimeline()]);
+    } catch (error) {
+      console.error('加载房间失败:', error);
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isLoading: false });
+    }
+  },
+
+  async loadRooms() {
+    const result = await this.callStoreManager('getRooms', { includeInactive: true });
+    this.setData({
+      rooms: result.rooms,
+      typeOptions: result.types,
+      featureOptions: result.features.map(feature => ({
+        ...feature,
+        checked: this.data.form.features.includes(feature.value)
+      }))
+    });
+  },
+
+  async loadTimeline() {
+    const result = await this.callStoreManager('getRoomTimeline', { date: this.data.date });
+    this.setData({
+      hours: result.hours,
+      timeline: result.rooms.filter(room => room.status === 'active' || room.bookings.length > 0)
+    });
+  },
+
+  // 切换日期
+  async changeDate(date) {
+    this.setData({ date });
+    try {
+      await this.loadTimeline();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  onDateChange(e) {
+    this.changeDate(e.detail.value);
+  },
+
+  previousDay() {
+    this.changeDate(addDays(this.data.date, -1));
+  },
+
+  nextDay() {
+    this.changeDate(addDays(this.data.date, 1));
+  },
+
+  // 点击预订查看活动
+  viewBooking(e) {
+    wx.navigateTo({
+      url: `/pages/activity-detail/activity-detail?id=${e.currentTarget.dataset.id}`
+    });
+  },
+
+  // 打开新增 / 编辑表单
+  openForm(e) {
+    const room = e && e.currentTarget.dataset.index !== undefined
+      ? this.data.rooms[e.currentTarget.dataset.index]
+      : null;
+    const form = room
+      ? {
+        id: room.id,
+        name: room.name,
+        type: room.type,
+        capacity: String(room.capacity),
+        hourlyPrice: String(room.hourlyPrice),
+        features: [...room.features]
+      }
+      : { ...EMPTY_FORM, features: [] };
+
+    this.setData({
+      form,
+      showForm: true,
+      typeIndex: Math.max(this.data.typeOptions.findIndex(option => option.value === form.type), 0),
+      featureOptions: this.data.featureOptions.map(feature => ({
+        ...feature,
+        checked: form.features.includes(feature.value)
+      }))
+    });
+  },
+
+  closeForm() {
+    this.setData({ showForm: false });
+  },
+
+  onFormInput(e) {
+    this.setData({
+      [`form.${e.currentTarget.dataset.field}`]: e.detail.value
+    });
+  },
+
+  onTypeChange(e) {
+    const typeIndex = Number(e.detail.value);
+    this.setData({
+      typeIndex,
+      'form.type': this.data.typeOptions[typeIndex].value
+    });
+  },
+
+  toggleFeature(e) {
+    const { index } = e.currentTarget.dataset;
+    const featureOptions = this.data.featureOptions.map((feature, i) =>
+      i === index ? { ...feature, checked: !feature.checked } : feature);
+
+    this.setData({
+      featureOptions,
+      'form.features': featureOptions.filter(feature => feature.checked).map(feature => feature.value)
+    });
+  },
+
+  // 保存房间
+  async saveRoom() {
+    const { form } = this.data;
+
+    if (!form.name.trim()) {
+      wx.showToast({
+        title: '请输入房间名称',
+        icon: 'none'
+      });
+      return;
+    }
+
+    if (!/^\d+$/.test(form.capacity) || Number(form.capacity) <= 0) {
+      wx.showToast({
+        title: '请输入有效的容纳人数',
+        icon: 'none'
+      });
+      return;
+    }
+
+    this.setData({ isSaving: true });
+    try {
+      const result = await this.callStoreManager('saveRoom', {
+        operatorPhone: getApp().globalData.userInfo.phone,
+        room: {
+          ...form,
+          name: form.name.trim(),
+          capacity: Number(form.capacity),
+          hourlyPrice: Number(form.hourlyPrice) || 0
+        }
+      });
+
+      wx.showToast({
+        title: result.message,
+        icon: 'success'
+      });
+      this.setData({ showForm: false });
+      await this.loadAll();
+    } catch (error) {
+      wx.showToast({
+        title: error.message || '保存失败',
+        icon: 'none'
+      });
+    } finally {
+      this.setData({ isSaving: false });
+    }
+  },
+
+  // 启用 / 停用房间
+  toggleRoomStatus(e) {
+    const room = this.data.rooms[e.currentTarget.dataset.index];
+    const status = room.status === 'active' ? 'inactive' : 'active';
+
+    wx.showModal({
+      title: status === 'active' ? '启用房间' : '停用房间',
+      content: status === 'active'
+        ? `启用后「${room.name}」可以被新活动预订`
+        : `停用后「${room.name}」不能被新活动预订，已有预订不受影响`,
+      success: async (res) => {
+        if (!res.confirm) return;
+
+        try {
+          const result = await this.callStoreManager('setRoomStatus', {
+            operatorPhone: getApp().globalData.userInfo.phone,
+            roomId: room.id,
+            status
+          });
+          wx.showToast({
+            title: result.message,
+            icon: 'success'
+          });
+          await this.loadAll();
+        } catch (error) {
+          wx.showToast({
+            title: error.message || '操作失败',
+            icon: 'none'
+          });
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,222 @@
+// pages/search/search.js
+const { STATUS_NAMES } = require('../../utils/activityLifecycle');
+
+// 状态筛选（默认不含已取消）
+const STATUS_OPTIONS = [
+  { value: '', label: '全部' },
+  ...['open', 'planning', 'full', 'in_progress', 'completed'].map(value => ({ value, label: STATUS_NAMES[value] }))
+];
+
+// 价格区间筛选
+const PRICE_OPTIONS = [
+  { label: '不限价格' },
+  { label: '免费', priceMax: 0 },
+  { label: '¥50以内', priceMin: 0, priceMax: 50 },
+  { label: '¥50以上', priceMin: 50 }
+];
+
+Page({
+  data: {
+    keyword: '',
+    statusOptions: STATUS_OPTIONS,
+    priceOptions: PRICE_OPTIONS,
+    statusIndex: 0,
+    priceIndex: 0,
+    dateFrom: '',
+    dateTo: '',
+    hasFreeSeats: false,
+    // 法官筛选（第一项为不限）
+    gameMasterOptions: [{ phone: '', name: '不限法官' }],
+    gameMasterIndex: 0,
+    results: [],
+    nextCursor: null,
+    hasMore: false,
+    isLoading: false,
+    hasSearched: false
+  },
+
+  async onLoad(options) {
+    if (options.keyword) {
+      this.setData({ keyword: decodeURIComponent(options.keyword) });
+    }
+    await this.loadGameMasters(options.gameMasterPhone);
+    this.search();
+  },
+
+  // 加载法官列表用于筛选，selectedPhone 为从活动详情进入时预选的法官
+  async loadGameMasters(selectedPhone) {
+    const app = getApp();
+    if (!app.globalData.isCloudConnected || !app.callStoreManager) return;
+
+    try {
+      const result = await app.callStoreManager('getGameMasters', {});
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const gameMasterOptions = [{ phone: '', name: '不限法官' }].concat(result.data);
+      this.setData({
+        gameMasterOptions,
+        gameMasterIndex: Math.max(gameMasterOptions.findIndex(option => option.phone === (selectedPhone || '')), 0)
+      });
+    } catch (error) {
+      console.error('加载法官列表失败:', error);
+    }
+  },
+
+  onReachBottom() {
+    if (this.data.hasMore && !this.data.isLoading) {
+      this.loadMore();
+    }
+  },
+
+  onPullDownRefresh() {
+    this.search().then(() => wx.stopPullDownRefresh());
+  },
+
+  // 组装搜索条件
+  buildCriteria() {
+    const { keyword, statusOptions, statusIndex, priceOptions, priceIndex, dateFrom, dateTo, hasFreeSeats } = this.data;
+    const price = priceOptions[priceIndex];
+    const gameMaster = this.data.gameMasterOptions[this.data.gameMasterIndex];
+
+    return {
+      keyword: keyword.trim(),
+      status: statusOptions[statusIndex].value,
+      dateFrom: dateFrom || undefined,
+      dateTo: dateTo || undefined,
+      priceMin: price.priceMin,
+      priceMax: price.priceMax,
+      hasFreeSeats,
+      gameMasterPhone: gameMaster.phone || undefined
+    };
+  },
+
+  // 查询一页结果
+  async fetchPage(cursor) {
+    const app = getApp();
+
+    if (!app.globalData.isCloudConnected || !app.callActivityManager) {
+      throw new Error('搜索需要联网使用');
+    }
+
+    const result = await app.callActivityManager('searchActivities', {
+      ...this.buildCriteria(),
+      cursor
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      ...result.data,
+      list: result.data.list.map(activity => ({
+        ...activity,
+        timeText: String(activity.time).slice(0, 5),
+        statusName: STATUS_NAMES[activity.status] || activity.status
+      }))
+    };
+  },
+
+  // 重新搜索（条件变化时从第一页开始）
+  async search() {
+    this.setData({ isLoading: true });
+
+    try {
+      const page = await this.fetchPage(null);
+      this.setData({
+        results: page.list,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        hasSearched: true,
+        isLoading: false
+      });
+    } catch (error) {
+      console.error('搜索活动失败:', error);
+      this.setData({ isLoading: false, hasSearched: true });
+      wx.showToast({
+        title: error.message || '搜索失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  // 加载下一页
+  async loadMore() {
+    this.setData({ isLoading: true });
+
+    try {
+      const page = await this.fetchPage(this.data.nextCursor);
+      this.setData({
+        results: [...this.data.results, ...page.list],
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        isLoading: false
+      });
+    } catch (error) {
+      console.error('加载更多失败:', error);
+      this.setData({ isLoading: false });
+      wx.showToast({
+        title: error.message || '加载失败',
+        icon: 'none'
+      });
+    }
+  },
+
+  onKeywordInput(e) {
+    this.setData({ keyword: e.detail.value });
+  },
+
+  onKeywordConfirm() {
+    this.search();
+  },
+
+  clearKeyword() {
+    this.setData({ keyword: '' });
+    this.search();
+  },
+
+  onStatusTap(e) {
+    this.setData({ statusIndex: Number(e.currentTarget.dataset.index) });
+    this.search();
+  },
+
+  onPriceChange(e) {
+    this.setData({ priceIndex: Number(e.detail.value) });
+    this.search();
+  },
+
+  onGameMasterChange(e) {
+    this.setData({ gameMasterIndex: Number(e.detail.value) });
+    this.search();
+  },
+
+  onDateFromChange(e) {
+    this.setData({ dateFrom: e.detail.value });
+    this.search();
+  },
+
+  onDateToChange(e) {
+    this.setData({ dateTo: e.detail.value });
+    this.search();
+  },
+
+  clearDates() {
+    this.setData({ dateFrom: '', dateTo: '' });
+    this.search();
+  },
+
+  onFreeSeatsChange(e) {
+    this.setData({ hasFreeSeats: e.detail.value });
+    this.search();
+  },
+
+  // 查看活动详情
+  viewActivityDetail(e) {
+    const activityId = e.currentTarget.dataset.id;
+    wx.navigateTo({
+      url: `/pages/activity-detail/activity-detail?id=${activityId}`
+    });
+  }
+});
@@ -79,7 +79,7 @@ async function checkCloudFunctions() {
         return false;
     }
 
-    const cloudFunctions = ['userAuth', 'activityManager', 'storeManager', 'transactionManager'];
+    const cloudFunctions = ['userAuth', 'activityManager', 'storeManager', 'transactionManager', 'activityScheduler', 'gameManager', 'notificationManager'];
     let allPassed = true;
 
     for (const funcName of cloudFunctions) {
@@ -0,0 +1,139 @@
+/**
+ * 活动生命周期状态机
+ * 定义活动状态、允许的状态转换和转换守卫；转换的副作用（退款、清理候补等）由 activityManager 执行
+ */
+
+const STATUSES = {
+  PLANNING: 'planning', // 筹备中（未达到最少人数）
+  OPEN: 'open', // 报名中
+  FULL: 'full', // 已满员
+  IN_PROGRESS: 'in_progress', // 进行中
+  COMPLETED: 'completed', // 已结束
+  CANCELLED: 'cancelled' // 已取消
+};
+
+const STATUS_NAMES = {
+  planning: '筹备中',
+  open: '报名中',
+  full: '已满员',
+  in_progress: '进行中',
+  completed: '已结束',
+  cancelled: '已取消'
+};
+
+// 允许的状态转换
+const TRANSITIONS = {
+  planning: ['open', 'full', 'cancelled'],
+  open: ['planning', 'full', 'in_progress', 'cancelled'],
+  full: ['open', 'in_progress', 'cancelled'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// 报名阶段的状态，可报名、退出和递补候补
+const ENROLLMENT_STATUSES = ['planning', 'open', 'full'];
+
+// 转换守卫：返回错误信息表示不允许转换
+const GUARDS = {
+  open: (activity, context) => (context.participantCount >= activity.max_players ? '活动人数已满' : null),
+  full: (activity, context) => (context.participantCount < activity.max_players ? '报名人数未满' : null),
+  in_progress: (activity, context) => {
+    if (context.participantCount < activity.min_players) {
+      return '报名人数不足最少人数，无法开始';
+    }
+    if (context.now < new Date(context.startTime.getTime() - context.earlyStartMinutes * 60 * 1000)) {
+      return '未到活动开始时间';
+    }
+    return null;
+  }
+};
+
+/**
+ * 判断状态转换是否在状态机中定义
+ * @param {string} fromStatus - 当前状态
+ * @param {string} toStatus - 目标状态
+ * @returns {boolean} 是否允许
+ */
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * 校验状态转换，不允许时抛出错误
+ * @param {object} activity - 活动记录（数据库字段）
+ * @param {string} toStatus - 目标状态
+ * @param {object} context - 校验上下文
+ * @param {number} context.participantCount - 当前报名人数
+ * @param {Date} context.startTime - 活动开始时间
+ * @param {Date} context.now - 当前时间
+ * @param {number} context.earlyStartMinutes - 最多可提前开始的分钟数
+ * @throws {Error} 转换不合法时抛出错误
+ */
+function assertTransition(activity, toStatus, context) {
+  if (!STATUS_NAMES[toStatus]) {
+    throw new Error(`无效的活动状态: ${toStatus}`);
+  }
+
+  if (!canTransition(activity.status, toStatus)) {
+    throw new Error(`活动状态不能从「${STATUS_NAMES[activity.status]}」变为「${STATUS_NAMES[toStatus]}」`);
+  }
+
+  const guard = GUARDS[toStatus];
+  const reason = guard ? guard(activity, context) : null;
+  if (reason) {
+    throw new Error(reason);
+  }
+}
+
+/**
+ * 根据报名人数得出报名阶段应处的状态
+ * @param {object} activity - 活动记录（数据库字段）
+ * @param {number} participantCount - 当前报名人数
+ * @returns {string} planning / open / full
+ */
+function getEnrollmentStatus(activity, participantCount) {
+  if (participantCount >= activity.max_players) return STATUSES.FULL;
+  if (participantCount >= activity.min_players) return STATUSES.OPEN;
+  return STATUSES.PLANNING;
+}
+
+/**
+ * 计算定时任务应将活动推进到的状态
+ * @param {object} activity - 活动记录（数据库字段）
+ * @param {object} context - 见 assertTransition，另需 context.minPlayersDeadlineHours、context.autoCompleteMinutes
+ * @returns {string|null} 目标状态，无需推进时返回 null
+ */
+function getScheduledTransition(activity, context) {
+  const { participantCount, startTime, now } = context;
+  const deadline = new Date(startTime.getTime() - context.minPlayersDeadlineHours * 60 * 60 * 1000);
+
+  if (ENROLLMENT_STATUSES.includes(activity.status)) {
+    // 截止时间仍未达到最少人数，自动取消
+    if (now >= deadline && participantCount < activity.min_players) {
+      return STATUSES.CANCELLED;
+    }
+    if (now >= startTime && activity.status !== STATUSES.PLANNING) {
+      return STATUSES.IN_PROGRESS;
+    }
+    return null;
+  }
+
+  if (activity.status === STATUSES.IN_PROGRESS) {
+    const endTime = new Date(startTime.getTime() + context.autoCompleteMinutes * 60 * 1000);
+    return now >= endTime ? STATUSES.COMPLETED : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_NAMES,
+  TRANSITIONS,
+  ENROLLMENT_STATUSES,
+  canTransition,
+  assertTransition,
+  getEnrollmentStatus,
+  getScheduledTransition
+};
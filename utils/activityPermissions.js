@@ -0,0 +1,39 @@
+/**
+ * 活动权限工具
+ * 活动创建者（主持人）负责活动的报名与管理；被安排的法官与主持人一样可以主持游戏（发牌、签到、对局）
+ */
+
+/**
+ * 判断用户是否为活动主持人（活动创建者）
+ * @param {object} activity - 活动记录
+ * @param {string} userPhone - 用户手机号
+ * @returns {boolean}
+ */
+function isActivityHost(activity, userPhone) {
+  return Boolean(userPhone) && activity.created_by === userPhone;
+}
+
+/**
+ * 判断用户能否主持游戏：活动主持人或被安排的法官
+ * @param {object} activity - 活动记录
+ * @param {string} userPhone - 用户手机号
+ * @returns {boolean}
+ */
+function canModerateActivity(activity, userPhone) {
+  return isActivityHost(activity, userPhone) || (Boolean(userPhone) && activity.game_master_phone === userPhone);
+}
+
+/**
+ * 实际主持活动的人：安排了法官时为法官，否则为活动创建者（评价、主持人主页按此归属）
+ * @param {object} activity - 活动记录
+ * @returns {string|null} 主持人手机号
+ */
+function getActivityHostPhone(activity) {
+  return activity.game_master_phone || activity.created_by;
+}
+
+module.exports = {
+  isActivityHost,
+  canModerateActivity,
+  getActivityHostPhone
+};
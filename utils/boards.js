@@ -0,0 +1,225 @@
+/**
+ * 狼人杀板子（角色配置）库
+ * 提供标准板子定义、板子校验以及可复现的随机发牌
+ */
+
+// 阵营
+const CAMPS = {
+  WEREWOLF: 'werewolf', // 狼人阵营
+  GOOD: 'good' // 好人阵营
+};
+
+// 角色定义：group 区分狼人 / 神职 / 平民，用于屠边规则与统计
+const ROLES = {
+  werewolf: { key: 'werewolf', name: '狼人', camp: CAMPS.WEREWOLF, group: 'wolf' },
+  wolf_king: { key: 'wolf_king', name: '狼王', camp: CAMPS.WEREWOLF, group: 'wolf' },
+  white_wolf_king: { key: 'white_wolf_king', name: '白狼王', camp: CAMPS.WEREWOLF, group: 'wolf' },
+  seer: { key: 'seer', name: '预言家', camp: CAMPS.GOOD, group: 'god' },
+  witch: { key: 'witch', name: '女巫', camp: CAMPS.GOOD, group: 'god' },
+  hunter: { key: 'hunter', name: '猎人', camp: CAMPS.GOOD, group: 'god' },
+  idiot: { key: 'idiot', name: '白痴', camp: CAMPS.GOOD, group: 'god' },
+  guard: { key: 'guard', name: '守卫', camp: CAMPS.GOOD, group: 'god' },
+  knight: { key: 'knight', name: '骑士', camp: CAMPS.GOOD, group: 'god' },
+  villager: { key: 'villager', name: '平民', camp: CAMPS.GOOD, group: 'villager' }
+};
+
+// 标准板子
+const BOARDS = {
+  '9p_seer_witch_hunter': {
+    key: '9p_seer_witch_hunter',
+    name: '9人预女猎',
+    playerCount: 9,
+    roles: { werewolf: 3, seer: 1, witch: 1, hunter: 1, villager: 3 }
+  },
+  '12p_seer_witch_hunter_idiot': {
+    key: '12p_seer_witch_hunter_idiot',
+    name: '12人预女猎白',
+    playerCount: 12,
+    roles: { werewolf: 4, seer: 1, witch: 1, hunter: 1, idiot: 1, villager: 4 }
+  },
+  '12p_wolf_king_guard': {
+    key: '12p_wolf_king_guard',
+    name: '12人狼王守卫',
+    playerCount: 12,
+    roles: { werewolf: 3, wolf_king: 1, seer: 1, witch: 1, hunter: 1, guard: 1, villager: 4 }
+  },
+  '12p_white_wolf_king_knight': {
+    key: '12p_white_wolf_king_knight',
+    name: '12人白狼王骑士',
+    playerCount: 12,
+    roles: { werewolf: 3, white_wolf_king: 1, seer: 1, witch: 1, guard: 1, knight: 1, villager: 4 }
+  }
+};
+
+/**
+ * 统计板子各阵营 / 分组人数
+ * @param {object} roles - 角色数量配置，如 { werewolf: 3, seer: 1 }
+ * @returns {{total: number, werewolf: number, good: number, god: number, villager: number}}
+ */
+function countCamps(roles) {
+  const counts = { total: 0, werewolf: 0, good: 0, god: 0, villager: 0 };
+
+  Object.entries(roles).forEach(([roleKey, count]) => {
+    const role = ROLES[roleKey];
+    counts.total += count;
+    counts[role.camp] += count;
+    if (role.group !== 'wolf') {
+      counts[role.group] += count;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * 校验板子配置：角色合法、总人数与玩家人数一致、阵营人数合理
+ * @param {object} board - 板子 { name, playerCount, roles }
+ * @throws {Error} 配置不合法时抛出错误
+ */
+function validateBoard(board) {
+  if (!board || !board.roles || !Number.isInteger(board.playerCount) || board.playerCount <= 0) {
+    throw new Error('板子配置不完整');
+  }
+
+  Object.entries(board.roles).forEach(([roleKey, count]) => {
+    if (!ROLES[roleKey]) {
+      throw new Error(`未知角色: ${roleKey}`);
+    }
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error(`角色数量无效: ${ROLES[roleKey].name}`);
+    }
+  });
+
+  const counts = countCamps(board.roles);
+
+  if (counts.total !== board.playerCount) {
+    throw new Error(`角色总数(${counts.total})与玩家人数(${board.playerCount})不一致`);
+  }
+
+  if (counts.werewolf === 0) {
+    throw new Error('板子中至少需要一名狼人');
+  }
+
+  if (counts.werewolf >= counts.good) {
+    throw new Error('狼人数量必须少于好人数量');
+  }
+
+  // 屠边规则下神职与平民都需要存在
+  if (counts.god === 0 || counts.villager === 0) {
+    throw new Error('板子中需要同时包含神职和平民');
+  }
+}
+
+/**
+ * 获取板子定义
+ * @param {string} boardKey - 板子标识
+ * @returns {object|null} 板子定义
+ */
+function getBoard(boardKey) {
+  return BOARDS[boardKey] || null;
+}
+
+/**
+ * 板子列表（附带角色名称和阵营统计，便于前端展示）
+ * @returns {object[]} 板子列表
+ */
+function listBoards() {
+  return Object.values(BOARDS).map(board => ({
+    key: board.key,
+    name: board.name,
+    playerCount: board.playerCount,
+    roles: Object.entries(board.roles).map(([roleKey, count]) => ({
+      key: roleKey,
+      name: ROLES[roleKey].name,
+      camp: ROLES[roleKey].camp,
+      count
+    })),
+    camps: countCamps(board.roles)
+  }));
+}
+
+/**
+ * 由字符串种子生成可复现的伪随机数函数（xmur3 哈希 + mulberry32）
+ * @param {string} seed - 种子
+ * @returns {function(): number} 返回 [0, 1) 随机数的函数
+ */
+function createSeededRandom(seed) {
+  let h = 1779033703 ^ String(seed).length;
+  for (let i = 0; i < String(seed).length; i++) {
+    h = Math.imul(h ^ String(seed).charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 使用种子进行 Fisher-Yates 洗牌，相同种子和输入得到相同结果
+ * @param {Array} list - 待洗牌列表
+ * @param {string} seed - 种子
+ * @returns {Array} 洗牌后的新列表
+ */
+function seededShuffle(list, seed) {
+  const random = createSeededRandom(seed);
+  const result = [...list];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
+
+/**
+ * 按板子为玩家发牌
+ * 牌堆按板子角色顺序展开后用种子洗牌，再按玩家顺序依次发放，
+ * 因此保存种子和玩家顺序即可复核发牌结果
+ * @param {object} board - 板子定义
+ * @param {string[]} players - 玩家标识（手机号）列表，顺序需固定
+ * @param {string} seed - 种子
+ * @returns {{player: string, role: string, roleName: string, camp: string}[]} 发牌结果
+ */
+function dealRoles(board, players, seed) {
+  validateBoard(board);
+
+  if (players.length !== board.playerCount) {
+    throw new Error(`当前人数(${players.length})与板子人数(${board.playerCount})不一致`);
+  }
+
+  const deck = [];
+  Object.entries(board.roles).forEach(([roleKey, count]) => {
+    for (let i = 0; i < count; i++) {
+      deck.push(roleKey);
+    }
+  });
+
+  const shuffled = seededShuffle(deck, seed);
+
+  return players.map((player, index) => ({
+    player,
+    role: shuffled[index],
+    roleName: ROLES[shuffled[index]].name,
+    camp: ROLES[shuffled[index]].camp
+  }));
+}
+
+module.exports = {
+  CAMPS,
+  ROLES,
+  BOARDS,
+  countCamps,
+  validateBoard,
+  getBoard,
+  listBoards,
+  createSeededRandom,
+  seededShuffle,
+  dealRoles
+};
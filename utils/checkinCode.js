@@ -0,0 +1,76 @@
+/**
+ * 签到码工具（仅云函数使用）
+ * 基于活动密钥和时间窗口生成短时有效的6位签到码，无需落库即可校验
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 生成活动签到密钥
+ * @returns {string} 32位十六进制密钥
+ */
+function generateSecret() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 计算时间所在的窗口序号
+ * @param {number} rotateSeconds - 每个签到码的有效秒数
+ * @param {number} [now] - 当前时间戳（毫秒）
+ * @returns {number} 窗口序号
+ */
+function getWindow(rotateSeconds, now = Date.now()) {
+  return Math.floor(now / 1000 / rotateSeconds);
+}
+
+/**
+ * 生成指定窗口的签到码
+ * @param {string} secret - 活动签到密钥
+ * @param {string} subject - 签到码主体，如 activity:12 / member:13800000000
+ * @param {number} window - 窗口序号
+ * @returns {string} 6位数字签到码
+ */
+function generateCode(secret, subject, window) {
+  const digest = crypto.createHmac('sha256', secret).update(`${subject}:${window}`).digest();
+  const value = digest.readUInt32BE(digest.length - 4) % 1000000;
+  return value.toString().padStart(6, '0');
+}
+
+/**
+ * 生成当前有效的签到码及剩余有效时间
+ * @param {string} secret - 活动签到密钥
+ * @param {string} subject - 签到码主体
+ * @param {number} rotateSeconds - 每个签到码的有效秒数
+ * @returns {{code: string, expiresIn: number}} 签到码与剩余秒数
+ */
+function getCurrentCode(secret, subject, rotateSeconds) {
+  const now = Date.now();
+  const window = getWindow(rotateSeconds, now);
+  const expiresIn = Math.ceil(((window + 1) * rotateSeconds * 1000 - now) / 1000);
+
+  return {
+    code: generateCode(secret, subject, window),
+    expiresIn
+  };
+}
+
+/**
+ * 校验签到码，允许上一个窗口的签到码以容忍扫码延迟
+ * @param {string} secret - 活动签到密钥
+ * @param {string} subject - 签到码主体
+ * @param {string} code - 待校验签到码
+ * @param {number} rotateSeconds - 每个签到码的有效秒数
+ * @returns {boolean} 是否有效
+ */
+function verifyCode(secret, subject, code, rotateSeconds) {
+  if (!code) return false;
+
+  const window = getWindow(rotateSeconds);
+  return [window, window - 1].some(w => generateCode(secret, subject, w) === String(code));
+}
+
+module.exports = {
+  generateSecret,
+  getCurrentCode,
+  verifyCode
+};
@@ -38,7 +38,10 @@ const Constants = {
     USER_AUTH: 'userAuth',
     ACTIVITY_MANAGER: 'activityManager',
     TRANSACTION_MANAGER: 'transactionManager',
-    STORE_MANAGER: 'storeManager'
+    STORE_MANAGER: 'storeManager',
+    ACTIVITY_SCHEDULER: 'activityScheduler',
+    GAME_MANAGER: 'gameManager',
+    NOTIFICATION_MANAGER: 'notificationManager'
   },
 
   // 用户角色
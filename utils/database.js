@@ -3,14 +3,23 @@
 
 const mysql = require('mysql2/promise');
 const dbConfig = require('../config/database');
+const activityConfig = require('../config/activity');
+const { getNextFreeSeat } = require('./seats');
+const { parseGuestNames } = require('./guests');
 const { logger } = require('./logger');
 
+// 报名占用的名额：参与者本人加其携带的朋友（guest_names 为朋友称呼数组）
+const HEADCOUNT_SQL = 'COALESCE(SUM(1 + COALESCE(JSON_LENGTH(guest_names), 0)), 0)';
+
 class DatabaseManager {
   constructor() {
+    this.pool = null;
+    // 事务中绑定的独立连接，仅在 transaction() 传给回调的事务管理器上设置
     this.connection = null;
     this.isConnected = false;
     this.syncQueue = [];
     this.offlineQueue = [];
+    this.inTransaction = false;
   }
 
   // 初始化数据库连接
@@ -18,7 +27,7 @@ class DatabaseManager {
     try {
       logger.info('正在连接云数据库...');
 
-      this.connection = await mysql.createConnection({
+      this.pool = mysql.createPool({
         host: dbConfig.database.host,
         port: dbConfig.database.port,
         user: dbConfig.database.user,
@@ -31,6 +40,9 @@ class DatabaseManager {
         reconnect: dbConfig.database.reconnect
       });
 
+      // 连接池按需建立连接，先验证一次数据库可用
+      await this.pool.query('SELECT 1');
+
       this.isConnected = true;
       logger.info('云数据库连接成功');
 
@@ -60,6 +72,7 @@ class DatabaseManager {
         phone VARCHAR(20) UNIQUE NOT NULL,
         name VARCHAR(50) NOT NULL,
         avatar_url VARCHAR(255),
+        openid VARCHAR(64),
         register_time DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_login_time DATETIME,
         status ENUM('active', 'inactive', 'banned') DEFAULT 'active',
@@ -95,10 +108,87 @@ class DatabaseManager {
         min_players INT DEFAULT 6,
         price DECIMAL(8,2) DEFAULT 0.00,
         status ENUM('planning', 'open', 'full', 'in_progress', 'completed', 'cancelled') DEFAULT 'planning',
+        series_id INT,
+        board_key VARCHAR(50),
+        checkin_secret VARCHAR(64),
+        join_count INT DEFAULT 0,
+        cancel_reason VARCHAR(500),
+        cancelled_at DATETIME,
+        reminder_sent_at DATETIME,
+        room_id INT,
+        duration_minutes INT,
+        game_master_phone VARCHAR(20),
         created_by VARCHAR(20),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_date (date),
+        INDEX idx_status (status),
+        INDEX idx_series (series_id),
+        INDEX idx_room_date (room_id, date),
+        INDEX idx_game_master_date (game_master_phone, date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 房间 / 桌位表
+      `CREATE TABLE IF NOT EXISTS rooms (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        type ENUM('room', 'table') DEFAULT 'room',
+        capacity INT NOT NULL,
+        hourly_price DECIMAL(8,2) DEFAULT 0.00,
+        features JSON,
+        status ENUM('active', 'inactive') DEFAULT 'active',
+        sort_order INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 法官表（由管理员维护，法官负责主持游戏，与活动创建人相互独立）
+      `CREATE TABLE IF NOT EXISTS game_masters (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        phone VARCHAR(20) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        bio VARCHAR(500),
+        status ENUM('active', 'inactive') DEFAULT 'active',
+        created_by VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_phone (phone)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 法官空闲时段表
+      `CREATE TABLE IF NOT EXISTS game_master_availability (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        game_master_phone VARCHAR(20) NOT NULL,
+        start_at DATETIME NOT NULL,
+        end_at DATETIME NOT NULL,
+        note VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_game_master_start (game_master_phone, start_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 系列活动表（重复活动模板）
+      `CREATE TABLE IF NOT EXISTS activity_series (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        time TIME NOT NULL,
+        location VARCHAR(200),
+        max_players INT DEFAULT 8,
+        min_players INT DEFAULT 6,
+        price DECIMAL(8,2) DEFAULT 0.00,
+        board_key VARCHAR(50),
+        recurrence_type ENUM('weekly', 'interval', 'weekdays') NOT NULL,
+        recurrence_interval INT DEFAULT 1,
+        weekdays VARCHAR(20),
+        start_date DATE NOT NULL,
+        end_date DATE,
+        occurrence_count INT,
+        generate_ahead_days INT DEFAULT 14,
+        status ENUM('active', 'cancelled') DEFAULT 'active',
+        created_by VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_status (status)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
 
@@ -109,12 +199,216 @@ class DatabaseManager {
         user_phone VARCHAR(20) NOT NULL,
         join_time DATETIME DEFAULT CURRENT_TIMESTAMP,
         payment_status ENUM('pending', 'paid', 'refunded') DEFAULT 'pending',
+        paid_amount DECIMAL(10,2) DEFAULT 0.00,
+        payment_transaction_id INT,
+        attendance_status ENUM('pending', 'checked_in', 'no_show') DEFAULT 'pending',
+        checked_in_at DATETIME,
+        penalty_transaction_id INT,
+        seat_no INT,
+        guest_names JSON,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY unique_participant (activity_id, user_phone),
+        UNIQUE KEY unique_seat (activity_id, seat_no)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 活动候补队列表
+      `CREATE TABLE IF NOT EXISTS activity_waitlist (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        join_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY unique_waitlist (activity_id, user_phone),
+        INDEX idx_activity_order (activity_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 发牌记录表（保存种子与玩家顺序，用于复核发牌结果）
+      `CREATE TABLE IF NOT EXISTS role_assignments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        board_key VARCHAR(50) NOT NULL,
+        seed VARCHAR(64) NOT NULL,
+        player_order JSON NOT NULL,
+        dealt_by VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        INDEX idx_activity (activity_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 发牌结果明细表
+      `CREATE TABLE IF NOT EXISTS role_assignment_players (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        assignment_id INT NOT NULL,
+        activity_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        seat_no INT,
+        role VARCHAR(30) NOT NULL,
+        camp VARCHAR(20) NOT NULL,
+        FOREIGN KEY (assignment_id) REFERENCES role_assignments(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_assignment_player (assignment_id, user_phone),
+        INDEX idx_activity_user (activity_id, user_phone)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 法官流程助手的对局表（state 保存当前局面：轮次、阶段、存活玩家、药水使用情况等）
+      `CREATE TABLE IF NOT EXISTS game_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        assignment_id INT NOT NULL,
+        board_key VARCHAR(50) NOT NULL,
+        status ENUM('running', 'ended') DEFAULT 'running',
+        state JSON NOT NULL,
+        winning_camp VARCHAR(20),
+        created_by VARCHAR(20),
+        ended_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (assignment_id) REFERENCES role_assignments(id) ON DELETE CASCADE,
+        INDEX idx_activity_status (activity_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 对局时间线（夜间行动、天亮死讯、白天放逐与开枪）
+      `CREATE TABLE IF NOT EXISTS game_session_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        round_no INT NOT NULL,
+        phase ENUM('night', 'day') NOT NULL,
+        step VARCHAR(30) NOT NULL,
+        actor_seats JSON,
+        target_seat INT,
+        data JSON,
+        created_by VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE CASCADE,
+        INDEX idx_session (session_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 对局记录表（一个活动可包含多局）
+      `CREATE TABLE IF NOT EXISTS game_records (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        round_no INT NOT NULL DEFAULT 1,
+        board_key VARCHAR(50),
+        winning_camp ENUM('werewolf', 'good') NOT NULL,
+        mvp_phone VARCHAR(20),
         notes TEXT,
+        recorded_by VARCHAR(20),
+        played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_round (activity_id, round_no)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 对局玩家明细表
+      `CREATE TABLE IF NOT EXISTS game_record_players (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        game_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        seat_no INT,
+        role VARCHAR(30) NOT NULL,
+        camp ENUM('werewolf', 'good') NOT NULL,
+        is_winner BOOLEAN DEFAULT FALSE,
+        FOREIGN KEY (game_id) REFERENCES game_records(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY unique_game_player (game_id, user_phone),
+        INDEX idx_user_phone (user_phone)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 活动讨论区留言表（parent_id 为空的是留言，否则为该留言下的回复；删除为软删除）
+      `CREATE TABLE IF NOT EXISTS activity_comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        parent_id INT,
+        reply_to_phone VARCHAR(20),
+        content TEXT NOT NULL,
+        mentions JSON,
+        is_pinned BOOLEAN DEFAULT FALSE,
+        pinned_at DATETIME,
+        is_deleted BOOLEAN DEFAULT FALSE,
+        deleted_by VARCHAR(20),
+        deleted_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        INDEX idx_activity_parent (activity_id, parent_id, id),
+        INDEX idx_parent (parent_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 活动相册照片表（文件存放在云存储，这里记录上传者与封面标记）
+      `CREATE TABLE IF NOT EXISTS activity_photos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        file_id VARCHAR(255) NOT NULL,
+        is_cover BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY uk_file (file_id),
+        INDEX idx_activity (activity_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 活动评价表（每位参与者每个活动一条，评价对象为活动及其主持人）
+      `CREATE TABLE IF NOT EXISTS activity_reviews (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        activity_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        host_phone VARCHAR(20) NOT NULL,
+        rating TINYINT NOT NULL,
+        comment TEXT,
+        status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+        reject_reason VARCHAR(200),
+        moderated_by VARCHAR(20),
+        moderated_at DATETIME,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
         FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
-        UNIQUE KEY unique_participant (activity_id, user_phone)
+        UNIQUE KEY unique_activity_review (activity_id, user_phone),
+        INDEX idx_host_status (host_phone, status),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 玩家积分表（ELO）
+      `CREATE TABLE IF NOT EXISTS player_ratings (
+        user_phone VARCHAR(20) PRIMARY KEY,
+        rating INT NOT NULL,
+        peak_rating INT NOT NULL,
+        games INT NOT NULL DEFAULT 0,
+        wins INT NOT NULL DEFAULT 0,
+        last_played_at DATETIME,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        INDEX idx_rating (rating)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 积分变化明细表（每局每位玩家一条，用于月榜和角色榜）
+      `CREATE TABLE IF NOT EXISTS rating_changes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        game_id INT NOT NULL,
+        user_phone VARCHAR(20) NOT NULL,
+        role VARCHAR(30) NOT NULL,
+        camp ENUM('werewolf', 'good') NOT NULL,
+        is_winner BOOLEAN DEFAULT FALSE,
+        rating_before INT NOT NULL,
+        rating_after INT NOT NULL,
+        delta INT NOT NULL,
+        played_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES game_records(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY unique_game_player (game_id, user_phone),
+        INDEX idx_played_at (played_at),
+        INDEX idx_role (role)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
 
       // 交易记录表
@@ -136,6 +430,44 @@ class DatabaseManager {
         INDEX idx_created_at (created_at)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
 
+      // 通知发件箱（先落库，再由发送任务投递）
+      `CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_phone VARCHAR(20) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        channel VARCHAR(30) NOT NULL DEFAULT 'inbox',
+        title VARCHAR(200) NOT NULL,
+        content TEXT,
+        payload JSON,
+        reference_type VARCHAR(50),
+        reference_id VARCHAR(50),
+        status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_error VARCHAR(500),
+        sent_at DATETIME,
+        read_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        INDEX idx_user_phone (user_phone),
+        INDEX idx_status (status),
+        INDEX idx_status_next_attempt (status, next_attempt_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
+      // 通知偏好表（无记录表示默认接收）
+      `CREATE TABLE IF NOT EXISTS notification_preferences (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_phone VARCHAR(20) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        channel VARCHAR(30) NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_phone) REFERENCES users(phone) ON DELETE CASCADE,
+        UNIQUE KEY uk_user_type_channel (user_phone, type, channel)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;`,
+
       // 店铺状态表
       `CREATE TABLE IF NOT EXISTS store_status (
         id INT AUTO_INCREMENT PRIMARY KEY,
@@ -170,9 +502,102 @@ class DatabaseManager {
       }
     }
 
+    // 已存在的旧表不会被 CREATE TABLE IF NOT EXISTS 修改，新增字段在此补齐；
+    // 第四项为字段新增后对已有数据执行的回填语句
+    const columns = [
+      ['activities', 'series_id', 'INT'],
+      ['activities', 'board_key', 'VARCHAR(50)'],
+      ['activity_series', 'board_key', 'VARCHAR(50)'],
+      ['activities', 'checkin_secret', 'VARCHAR(64)'],
+      // 已开始的历史活动没有签到记录，回填为已签到，避免被定时任务当作缺席扣罚
+      ['activity_participants', 'attendance_status', 'ENUM(\'pending\', \'checked_in\', \'no_show\') DEFAULT \'pending\'',
+        `UPDATE activity_participants ap JOIN activities a ON ap.activity_id = a.id
+         SET ap.attendance_status = 'checked_in'
+         WHERE TIMESTAMP(a.date, a.time) < NOW()`],
+      ['activity_participants', 'checked_in_at', 'DATETIME'],
+      ['activity_participants', 'penalty_transaction_id', 'INT'],
+      ['activity_participants', 'paid_amount', 'DECIMAL(10,2) DEFAULT 0.00'],
+      ['activity_participants', 'payment_transaction_id', 'INT'],
+      ['activities', 'join_count', 'INT DEFAULT 0'],
+      ['activities', 'cancel_reason', 'VARCHAR(500)'],
+      ['activities', 'cancelled_at', 'DATETIME'],
+      ['activities', 'reminder_sent_at', 'DATETIME'],
+      ['users', 'openid', 'VARCHAR(64)'],
+      ['activities', 'room_id', 'INT'],
+      ['activities', 'duration_minutes', 'INT'],
+      ['activities', 'game_master_phone', 'VARCHAR(20)'],
+      ['activity_participants', 'seat_no', 'INT'],
+      ['activity_participants', 'guest_names', 'JSON'],
+      ['role_assignment_players', 'seat_no', 'INT'],
+      ['game_record_players', 'seat_no', 'INT'],
+      ['notifications', 'channel', 'VARCHAR(30) NOT NULL DEFAULT \'inbox\''],
+      ['notifications', 'payload', 'JSON'],
+      ['notifications', 'attempts', 'INT DEFAULT 0'],
+      ['notifications', 'next_attempt_at', 'DATETIME'],
+      ['notifications', 'last_error', 'VARCHAR(500)'],
+      ['notifications', 'sent_at', 'DATETIME'],
+      ['notifications', 'read_at', 'DATETIME']
+    ];
+
+    for (const [table, column, definition, backfillSQL] of columns) {
+      try {
+        const added = await this.ensureColumn(table, column, definition);
+        if (added && backfillSQL) {
+          await this.execute(backfillSQL);
+        }
+      } catch (error) {
+        logger.error('补充字段失败:', error);
+      }
+    }
+
+    // 旧表同样缺少后来新增的唯一索引，在此补齐
+    const indexes = [
+      ['activity_participants', 'unique_seat', '(activity_id, seat_no)']
+    ];
+
+    for (const [table, index, columnList] of indexes) {
+      try {
+        await this.ensureUniqueIndex(table, index, columnList);
+      } catch (error) {
+        logger.error('补充索引失败:', error);
+      }
+    }
+
     logger.info('数据表结构初始化完成');
   }
 
+  // 字段不存在时为表添加字段，返回是否新增了字段
+  async ensureColumn(table, column, definition) {
+    const existing = await this.queryOne(
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+
+    if (!existing) {
+      await this.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`已为 ${table} 添加字段 ${column}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  // 索引不存在时为表添加唯一索引
+  async ensureUniqueIndex(table, index, columnList) {
+    const existing = await this.queryOne(
+      `SELECT INDEX_NAME FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+       LIMIT 1`,
+      [table, index]
+    );
+
+    if (!existing) {
+      await this.execute(`ALTER TABLE ${table} ADD UNIQUE KEY ${index} ${columnList}`);
+      logger.info(`已为 ${table} 添加唯一索引 ${index}`);
+    }
+  }
+
   // 执行SQL查询
   async execute(sql, params = []) {
     if (!this.isConnected) {
@@ -180,7 +605,7 @@ class DatabaseManager {
     }
 
     try {
-      const [results] = await this.connection.execute(sql, params);
+      const [results] = await (this.connection || this.pool).execute(sql, params);
       return results;
     } catch (error) {
       logger.error('SQL执行错误:', error);
@@ -188,6 +613,36 @@ class DatabaseManager {
     }
   }
 
+  // 在事务中执行回调，回调抛错时回滚
+  // 每个事务从连接池取一条独立连接，回调参数 tx 是绑定该连接的数据库管理器，事务内的读写都必须通过 tx 执行；
+  // 在 tx 上再次开启事务时直接执行回调（MySQL 不支持嵌套事务）
+  async transaction(callback) {
+    if (!this.isConnected) {
+      throw new Error('数据库未连接');
+    }
+
+    if (this.inTransaction) {
+      return await callback(this);
+    }
+
+    const connection = await this.pool.getConnection();
+    const tx = Object.create(this);
+    tx.connection = connection;
+    tx.inTransaction = true;
+
+    try {
+      await connection.beginTransaction();
+      const result = await callback(tx);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   // 查询单条记录
   async queryOne(sql, params = []) {
     const results = await this.execute(sql, params);
@@ -234,6 +689,17 @@ class DatabaseManager {
     return await this.queryOne(sql, [phone]);
   }
 
+  // 校验手机号是当前微信用户（openid 由云函数上下文提供）登录时绑定的账号，防止冒用他人手机号
+  async assertUserOpenid(phone, openid) {
+    const user = openid
+      ? await this.queryOne('SELECT id FROM users WHERE phone = ? AND openid = ?', [phone, openid])
+      : null;
+
+    if (!user) {
+      throw new Error('身份校验失败，请重新登录');
+    }
+  }
+
   // 创建或更新用户
   async saveUser(userData) {
     const existing = await this.getUser(userData.phone);
@@ -294,22 +760,33 @@ class DatabaseManager {
     }
   }
 
-  // 获取活动列表
+  // 获取活动列表，附带主持人姓名（creator_name）和按报名记录计算的占用名额（participant_count）
   async getActivities(filters = {}) {
-    let sql = 'SELECT * FROM activities WHERE 1=1';
+    let sql = `
+      SELECT a.*, u.name AS creator_name,
+        (SELECT ${HEADCOUNT_SQL} FROM activity_participants ap WHERE ap.activity_id = a.id) AS participant_count
+      FROM activities a
+      LEFT JOIN users u ON u.phone = a.created_by
+      WHERE 1=1
+    `;
     const params = [];
 
     if (filters.date) {
-      sql += ' AND date = ?';
+      sql += ' AND a.date = ?';
       params.push(filters.date);
     }
 
     if (filters.status) {
-      sql += ' AND status = ?';
+      sql += ' AND a.status = ?';
       params.push(filters.status);
     }
 
-    sql += ' ORDER BY date ASC, time ASC';
+    if (filters.gameMasterPhone) {
+      sql += ' AND a.game_master_phone = ?';
+      params.push(filters.gameMasterPhone);
+    }
+
+    sql += ' ORDER BY a.date ASC, a.time ASC';
 
     if (filters.limit) {
       sql += ' LIMIT ?';
@@ -319,6 +796,65 @@ class DatabaseManager {
     return await this.queryMany(sql, params);
   }
 
+  // 搜索活动：按日期、时间、ID 升序排列，cursor 为上一页最后一条的 { date, time, id }
+  // 结果附带按报名记录计算的占用名额（participant_count），是否有空位也按它判断
+  async searchActivities(criteria = {}) {
+    const headcountSql = `(SELECT ${HEADCOUNT_SQL} FROM activity_participants ap WHERE ap.activity_id = a.id)`;
+    let sql = `SELECT a.*, ${headcountSql} AS participant_count FROM activities a WHERE 1=1`;
+    const params = [];
+
+    if (criteria.keyword) {
+      // 转义 LIKE 通配符，按字面匹配关键字
+      const pattern = `%${criteria.keyword.replace(/[\\%_]/g, '\\$&')}%`;
+      sql += ' AND (title LIKE ? OR description LIKE ? OR location LIKE ?)';
+      params.push(pattern, pattern, pattern);
+    }
+
+    if (criteria.dateFrom) {
+      sql += ' AND date >= ?';
+      params.push(criteria.dateFrom);
+    }
+
+    if (criteria.dateTo) {
+      sql += ' AND date <= ?';
+      params.push(criteria.dateTo);
+    }
+
+    if (criteria.statuses && criteria.statuses.length > 0) {
+      sql += ` AND status IN (${criteria.statuses.map(() => '?').join(', ')})`;
+      params.push(...criteria.statuses);
+    }
+
+    if (criteria.priceMin !== undefined) {
+      sql += ' AND price >= ?';
+      params.push(criteria.priceMin);
+    }
+
+    if (criteria.priceMax !== undefined) {
+      sql += ' AND price <= ?';
+      params.push(criteria.priceMax);
+    }
+
+    if (criteria.hasFreeSeats) {
+      sql += ` AND ${headcountSql} < a.max_players`;
+    }
+
+    if (criteria.gameMasterPhone) {
+      sql += ' AND game_master_phone = ?';
+      params.push(criteria.gameMasterPhone);
+    }
+
+    if (criteria.cursor) {
+      sql += ' AND (date, time, id) > (?, ?, ?)';
+      params.push(criteria.cursor.date, criteria.cursor.time, criteria.cursor.id);
+    }
+
+    sql += ' ORDER BY date ASC, time ASC, id ASC LIMIT ?';
+    params.push(criteria.limit);
+
+    return await this.queryMany(sql, params);
+  }
+
   // 获取活动详情
   async getActivity(id) {
     const sql = 'SELECT * FROM activities WHERE id = ?';
@@ -338,60 +874,1248 @@ class DatabaseManager {
     }
   }
 
-  // 获取活动参与者
-  async getActivityParticipants(activityId) {
+  // 获取房间列表
+  async getRooms(includeInactive = false) {
     const sql = `
-      SELECT u.phone, u.name, u.avatar_url, ap.join_time, ap.payment_status
-      FROM activity_participants ap
-      JOIN users u ON ap.user_phone = u.phone
-      WHERE ap.activity_id = ?
-      ORDER BY ap.join_time ASC
+      SELECT * FROM rooms
+      ${includeInactive ? '' : 'WHERE status = \'active\''}
+      ORDER BY sort_order ASC, id ASC
     `;
-    return await this.queryMany(sql, [activityId]);
+    return await this.queryMany(sql);
   }
 
-  // 报名参加活动
-  async joinActivity(activityId, userPhone) {
-    // 检查是否已经报名
-    const existing = await this.queryOne(
-      'SELECT * FROM activity_participants WHERE activity_id = ? AND user_phone = ?',
-      [activityId, userPhone]
-    );
+  // 获取房间
+  async getRoom(roomId) {
+    return await this.queryOne('SELECT * FROM rooms WHERE id = ?', [roomId]);
+  }
 
-    if (existing) {
-      throw new Error('已经报名参加此活动');
-    }
+  // 锁定房间记录（需在事务中调用），同一房间的预订检查与写入串行执行
+  async lockRoom(roomId) {
+    return await this.queryOne('SELECT * FROM rooms WHERE id = ? FOR UPDATE', [roomId]);
+  }
 
-    // 添加参与者
-    await this.insert('activity_participants', {
-      activity_id: activityId,
-      user_phone: userPhone,
-      payment_status: 'pending'
-    });
+  // 查找与指定时间段重叠的房间预订（未取消的活动），range 为 YYYY-MM-DD HH:mm:ss 起止时间
+  async findRoomConflicts(roomId, range, excludeActivityId, defaultDurationMinutes) {
+    const sql = `
+      SELECT * FROM activities
+      WHERE room_id = ? AND status <> 'cancelled' AND id <> ?
+        AND TIMESTAMP(date, time) < ?
+        AND DATE_ADD(TIMESTAMP(date, time), INTERVAL COALESCE(duration_minutes, ?) MINUTE) > ?
+      ORDER BY date ASC, time ASC
+    `;
+    return await this.queryMany(sql, [roomId, excludeActivityId || 0, range.end, defaultDurationMinutes, range.start]);
+  }
 
-    // 更新活动当前人数
-    await this.execute(
-      'UPDATE activities SET current_players = current_players + 1 WHERE id = ?',
-      [activityId]
-    );
+  // 获取时间段内所有房间的预订（未取消的活动）
+  async getRoomBookings(range, defaultDurationMinutes) {
+    const sql = `
+      SELECT * FROM activities
+      WHERE room_id IS NOT NULL AND status <> 'cancelled'
+        AND TIMESTAMP(date, time) < ?
+        AND DATE_ADD(TIMESTAMP(date, time), INTERVAL COALESCE(duration_minutes, ?) MINUTE) > ?
+      ORDER BY date ASC, time ASC
+    `;
+    return await this.queryMany(sql, [range.end, defaultDurationMinutes, range.start]);
+  }
+
+  // 获取法官列表
+  async getGameMasters(includeInactive = false) {
+    const sql = `
+      SELECT * FROM game_masters
+      ${includeInactive ? '' : 'WHERE status = \'active\''}
+      ORDER BY id ASC
+    `;
+    return await this.queryMany(sql);
+  }
 
-    return true;
+  // 获取法官
+  async getGameMaster(phone) {
+    return await this.queryOne('SELECT * FROM game_masters WHERE phone = ?', [phone]);
   }
 
-  // 获取交易记录
-  async getTransactions(userPhone, limit = 50) {
+  // 锁定法官记录（需在事务中调用），同一法官的排班检查与写入串行执行
+  async lockGameMaster(phone) {
+    return await this.queryOne('SELECT * FROM game_masters WHERE phone = ? FOR UPDATE', [phone]);
+  }
+
+  // 查找法官在指定时间段内已排班的活动（未取消），range 为 YYYY-MM-DD HH:mm:ss 起止时间
+  async findGameMasterConflicts(phone, range, excludeActivityId, defaultDurationMinutes) {
     const sql = `
-      SELECT * FROM transactions 
-      WHERE user_phone = ? 
-      ORDER BY created_at DESC 
-      LIMIT ?
+      SELECT * FROM activities
+      WHERE game_master_phone = ? AND status <> 'cancelled' AND id <> ?
+        AND TIMESTAMP(date, time) < ?
+        AND DATE_ADD(TIMESTAMP(date, time), INTERVAL COALESCE(duration_minutes, ?) MINUTE) > ?
+      ORDER BY date ASC, time ASC
     `;
-    return await this.queryMany(sql, [userPhone, limit]);
+    return await this.queryMany(sql, [phone, excludeActivityId || 0, range.end, defaultDurationMinutes, range.start]);
   }
 
-  // 添加交易记录
-  async addTransaction(transactionData) {
-    return await this.insert('transactions', transactionData);
+  // 获取与时间段重叠的法官空闲时段，phone 为空时返回所有法官
+  async getGameMasterAvailability(range, phone = null) {
+    let sql = 'SELECT * FROM game_master_availability WHERE start_at < ? AND end_at > ?';
+    const params = [range.end, range.start];
+
+    if (phone) {
+      sql += ' AND game_master_phone = ?';
+      params.push(phone);
+    }
+
+    sql += ' ORDER BY start_at ASC';
+    return await this.queryMany(sql, params);
+  }
+
+  // 获取日期区间内未取消的活动（用于法官排班）
+  async getActivitiesBetween(fromDate, toDate) {
+    const sql = `
+      SELECT * FROM activities
+      WHERE date >= ? AND date <= ? AND status <> 'cancelled'
+      ORDER BY date ASC, time ASC
+    `;
+    return await this.queryMany(sql, [fromDate, toDate]);
+  }
+
+  // 获取系列活动
+  async getSeries(seriesId) {
+    return await this.queryOne('SELECT * FROM activity_series WHERE id = ?', [seriesId]);
+  }
+
+  // 获取系列活动列表
+  async getSeriesList(filters = {}) {
+    let sql = 'SELECT * FROM activity_series WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.createdBy) {
+      sql += ' AND created_by = ?';
+      params.push(filters.createdBy);
+    }
+
+    sql += ' ORDER BY created_at DESC';
+
+    return await this.queryMany(sql, params);
+  }
+
+  // 获取日历导出的活动：指定 userPhone 时为该会员报名的活动，否则为店铺全部活动（含已取消）
+  async getCalendarActivities(fromDate, userPhone = null) {
+    if (userPhone) {
+      const sql = `
+        SELECT a.* FROM activities a
+        JOIN activity_participants ap ON ap.activity_id = a.id
+        WHERE ap.user_phone = ? AND a.date >= ?
+        ORDER BY a.date ASC, a.time ASC
+      `;
+      return await this.queryMany(sql, [userPhone, fromDate]);
+    }
+
+    return await this.queryMany(
+      'SELECT * FROM activities WHERE date >= ? ORDER BY date ASC, time ASC',
+      [fromDate]
+    );
+  }
+
+  // 获取指定状态且日期不晚于 untilDate 的活动（供生命周期定时任务使用）
+  async getActivitiesByStatus(statuses, untilDate) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const sql = `
+      SELECT a.*, (SELECT ${HEADCOUNT_SQL} FROM activity_participants ap WHERE ap.activity_id = a.id) AS participant_count
+      FROM activities a
+      WHERE a.status IN (${placeholders}) AND a.date <= ?
+      ORDER BY a.date ASC, a.time ASC
+    `;
+    return await this.queryMany(sql, [...statuses, untilDate]);
+  }
+
+  // 获取开始时间在区间内、尚未发送开始提醒的活动
+  async getActivitiesToRemind(fromTime, untilTime) {
+    const sql = `
+      SELECT * FROM activities
+      WHERE status IN ('open', 'full') AND reminder_sent_at IS NULL
+        AND TIMESTAMP(date, time) > ? AND TIMESTAMP(date, time) <= ?
+      ORDER BY date ASC, time ASC
+    `;
+    return await this.queryMany(sql, [fromTime, untilTime]);
+  }
+
+  // 获取系列下的所有期活动
+  async getSeriesActivities(seriesId) {
+    const sql = 'SELECT * FROM activities WHERE series_id = ? ORDER BY date ASC, time ASC';
+    return await this.queryMany(sql, [seriesId]);
+  }
+
+  // 获取活动参与者
+  async getActivityParticipants(activityId) {
+    const sql = `
+      SELECT u.phone, u.name, u.avatar_url, ap.join_time, ap.payment_status, ap.paid_amount,
+        ap.attendance_status, ap.checked_in_at, ap.seat_no, ap.guest_names
+      FROM activity_participants ap
+      JOIN users u ON ap.user_phone = u.phone
+      WHERE ap.activity_id = ?
+      ORDER BY ap.join_time ASC
+    `;
+    return await this.queryMany(sql, [activityId]);
+  }
+
+  // 批量获取多个活动的参与者，返回 Map<活动ID, 参与者列表>
+  async getParticipantsByActivity(activityIds) {
+    const participantsByActivity = new Map(activityIds.map(id => [id, []]));
+    if (activityIds.length === 0) {
+      return participantsByActivity;
+    }
+
+    const rows = await this.queryMany(
+      `SELECT ap.activity_id, u.phone, u.name, u.avatar_url, ap.join_time
+       FROM activity_participants ap
+       JOIN users u ON ap.user_phone = u.phone
+       WHERE ap.activity_id IN (${activityIds.map(() => '?').join(', ')})
+       ORDER BY ap.join_time ASC`,
+      activityIds
+    );
+
+    for (const row of rows) {
+      participantsByActivity.get(row.activity_id).push(row);
+    }
+    return participantsByActivity;
+  }
+
+  // 获取单条报名记录
+  async getParticipant(activityId, userPhone) {
+    return await this.queryOne(
+      'SELECT * FROM activity_participants WHERE activity_id = ? AND user_phone = ?',
+      [activityId, userPhone]
+    );
+  }
+
+  // 锁定活动行，使同一活动的报名 / 退出在事务内串行执行（需在事务中调用）
+  async lockActivity(activityId) {
+    const activity = await this.queryOne('SELECT * FROM activities WHERE id = ? FOR UPDATE', [activityId]);
+
+    if (!activity) {
+      throw new Error('活动不存在');
+    }
+
+    return activity;
+  }
+
+  // 按报名记录重新计算活动当前人数（含朋友名额）
+  async refreshCurrentPlayers(activityId) {
+    const { count } = await this.queryOne(
+      `SELECT ${HEADCOUNT_SQL} AS count FROM activity_participants WHERE activity_id = ?`,
+      [activityId]
+    );
+
+    await this.update('activities', { current_players: Number(count) }, 'id = ?', [activityId]);
+    return Number(count);
+  }
+
+  // 报名参加活动（付费活动传入扣费信息 { amount, description }，guestNames 为同行朋友的称呼）
+  // 在事务中锁定活动行后再检查名额，避免并发报名超员；扣费与报名记录在同一事务中写入，任一步失败一并回滚
+  // 返回支付信息 { amount, transactionId, newBalance }，免费报名返回 null
+  async joinActivity(activityId, userPhone, charge = null, guestNames = []) {
+    return await this.transaction(async (tx) => {
+      const activity = await tx.lockActivity(activityId);
+
+      // 检查是否已经报名
+      const existing = await tx.getParticipant(activityId, userPhone);
+      if (existing) {
+        throw new Error('已经报名参加此活动');
+      }
+
+      // 检查剩余名额（本人加朋友）
+      const { count } = await tx.queryOne(
+        `SELECT ${HEADCOUNT_SQL} AS count FROM activity_participants WHERE activity_id = ?`,
+        [activityId]
+      );
+      const remaining = activity.max_players - Number(count);
+      if (remaining <= 0) {
+        throw new Error('活动人数已满，可加入候补队列');
+      }
+      if (1 + guestNames.length > remaining) {
+        throw new Error(`仅剩${remaining}个名额，请减少同行朋友`);
+      }
+
+      let payment = null;
+      if (charge) {
+        const { transactionId, newBalance } = await tx.debitMemberCard(userPhone, charge.amount, {
+          description: charge.description,
+          referenceType: 'activity',
+          referenceId: String(activityId)
+        });
+        payment = { amount: charge.amount, transactionId, newBalance };
+      }
+
+      // 添加参与者（按配置分配最小的空闲座位号），报名成功即移出候补队列
+      const seatNo = activityConfig.seating.allocateOnJoin
+        ? getNextFreeSeat(await tx.getTakenSeats(activityId), activity.max_players)
+        : null;
+      await tx.insert('activity_participants', {
+        activity_id: activityId,
+        user_phone: userPhone,
+        payment_status: payment ? 'paid' : 'pending',
+        paid_amount: payment ? payment.amount : 0,
+        payment_transaction_id: payment ? payment.transactionId : null,
+        seat_no: seatNo,
+        guest_names: guestNames.length > 0 ? JSON.stringify(guestNames) : null
+      });
+      await tx.leaveWaitlist(activityId, userPhone);
+
+      // 更新活动当前人数，并累计报名次数（有过报名的活动不允许直接删除）
+      await tx.refreshCurrentPlayers(activityId);
+      await tx.execute('UPDATE activities SET join_count = join_count + 1 WHERE id = ?', [activityId]);
+
+      return payment;
+    });
+  }
+
+  // 获取活动已占用的座位号
+  async getTakenSeats(activityId) {
+    const rows = await this.queryMany(
+      'SELECT seat_no FROM activity_participants WHERE activity_id = ? AND seat_no IS NOT NULL',
+      [activityId]
+    );
+    return rows.map(row => row.seat_no);
+  }
+
+  // 批量设置座位号（需在事务中调用），seats 为 [{ phone, seatNo }]
+  // 先清空涉及玩家的座位再写入，避免交换座位时触发唯一约束
+  async setSeats(activityId, seats) {
+    const phones = seats.map(seat => seat.phone);
+    if (phones.length === 0) {
+      return;
+    }
+
+    await this.execute(
+      `UPDATE activity_participants SET seat_no = NULL
+       WHERE activity_id = ? AND user_phone IN (${phones.map(() => '?').join(', ')})`,
+      [activityId, ...phones]
+    );
+
+    for (const seat of seats) {
+      await this.update('activity_participants', { seat_no: seat.seatNo },
+        'activity_id = ? AND user_phone = ?', [activityId, seat.phone]);
+    }
+  }
+
+  // 退出活动，返回被删除的报名记录
+  async leaveActivity(activityId, userPhone) {
+    return await this.transaction(async (tx) => {
+      await tx.lockActivity(activityId);
+
+      const participant = await tx.getParticipant(activityId, userPhone);
+      if (!participant) {
+        throw new Error('未报名参加此活动');
+      }
+
+      await tx.delete('activity_participants', 'id = ?', [participant.id]);
+      await tx.refreshCurrentPlayers(activityId);
+
+      return participant;
+    });
+  }
+
+  // 释放一个朋友名额（guestIndex 为朋友在名单中的位置），付费报名同时扣减已付金额中该名额的部分
+  // 返回 { participant, guestName, seatAmount }，participant 为释放前的报名记录
+  async releaseGuestSeat(activityId, userPhone, guestIndex) {
+    return await this.transaction(async (tx) => {
+      await tx.lockActivity(activityId);
+
+      const participant = await tx.getParticipant(activityId, userPhone);
+      if (!participant) {
+        throw new Error('未报名参加此活动');
+      }
+
+      const guestNames = parseGuestNames(participant.guest_names);
+      if (!Number.isInteger(guestIndex) || guestIndex < 0 || guestIndex >= guestNames.length) {
+        throw new Error('朋友名额不存在');
+      }
+
+      // 已付金额按名额平摊（本人加朋友）
+      const paidAmount = parseFloat(participant.paid_amount) || 0;
+      const seatAmount = Math.round((paidAmount / (guestNames.length + 1)) * 100) / 100;
+      const [guestName] = guestNames.splice(guestIndex, 1);
+
+      await tx.update('activity_participants', {
+        guest_names: guestNames.length > 0 ? JSON.stringify(guestNames) : null,
+        paid_amount: Math.round((paidAmount - seatAmount) * 100) / 100
+      }, 'id = ?', [participant.id]);
+      await tx.refreshCurrentPlayers(activityId);
+
+      return { participant, guestName, seatAmount };
+    });
+  }
+
+  // 修复活动当前人数：按报名记录重新统计，返回被修正的活动数量
+  async repairCurrentPlayers(activityId = null) {
+    let sql = `
+      UPDATE activities a
+      SET a.current_players = (SELECT ${HEADCOUNT_SQL} FROM activity_participants ap WHERE ap.activity_id = a.id)
+      WHERE a.current_players <> (SELECT ${HEADCOUNT_SQL} FROM activity_participants ap WHERE ap.activity_id = a.id)
+    `;
+    const params = [];
+
+    if (activityId) {
+      sql += ' AND a.id = ?';
+      params.push(activityId);
+    }
+
+    const result = await this.execute(sql, params);
+    return result.affectedRows;
+  }
+
+  // 获取活动候补队列（按排队顺序）
+  async getActivityWaitlist(activityId) {
+    const sql = `
+      SELECT u.phone, u.name, u.avatar_url, aw.join_time
+      FROM activity_waitlist aw
+      JOIN users u ON aw.user_phone = u.phone
+      WHERE aw.activity_id = ?
+      ORDER BY aw.id ASC
+    `;
+    return await this.queryMany(sql, [activityId]);
+  }
+
+  // 获取用户在候补队列中的位置（从1开始，不在队列中返回null）
+  async getWaitlistPosition(activityId, userPhone) {
+    const result = await this.queryOne(
+      `SELECT COUNT(*) AS position FROM activity_waitlist
+       WHERE activity_id = ? AND id <= (
+         SELECT id FROM activity_waitlist WHERE activity_id = ? AND user_phone = ?
+       )`,
+      [activityId, activityId, userPhone]
+    );
+    return result && result.position > 0 ? result.position : null;
+  }
+
+  // 获取用户所有候补记录及排队位置
+  async getUserWaitlists(userPhone) {
+    const sql = `
+      SELECT aw.activity_id, aw.join_time,
+        (SELECT COUNT(*) FROM activity_waitlist w2
+         WHERE w2.activity_id = aw.activity_id AND w2.id <= aw.id) AS position
+      FROM activity_waitlist aw
+      WHERE aw.user_phone = ?
+      ORDER BY aw.join_time ASC
+    `;
+    return await this.queryMany(sql, [userPhone]);
+  }
+
+  // 加入候补队列
+  async joinWaitlist(activityId, userPhone) {
+    const existing = await this.queryOne(
+      'SELECT * FROM activity_waitlist WHERE activity_id = ? AND user_phone = ?',
+      [activityId, userPhone]
+    );
+
+    if (existing) {
+      throw new Error('已在候补队列中');
+    }
+
+    await this.insert('activity_waitlist', {
+      activity_id: activityId,
+      user_phone: userPhone
+    });
+
+    return await this.getWaitlistPosition(activityId, userPhone);
+  }
+
+  // 退出候补队列
+  async leaveWaitlist(activityId, userPhone) {
+    return await this.delete('activity_waitlist', 'activity_id = ? AND user_phone = ?', [activityId, userPhone]);
+  }
+
+  // 清空候补队列
+  async clearWaitlist(activityId) {
+    return await this.delete('activity_waitlist', 'activity_id = ?', [activityId]);
+  }
+
+  // 保存发牌结果：发牌记录与每位玩家的身份在同一事务中写入，不会留下缺少座位的发牌结果
+  async saveRoleAssignment(activityId, assignment) {
+    return await this.transaction(async (tx) => {
+      const assignmentId = await tx.insert('role_assignments', {
+        activity_id: activityId,
+        board_key: assignment.boardKey,
+        seed: assignment.seed,
+        player_order: JSON.stringify(assignment.playerOrder),
+        dealt_by: assignment.dealtBy
+      });
+
+      for (const player of assignment.players) {
+        await tx.insert('role_assignment_players', {
+          assignment_id: assignmentId,
+          activity_id: activityId,
+          user_phone: player.player,
+          seat_no: player.seatNo || null,
+          role: player.role,
+          camp: player.camp
+        });
+      }
+
+      return assignmentId;
+    });
+  }
+
+  // 获取活动最近一次发牌记录（含全部玩家身份）
+  async getLatestRoleAssignment(activityId) {
+    const assignment = await this.queryOne(
+      'SELECT * FROM role_assignments WHERE activity_id = ? ORDER BY id DESC LIMIT 1',
+      [activityId]
+    );
+
+    if (!assignment) {
+      return null;
+    }
+
+    assignment.players = await this.queryMany(
+      `SELECT rap.user_phone, rap.seat_no, rap.role, rap.camp, u.name, u.avatar_url
+       FROM role_assignment_players rap
+       JOIN users u ON rap.user_phone = u.phone
+       WHERE rap.assignment_id = ?
+       ORDER BY rap.id ASC`,
+      [assignment.id]
+    );
+
+    return assignment;
+  }
+
+  // 获取活动最近一次发牌的概要（不含玩家身份）
+  async getLatestRoleAssignmentInfo(activityId) {
+    return await this.queryOne(
+      'SELECT id, board_key, created_at FROM role_assignments WHERE activity_id = ? ORDER BY id DESC LIMIT 1',
+      [activityId]
+    );
+  }
+
+  // 获取法官流程对局
+  async getGameSession(sessionId) {
+    return await this.queryOne('SELECT * FROM game_sessions WHERE id = ?', [sessionId]);
+  }
+
+  // 获取活动最近一次的法官流程对局
+  async getLatestGameSession(activityId) {
+    return await this.queryOne(
+      'SELECT * FROM game_sessions WHERE activity_id = ? ORDER BY id DESC LIMIT 1',
+      [activityId]
+    );
+  }
+
+  // 锁定法官流程对局，使同一对局的操作串行执行（需在事务中调用）
+  async lockGameSession(sessionId) {
+    const session = await this.queryOne('SELECT * FROM game_sessions WHERE id = ? FOR UPDATE', [sessionId]);
+
+    if (!session) {
+      throw new Error('对局不存在');
+    }
+
+    return session;
+  }
+
+  // 保存对局局面，并追加时间线事件
+  async saveGameSessionState(sessionId, state, events = [], createdBy = null) {
+    await this.update('game_sessions', { state: JSON.stringify(state) }, 'id = ?', [sessionId]);
+
+    for (const event of events) {
+      await this.insert('game_session_events', {
+        session_id: sessionId,
+        round_no: event.round,
+        phase: event.phase,
+        step: event.step,
+        actor_seats: JSON.stringify(event.actorSeats || []),
+        target_seat: event.targetSeat,
+        data: JSON.stringify(event.data || {}),
+        created_by: createdBy
+      });
+    }
+  }
+
+  // 获取对局时间线（按发生顺序）
+  async getGameSessionEvents(sessionId) {
+    return await this.queryMany(
+      'SELECT * FROM game_session_events WHERE session_id = ? ORDER BY id ASC',
+      [sessionId]
+    );
+  }
+
+  // 获取发牌记录中的玩家身份
+  async getRoleAssignmentPlayers(assignmentId) {
+    return await this.queryMany(
+      `SELECT rap.user_phone, rap.seat_no, rap.role, rap.camp, u.name
+       FROM role_assignment_players rap
+       JOIN users u ON rap.user_phone = u.phone
+       WHERE rap.assignment_id = ?
+       ORDER BY rap.seat_no ASC`,
+      [assignmentId]
+    );
+  }
+
+  // 获取玩家在活动最近一次发牌中的身份
+  async getPlayerRole(activityId, userPhone) {
+    const sql = `
+      SELECT rap.seat_no, rap.role, rap.camp, ra.id AS assignment_id, ra.board_key, ra.created_at
+      FROM role_assignment_players rap
+      JOIN role_assignments ra ON rap.assignment_id = ra.id
+      WHERE ra.id = (SELECT MAX(id) FROM role_assignments WHERE activity_id = ?)
+        AND rap.user_phone = ?
+    `;
+    return await this.queryOne(sql, [activityId, userPhone]);
+  }
+
+  // 保存对局记录，局数未指定时自动顺延
+  async saveGameRecord(activityId, record) {
+    let roundNo = record.roundNo;
+    if (!roundNo) {
+      const last = await this.queryOne(
+        'SELECT MAX(round_no) AS maxRound FROM game_records WHERE activity_id = ?',
+        [activityId]
+      );
+      roundNo = (last && last.maxRound ? last.maxRound : 0) + 1;
+    }
+
+    const gameId = await this.insert('game_records', {
+      activity_id: activityId,
+      round_no: roundNo,
+      board_key: record.boardKey || null,
+      winning_camp: record.winningCamp,
+      mvp_phone: record.mvpPhone || null,
+      notes: record.notes || '',
+      recorded_by: record.recordedBy,
+      played_at: record.playedAt || new Date()
+    });
+
+    for (const player of record.players) {
+      await this.insert('game_record_players', {
+        game_id: gameId,
+        user_phone: player.phone,
+        seat_no: player.seatNo || null,
+        role: player.role,
+        camp: player.camp,
+        is_winner: player.camp === record.winningCamp
+      });
+    }
+
+    return gameId;
+  }
+
+  // 获取对局记录（含玩家明细）
+  async getGameRecord(gameId) {
+    const game = await this.queryOne('SELECT * FROM game_records WHERE id = ?', [gameId]);
+    if (!game) {
+      return null;
+    }
+
+    game.players = await this.queryMany(
+      `SELECT grp.user_phone, grp.seat_no, grp.role, grp.camp, grp.is_winner, u.name, u.avatar_url
+       FROM game_record_players grp
+       JOIN users u ON grp.user_phone = u.phone
+       WHERE grp.game_id = ?
+       ORDER BY grp.id ASC`,
+      [gameId]
+    );
+
+    return game;
+  }
+
+  // 获取活动的所有对局记录
+  async getActivityGameRecords(activityId) {
+    const games = await this.queryMany(
+      'SELECT id FROM game_records WHERE activity_id = ? ORDER BY round_no ASC',
+      [activityId]
+    );
+    return await Promise.all(games.map(game => this.getGameRecord(game.id)));
+  }
+
+  // 获取玩家战绩汇总（按阵营、按角色）
+  async getPlayerGameStats(userPhone) {
+    const summary = await this.queryOne(
+      `SELECT COUNT(*) AS games, COALESCE(SUM(grp.is_winner), 0) AS wins,
+        COALESCE(SUM(gr.mvp_phone = grp.user_phone), 0) AS mvps
+       FROM game_record_players grp
+       JOIN game_records gr ON grp.game_id = gr.id
+       WHERE grp.user_phone = ?`,
+      [userPhone]
+    );
+
+    const byCamp = await this.queryMany(
+      `SELECT camp, COUNT(*) AS games, SUM(is_winner) AS wins
+       FROM game_record_players WHERE user_phone = ? GROUP BY camp`,
+      [userPhone]
+    );
+
+    const byRole = await this.queryMany(
+      `SELECT role, camp, COUNT(*) AS games, SUM(is_winner) AS wins
+       FROM game_record_players WHERE user_phone = ? GROUP BY role, camp
+       ORDER BY games DESC`,
+      [userPhone]
+    );
+
+    return { summary, byCamp, byRole };
+  }
+
+  // 获取玩家最近的对局
+  async getPlayerRecentGames(userPhone, limit = 10) {
+    const sql = `
+      SELECT gr.id AS game_id, gr.activity_id, gr.round_no, gr.board_key, gr.winning_camp,
+        gr.mvp_phone, gr.played_at, grp.role, grp.camp, grp.is_winner, a.title AS activity_title
+      FROM game_record_players grp
+      JOIN game_records gr ON grp.game_id = gr.id
+      JOIN activities a ON gr.activity_id = a.id
+      WHERE grp.user_phone = ?
+      ORDER BY gr.played_at DESC, gr.id DESC
+      LIMIT ?
+    `;
+    return await this.queryMany(sql, [userPhone, limit]);
+  }
+
+  // 获取单条留言
+  async getComment(commentId) {
+    return await this.queryOne('SELECT * FROM activity_comments WHERE id = ?', [commentId]);
+  }
+
+  // 获取活动的留言（不含回复）：置顶在前，其余按最新在前；已删除且没有回复的留言不再显示
+  async getActivityComments(activityId, limit = 20, offset = 0) {
+    const sql = `
+      SELECT c.*, u.name AS user_name, u.avatar_url AS user_avatar_url,
+        (SELECT COUNT(*) FROM activity_comments r WHERE r.parent_id = c.id AND r.is_deleted = FALSE) AS reply_count
+      FROM activity_comments c
+      JOIN users u ON c.user_phone = u.phone
+      WHERE c.activity_id = ? AND c.parent_id IS NULL
+        AND (c.is_deleted = FALSE OR EXISTS (
+          SELECT 1 FROM activity_comments r WHERE r.parent_id = c.id AND r.is_deleted = FALSE
+        ))
+      ORDER BY c.is_pinned DESC, c.pinned_at DESC, c.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return await this.queryMany(sql, [activityId, limit, offset]);
+  }
+
+  // 统计活动的留言与回复数（不含已删除）
+  async countActivityComments(activityId) {
+    const row = await this.queryOne(
+      'SELECT COUNT(*) AS count FROM activity_comments WHERE activity_id = ? AND is_deleted = FALSE',
+      [activityId]
+    );
+    return Number(row.count);
+  }
+
+  // 获取留言的回复（按时间先后），已删除的回复不显示
+  async getCommentReplies(parentId, limit = 20, offset = 0) {
+    const sql = `
+      SELECT c.*, u.name AS user_name, u.avatar_url AS user_avatar_url, ru.name AS reply_to_name
+      FROM activity_comments c
+      JOIN users u ON c.user_phone = u.phone
+      LEFT JOIN users ru ON c.reply_to_phone = ru.phone
+      WHERE c.parent_id = ? AND c.is_deleted = FALSE
+      ORDER BY c.id ASC
+      LIMIT ? OFFSET ?
+    `;
+    return await this.queryMany(sql, [parentId, limit, offset]);
+  }
+
+  // 统计活动置顶的留言数
+  async countPinnedComments(activityId) {
+    const row = await this.queryOne(
+      'SELECT COUNT(*) AS count FROM activity_comments WHERE activity_id = ? AND is_pinned = TRUE AND is_deleted = FALSE',
+      [activityId]
+    );
+    return Number(row.count);
+  }
+
+  // 获取单张相册照片
+  async getPhoto(photoId) {
+    return await this.queryOne('SELECT * FROM activity_photos WHERE id = ?', [photoId]);
+  }
+
+  // 获取活动相册照片（最新上传在前）
+  async getActivityPhotos(activityId, limit = 30, offset = 0) {
+    const sql = `
+      SELECT p.*, u.name AS user_name
+      FROM activity_photos p
+      JOIN users u ON p.user_phone = u.phone
+      WHERE p.activity_id = ?
+      ORDER BY p.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return await this.queryMany(sql, [activityId, limit, offset]);
+  }
+
+  // 统计活动相册照片数
+  async countActivityPhotos(activityId) {
+    const row = await this.queryOne(
+      'SELECT COUNT(*) AS count FROM activity_photos WHERE activity_id = ?',
+      [activityId]
+    );
+    return Number(row.count);
+  }
+
+  // 获取活动相册封面
+  async getAlbumCover(activityId) {
+    return await this.queryOne(
+      'SELECT * FROM activity_photos WHERE activity_id = ? AND is_cover = TRUE LIMIT 1',
+      [activityId]
+    );
+  }
+
+  // 设置相册封面（同一活动只有一张封面）
+  async setAlbumCover(activityId, photoId) {
+    await this.execute(
+      'UPDATE activity_photos SET is_cover = (id = ?) WHERE activity_id = ?',
+      [photoId, activityId]
+    );
+  }
+
+  // 封面被删除后，由最早上传的照片作为封面
+  async resetAlbumCover(activityId) {
+    const first = await this.queryOne(
+      'SELECT id FROM activity_photos WHERE activity_id = ? ORDER BY id ASC LIMIT 1',
+      [activityId]
+    );
+    if (first) {
+      await this.setAlbumCover(activityId, first.id);
+    }
+  }
+
+  // 获取用户对活动的评价
+  async getActivityReview(activityId, userPhone) {
+    return await this.queryOne(
+      'SELECT * FROM activity_reviews WHERE activity_id = ? AND user_phone = ?',
+      [activityId, userPhone]
+    );
+  }
+
+  // 获取单条评价
+  async getReview(reviewId) {
+    return await this.queryOne('SELECT * FROM activity_reviews WHERE id = ?', [reviewId]);
+  }
+
+  // 获取评价列表（含评价人与活动信息），criteria 支持 activityId / hostPhone / status / limit
+  async getReviews(criteria = {}) {
+    let sql = `
+      SELECT r.*, u.name AS user_name, u.avatar_url AS user_avatar_url,
+        h.name AS host_name, a.title AS activity_title, a.date AS activity_date
+      FROM activity_reviews r
+      JOIN users u ON r.user_phone = u.phone
+      LEFT JOIN users h ON r.host_phone = h.phone
+      JOIN activities a ON r.activity_id = a.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (criteria.activityId) {
+      sql += ' AND r.activity_id = ?';
+      params.push(criteria.activityId);
+    }
+
+    if (criteria.hostPhone) {
+      sql += ' AND r.host_phone = ?';
+      params.push(criteria.hostPhone);
+    }
+
+    if (criteria.status) {
+      sql += ' AND r.status = ?';
+      params.push(criteria.status);
+    }
+
+    // 审核队列按提交时间先后处理，其余按最新在前展示
+    sql += criteria.status === 'pending' ? ' ORDER BY r.created_at ASC, r.id ASC' : ' ORDER BY r.created_at DESC, r.id DESC';
+
+    if (criteria.limit) {
+      sql += ' LIMIT ?';
+      params.push(criteria.limit);
+    }
+
+    return await this.queryMany(sql, params);
+  }
+
+  // 按星级统计已公开的评价数，criteria 支持 activityId / hostPhone
+  async getReviewRatingCounts(criteria) {
+    const column = criteria.activityId ? 'activity_id' : 'host_phone';
+    return await this.queryMany(
+      `SELECT rating, COUNT(*) AS count FROM activity_reviews
+       WHERE ${column} = ? AND status = 'approved'
+       GROUP BY rating`,
+      [criteria.activityId || criteria.hostPhone]
+    );
+  }
+
+  // 统计主持人已结束的活动数（安排了法官的活动算法官主持，否则算创建者主持）
+  async countHostedActivities(hostPhone) {
+    const row = await this.queryOne(
+      'SELECT COUNT(*) AS count FROM activities WHERE COALESCE(game_master_phone, created_by) = ? AND status = \'completed\'',
+      [hostPhone]
+    );
+    return Number(row.count);
+  }
+
+  // 锁定玩家积分记录（尚未计分的玩家没有记录）
+  async lockPlayerRatings(phones) {
+    if (phones.length === 0) return [];
+    return await this.queryMany(
+      `SELECT * FROM player_ratings WHERE user_phone IN (${phones.map(() => '?').join(', ')}) FOR UPDATE`,
+      phones
+    );
+  }
+
+  // 获取玩家积分
+  async getPlayerRating(userPhone) {
+    return await this.queryOne('SELECT * FROM player_ratings WHERE user_phone = ?', [userPhone]);
+  }
+
+  // 保存一局的积分变化并更新玩家积分
+  async saveRatingChanges(gameId, playedAt, changes) {
+    for (const change of changes) {
+      await this.insert('rating_changes', {
+        game_id: gameId,
+        user_phone: change.phone,
+        role: change.role,
+        camp: change.camp,
+        is_winner: change.isWinner,
+        rating_before: change.ratingBefore,
+        rating_after: change.ratingAfter,
+        delta: change.delta,
+        played_at: playedAt
+      });
+
+      await this.execute(
+        `INSERT INTO player_ratings (user_phone, rating, peak_rating, games, wins, last_played_at)
+         VALUES (?, ?, ?, 1, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           rating = VALUES(rating),
+           peak_rating = GREATEST(peak_rating, VALUES(rating)),
+           games = games + 1,
+           wins = wins + VALUES(wins),
+           last_played_at = GREATEST(COALESCE(last_played_at, VALUES(last_played_at)), VALUES(last_played_at))`,
+        [change.phone, change.ratingAfter, Math.max(change.ratingBefore, change.ratingAfter),
+          change.isWinner ? 1 : 0, playedAt]
+      );
+    }
+  }
+
+  // 清空积分（重新计算前调用）
+  async clearRatings() {
+    await this.execute('DELETE FROM rating_changes');
+    await this.execute('DELETE FROM player_ratings');
+  }
+
+  // 按对局时间顺序获取所有对局的玩家结果（重新计算积分用）
+  async getGameResultsForRating() {
+    const sql = `
+      SELECT gr.id AS game_id, gr.played_at, gr.winning_camp, grp.user_phone, grp.role, grp.camp
+      FROM game_records gr
+      JOIN game_record_players grp ON grp.game_id = gr.id
+      ORDER BY gr.played_at ASC, gr.id ASC, grp.id ASC
+    `;
+    return await this.queryMany(sql);
+  }
+
+  // 积分总榜：只包含已完成定级的玩家
+  async getRatingLeaderboard(minGames, limit) {
+    const sql = `
+      SELECT pr.user_phone, pr.rating, pr.peak_rating, pr.games, pr.wins, u.name, u.avatar_url
+      FROM player_ratings pr
+      JOIN users u ON pr.user_phone = u.phone
+      WHERE pr.games >= ?
+      ORDER BY pr.rating DESC, pr.games DESC, pr.user_phone ASC
+      LIMIT ?
+    `;
+    return await this.queryMany(sql, [minGames, limit]);
+  }
+
+  // 玩家在积分总榜中的名次
+  async getRatingRank(rating, minGames) {
+    const row = await this.queryOne(
+      'SELECT COUNT(*) AS higher FROM player_ratings WHERE games >= ? AND rating > ?',
+      [minGames, rating]
+    );
+    return Number(row.higher) + 1;
+  }
+
+  // 按积分变化汇总的排行榜（月榜按时间范围、角色榜按角色），按累计积分变化排序
+  async getRatingChangeLeaderboard(criteria) {
+    let sql = `
+      SELECT rc.user_phone, SUM(rc.delta) AS delta, COUNT(*) AS games, SUM(rc.is_winner) AS wins,
+        pr.rating, u.name, u.avatar_url
+      FROM rating_changes rc
+      JOIN users u ON rc.user_phone = u.phone
+      JOIN player_ratings pr ON rc.user_phone = pr.user_phone
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (criteria.from) {
+      sql += ' AND rc.played_at >= ?';
+      params.push(criteria.from);
+    }
+
+    if (criteria.to) {
+      sql += ' AND rc.played_at < ?';
+      params.push(criteria.to);
+    }
+
+    if (criteria.role) {
+      sql += ' AND rc.role = ?';
+      params.push(criteria.role);
+    }
+
+    sql += `
+      GROUP BY rc.user_phone, pr.rating, u.name, u.avatar_url
+      HAVING COUNT(*) >= ?
+      ORDER BY delta DESC, wins DESC, rc.user_phone ASC
+      LIMIT ?
+    `;
+    params.push(criteria.minGames, criteria.limit);
+
+    return await this.queryMany(sql, params);
+  }
+
+  // 更新参与者签到状态
+  async updateAttendance(activityId, userPhone, attendanceStatus) {
+    return await this.update('activity_participants', {
+      attendance_status: attendanceStatus,
+      checked_in_at: attendanceStatus === 'checked_in' ? new Date() : null
+    }, 'activity_id = ? AND user_phone = ?', [activityId, userPhone]);
+  }
+
+  // 获取开始时间早于截止时间、仍有未签到参与者的活动
+  async getActivitiesWithPendingAttendance(cutoffTime) {
+    const sql = `
+      SELECT DISTINCT a.*
+      FROM activities a
+      JOIN activity_participants ap ON ap.activity_id = a.id
+      WHERE ap.attendance_status = 'pending'
+        AND a.checkin_secret IS NOT NULL
+        AND a.status IN ('open', 'full', 'in_progress', 'completed')
+        AND TIMESTAMP(a.date, a.time) < ?
+    `;
+    return await this.queryMany(sql, [cutoffTime]);
+  }
+
+  // 将活动中未签到的参与者标记为缺席，返回被标记的手机号
+  async markPendingAsNoShow(activityId) {
+    const pending = await this.queryMany(
+      'SELECT user_phone FROM activity_participants WHERE activity_id = ? AND attendance_status = "pending"',
+      [activityId]
+    );
+
+    if (pending.length > 0) {
+      await this.update('activity_participants', { attendance_status: 'no_show' },
+        'activity_id = ? AND attendance_status = "pending"', [activityId]);
+    }
+
+    return pending.map(row => row.user_phone);
+  }
+
+  // 将通知加入发件箱（每个投递渠道一条）
+  async queueNotification(notification) {
+    return await this.insert('notifications', {
+      user_phone: notification.userPhone,
+      type: notification.type,
+      channel: notification.channel || 'inbox',
+      title: notification.title,
+      content: notification.content || '',
+      payload: JSON.stringify(notification.payload || {}),
+      reference_type: notification.referenceType || null,
+      reference_id: notification.referenceId !== undefined ? String(notification.referenceId) : null,
+      next_attempt_at: new Date()
+    });
+  }
+
+  // 获取到期待投递的通知
+  async getDueNotifications(now, limit = 100) {
+    const sql = `
+      SELECT * FROM notifications
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT ?
+    `;
+    return await this.queryMany(sql, [now, limit]);
+  }
+
+  // 领取通知：attempts 未被其他投递进程修改时加一，返回是否领取成功
+  async claimNotification(id, attempts) {
+    const affected = await this.update('notifications', { attempts: attempts + 1 },
+      'id = ? AND attempts = ? AND status = \'pending\'', [id, attempts]);
+    return affected > 0;
+  }
+
+  // 标记通知投递成功
+  async markNotificationSent(id) {
+    return await this.update('notifications', { status: 'sent', sent_at: new Date(), last_error: null },
+      'id = ?', [id]);
+  }
+
+  // 记录投递失败并安排重试
+  async markNotificationRetry(id, error, nextAttemptAt) {
+    return await this.update('notifications', {
+      last_error: String(error || '').slice(0, 500),
+      next_attempt_at: nextAttemptAt
+    }, 'id = ?', [id]);
+  }
+
+  // 标记通知投递失败（不再重试）
+  async markNotificationFailed(id, error) {
+    return await this.update('notifications', {
+      status: 'failed',
+      last_error: String(error || '').slice(0, 500)
+    }, 'id = ?', [id]);
+  }
+
+  // 获取用户关闭的通知渠道
+  async getDisabledNotificationChannels(userPhone, type) {
+    const rows = await this.queryMany(
+      'SELECT channel FROM notification_preferences WHERE user_phone = ? AND type = ? AND enabled = FALSE',
+      [userPhone, type]
+    );
+    return rows.map(row => row.channel);
+  }
+
+  // 获取用户的通知偏好设置
+  async getNotificationPreferences(userPhone) {
+    return await this.queryMany(
+      'SELECT type, channel, enabled FROM notification_preferences WHERE user_phone = ?',
+      [userPhone]
+    );
+  }
+
+  // 保存用户的通知偏好设置
+  async setNotificationPreference(userPhone, type, channel, enabled) {
+    await this.execute(
+      `INSERT INTO notification_preferences (user_phone, type, channel, enabled)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+      [userPhone, type, channel, Boolean(enabled)]
+    );
+  }
+
+  // 获取用户站内信，unreadOnly 为 true 时只返回未读
+  async getInboxNotifications(userPhone, limit = 50, offset = 0, unreadOnly = false) {
+    const sql = `
+      SELECT * FROM notifications
+      WHERE user_phone = ? AND channel = 'inbox' AND status = 'sent'${unreadOnly ? ' AND read_at IS NULL' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return await this.queryMany(sql, [userPhone, limit, offset]);
+  }
+
+  // 统计用户未读站内信数量
+  async countUnreadNotifications(userPhone) {
+    const result = await this.queryOne(
+      `SELECT COUNT(*) as count FROM notifications
+       WHERE user_phone = ? AND channel = 'inbox' AND status = 'sent' AND read_at IS NULL`,
+      [userPhone]
+    );
+    return result ? result.count : 0;
+  }
+
+  // 将站内信标记为已读，未指定ID时标记全部
+  async markNotificationsRead(userPhone, ids = null) {
+    let condition = 'user_phone = ? AND channel = \'inbox\' AND read_at IS NULL';
+    const params = [userPhone];
+
+    if (ids && ids.length > 0) {
+      condition += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+
+    return await this.update('notifications', { read_at: new Date() }, condition, params);
+  }
+
+  // 删除用户的站内信
+  async deleteNotifications(userPhone, ids) {
+    return await this.delete('notifications',
+      `user_phone = ? AND channel = 'inbox' AND id IN (${ids.map(() => '?').join(', ')})`,
+      [userPhone, ...ids]);
+  }
+
+  // 获取所有正常状态用户的手机号（用于群发公告）
+  async getActiveUserPhones() {
+    const rows = await this.queryMany('SELECT phone FROM users WHERE status = \'active\'');
+    return rows.map(row => row.phone);
+  }
+
+  // 获取交易记录
+  async getTransactions(userPhone, limit = 50) {
+    const sql = `
+      SELECT * FROM transactions 
+      WHERE user_phone = ? 
+      ORDER BY created_at DESC 
+      LIMIT ?
+    `;
+    return await this.queryMany(sql, [userPhone, limit]);
+  }
+
+  // 添加交易记录
+  async addTransaction(transactionData) {
+    return await this.insert('transactions', transactionData);
+  }
+
+  // 从会员卡余额扣费并写入交易记录（需在事务中调用），锁定会员卡行避免并发扣费时余额被覆盖
+  // 返回 { transactionId, newBalance }
+  async debitMemberCard(phone, amount, { description, referenceType, referenceId }) {
+    const memberCard = await this.queryOne(
+      'SELECT * FROM member_cards WHERE user_phone = ? AND status = "active" FOR UPDATE',
+      [phone]
+    );
+    if (!memberCard) {
+      throw new Error('用户会员信息不存在');
+    }
+
+    const currentBalance = parseFloat(memberCard.balance);
+    if (currentBalance < amount) {
+      throw new Error('余额不足');
+    }
+
+    const newBalance = Math.round((currentBalance - amount) * 100) / 100;
+    const transactionId = await this.addTransaction({
+      user_phone: phone,
+      type: 'payment',
+      amount,
+      balance_after: newBalance,
+      description,
+      reference_id: referenceId,
+      reference_type: referenceType,
+      status: 'completed'
+    });
+
+    await this.update('member_cards', {
+      balance: newBalance,
+      last_transaction_time: new Date()
+    }, 'id = ?', [memberCard.id]);
+
+    return { transactionId, newBalance };
+  }
+
+  // 退款到会员卡余额并写入交易记录（需在事务中调用），与 debitMemberCard 一样锁定会员卡行
+  // 返回 { transactionId, newBalance }
+  async creditMemberCard(phone, amount, { description, referenceType, referenceId }) {
+    const memberCard = await this.queryOne(
+      'SELECT * FROM member_cards WHERE user_phone = ? AND status = "active" FOR UPDATE',
+      [phone]
+    );
+    if (!memberCard) {
+      throw new Error('用户会员信息不存在');
+    }
+
+    const newBalance = Math.round((parseFloat(memberCard.balance) + amount) * 100) / 100;
+    const transactionId = await this.addTransaction({
+      user_phone: phone,
+      type: 'refund',
+      amount,
+      balance_after: newBalance,
+      description,
+      reference_id: referenceId,
+      reference_type: referenceType,
+      status: 'completed'
+    });
+
+    await this.update('member_cards', {
+      balance: newBalance,
+      last_transaction_time: new Date()
+    }, 'id = ?', [memberCard.id]);
+
+    return { transactionId, newBalance };
   }
 
   // 获取店铺状态
@@ -585,8 +2309,8 @@ class DatabaseManager {
 
   // 关闭数据库连接
   async close() {
-    if (this.connection) {
-      await this.connection.end();
+    if (this.pool) {
+      await this.pool.end();
       this.isConnected = false;
       logger.info('云数据库连接已关闭');
     }
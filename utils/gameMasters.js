@@ -0,0 +1,73 @@
+/**
+ * 法官排班工具
+ * 计算并校验法官的空闲时段，判断活动时间是否在法官的空闲时段内
+ */
+
+const { formatDate, addDays } = require('./recurrence');
+
+// 单个空闲时段最长时长（小时）
+const MAX_SLOT_HOURS = 24;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * 将 Date 或 YYYY-MM-DD HH:mm:ss 字符串统一为 YYYY-MM-DD HH:mm:ss（本地时间）
+ * @param {Date|string} value - 日期时间
+ * @returns {string} 日期时间字符串
+ */
+function formatDateTime(value) {
+  if (value instanceof Date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${formatDate(value)} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+
+  return String(value).replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * 由日期和起止时间计算空闲时段，结束时间不晚于开始时间时视为次日（如 18:00-02:00）
+ * @param {string} date - 日期 YYYY-MM-DD
+ * @param {string} startTime - 开始时间 HH:mm
+ * @param {string} endTime - 结束时间 HH:mm
+ * @returns {{start: string, end: string}} YYYY-MM-DD HH:mm:ss 格式的起止时间
+ * @throws {Error} 时间格式不正确或时段过长时抛出错误
+ */
+function getSlotRange(date, startTime, endTime) {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(formatDate(date))) {
+    throw new Error('请选择日期');
+  }
+
+  if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+    throw new Error('请选择开始和结束时间');
+  }
+
+  const day = formatDate(date);
+  const start = `${day} ${startTime.slice(0, 5)}:00`;
+  const endDay = endTime.slice(0, 5) <= startTime.slice(0, 5) ? addDays(day, 1) : day;
+  const end = `${endDay} ${endTime.slice(0, 5)}:00`;
+
+  const hours = (Date.parse(end.replace(' ', 'T')) - Date.parse(start.replace(' ', 'T'))) / (60 * 60 * 1000);
+  if (hours > MAX_SLOT_HOURS) {
+    throw new Error(`单个空闲时段不能超过${MAX_SLOT_HOURS}小时`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * 判断时间段是否完整落在某个空闲时段内
+ * @param {{start: string, end: string}} range - 活动占用时间段
+ * @param {object[]} slots - 空闲时段记录（数据库字段 start_at / end_at）
+ * @returns {boolean} 是否在空闲时段内
+ */
+function isCoveredBySlots(range, slots) {
+  return slots.some(slot =>
+    formatDateTime(slot.start_at) <= range.start && formatDateTime(slot.end_at) >= range.end);
+}
+
+module.exports = {
+  MAX_SLOT_HOURS,
+  formatDateTime,
+  getSlotRange,
+  isCoveredBySlots
+};
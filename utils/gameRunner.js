@@ -0,0 +1,411 @@
+/**
+ * 法官流程助手
+ * 按板子中的角色依次进行夜间行动（守卫 → 狼人 → 女巫 → 预言家）并校验每一步，
+ * 天亮时结算死亡，白天记录放逐与开枪；玩家一律以座位号指代
+ * 女巫解药、毒药各一瓶且同一夜只能用一瓶；守卫不能连续两夜守护同一名玩家；毒药无视守护
+ */
+
+const activityConfig = require('../config/activity');
+const { CAMPS, ROLES } = require('./boards');
+
+// 夜间行动顺序：板子中有对应角色时才会出现该步骤
+const NIGHT_STEPS = [
+  { key: 'guard', name: '守卫守护', actor: '守卫', roles: ['guard'], prompt: '守卫请睁眼，请选择今晚要守护的玩家（可空守）' },
+  { key: 'werewolf', name: '狼人刀人', actor: '狼人', roles: ['werewolf', 'wolf_king', 'white_wolf_king'], prompt: '狼人请睁眼，请选择今晚要击杀的玩家（可空刀）' },
+  { key: 'witch', name: '女巫用药', actor: '女巫', roles: ['witch'], prompt: '女巫请睁眼，今晚他倒下了，你要用解药吗？你要用毒药吗？' },
+  { key: 'seer', name: '预言家查验', actor: '预言家', roles: ['seer'], prompt: '预言家请睁眼，请选择要查验的玩家' }
+];
+
+// 出局后可以开枪带走一名玩家的角色（被毒死时不能开枪）
+const SHOOTER_ROLES = ['hunter', 'wolf_king'];
+
+const DEATH_CAUSE_NAMES = {
+  killed: '被狼人击杀',
+  poisoned: '被女巫毒杀',
+  exiled: '被放逐',
+  shot: '被枪杀'
+};
+
+/**
+ * 板子的夜间行动步骤
+ * @param {{seatNo: number, role: string}[]} players - 玩家身份
+ * @returns {object[]} 夜间步骤
+ */
+function getNightSteps(players) {
+  return NIGHT_STEPS.filter(step => players.some(player => step.roles.includes(player.role)));
+}
+
+/**
+ * 创建初始局面，从第一夜开始
+ * @param {{seatNo: number, role: string}[]} players - 玩家身份
+ * @returns {object} 局面
+ */
+function createGameState(players) {
+  return {
+    round: 1,
+    phase: 'night',
+    stepIndex: 0,
+    alive: players.map(player => player.seatNo).sort((a, b) => a - b),
+    antidoteUsed: false,
+    poisonUsed: false,
+    // 上一夜守护的座位号，空守时为 null
+    lastGuardTarget: null,
+    night: createNight(),
+    deaths: [],
+    shotUsed: [],
+    // 最近完成放逐投票的轮次
+    lastExileRound: 0
+  };
+}
+
+function createNight() {
+  return { guard: null, kill: null, save: false, poison: null, check: null };
+}
+
+// 当前夜间步骤
+function getCurrentStep(state, players) {
+  if (state.phase !== 'night') return null;
+  return getNightSteps(players)[state.stepIndex] || null;
+}
+
+// 当前步骤中仍存活的行动者座位号
+function getActorSeats(step, state, players) {
+  return players
+    .filter(player => step.roles.includes(player.role) && state.alive.includes(player.seatNo))
+    .map(player => player.seatNo);
+}
+
+// 校验座位号：必须是存活的玩家
+function assertAliveSeat(state, seatNo, label) {
+  if (!state.alive.includes(seatNo)) {
+    throw new Error(`${label}必须是存活的玩家`);
+  }
+}
+
+// 统一为座位号数字，未选择时为 null
+function toSeat(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+/**
+ * 记录当前夜间步骤的行动
+ * @param {object} state - 局面
+ * @param {{seatNo: number, role: string, camp: string}[]} players - 玩家身份
+ * @param {object} input - 行动 { step, targetSeat, save, poisonSeat }
+ * @param {object} [settings] - 流程配置
+ * @returns {{state: object, event: object}} 新局面与时间线事件
+ * @throws {Error} 步骤不匹配或行动不合法时抛出错误
+ */
+function applyNightAction(state, players, input, settings = activityConfig.gameRunner) {
+  const step = getCurrentStep(state, players);
+  if (!step || step.key !== input.step) {
+    throw new Error('当前不是该步骤，请刷新后重试');
+  }
+
+  const actorSeats = getActorSeats(step, state, players);
+  const targetSeat = toSeat(input.targetSeat);
+  const poisonSeat = toSeat(input.poisonSeat);
+  const night = { ...state.night };
+  const next = { ...state, night, stepIndex: state.stepIndex + 1 };
+  const event = { phase: 'night', round: state.round, step: step.key, actorSeats, targetSeat: null, data: {} };
+
+  // 行动者已出局：照常闭眼走流程，不能行动
+  if (actorSeats.length === 0) {
+    if (targetSeat !== null || input.save || poisonSeat !== null) {
+      throw new Error(`${step.actor}已出局，本轮不能行动`);
+    }
+    event.data.skipped = true;
+    return { state: next, event };
+  }
+
+  switch (step.key) {
+  case 'guard':
+    if (targetSeat !== null) {
+      assertAliveSeat(state, targetSeat, '守护对象');
+      if (targetSeat === state.lastGuardTarget) {
+        throw new Error('守卫不能连续两夜守护同一名玩家');
+      }
+    }
+    night.guard = targetSeat;
+    event.targetSeat = targetSeat;
+    break;
+
+  case 'werewolf':
+    if (targetSeat !== null) {
+      assertAliveSeat(state, targetSeat, '击杀对象');
+    }
+    night.kill = targetSeat;
+    event.targetSeat = targetSeat;
+    break;
+
+  case 'witch': {
+    const save = Boolean(input.save);
+    if (save && poisonSeat !== null) {
+      throw new Error('女巫同一晚不能同时使用解药和毒药');
+    }
+    if (save) {
+      if (state.antidoteUsed) {
+        throw new Error('解药已经用过了');
+      }
+      if (night.kill === null) {
+        throw new Error('今晚没有人被击杀，无需使用解药');
+      }
+      const selfSave = actorSeats.includes(night.kill);
+      if (selfSave && (settings.witchSelfSave === 'never' || (settings.witchSelfSave === 'first_night' && state.round > 1))) {
+        throw new Error(settings.witchSelfSave === 'never' ? '女巫不能自救' : '女巫只有首夜可以自救');
+      }
+      night.save = true;
+      next.antidoteUsed = true;
+    }
+    if (poisonSeat !== null) {
+      if (state.poisonUsed) {
+        throw new Error('毒药已经用过了');
+      }
+      assertAliveSeat(state, poisonSeat, '毒杀对象');
+      night.poison = poisonSeat;
+      next.poisonUsed = true;
+    }
+    event.targetSeat = poisonSeat;
+    event.data = { killedSeat: night.kill, save, poisonSeat };
+    break;
+  }
+
+  case 'seer': {
+    if (targetSeat === null) {
+      throw new Error('请选择要查验的玩家');
+    }
+    assertAliveSeat(state, targetSeat, '查验对象');
+    if (actorSeats.includes(targetSeat)) {
+      throw new Error('预言家不能查验自己');
+    }
+    const target = players.find(player => player.seatNo === targetSeat);
+    night.check = targetSeat;
+    event.targetSeat = targetSeat;
+    event.data = { result: target.camp === CAMPS.WEREWOLF ? CAMPS.WEREWOLF : CAMPS.GOOD };
+    break;
+  }
+
+  default:
+    throw new Error('未知的夜间步骤');
+  }
+
+  return { state: next, event };
+}
+
+/**
+ * 夜间步骤全部完成后天亮：结算死亡并进入白天
+ * @param {object} state - 局面
+ * @param {{seatNo: number, role: string}[]} players - 玩家身份
+ * @param {object} [settings] - 流程配置
+ * @returns {{state: object, event: object, deaths: number[]}} 新局面、天亮事件与死亡座位号
+ * @throws {Error} 夜间步骤未完成时抛出错误
+ */
+function resolveNight(state, players, settings = activityConfig.gameRunner) {
+  if (state.phase !== 'night' || state.stepIndex < getNightSteps(players).length) {
+    throw new Error('夜间行动尚未完成');
+  }
+
+  const { guard, kill, save, poison } = state.night;
+  const deaths = [];
+
+  // 同时被刀和被毒时按被毒处理（不能开枪）
+  if (poison !== null) {
+    deaths.push({ seatNo: poison, cause: 'poisoned', round: state.round });
+  }
+  if (kill !== null && kill !== poison) {
+    const guarded = guard === kill;
+    // 同守同救视为奶穿，玩家依然死亡
+    const survived = guarded && save ? !settings.guardedAndSavedDies : guarded || save;
+    if (!survived) {
+      deaths.push({ seatNo: kill, cause: 'killed', round: state.round });
+    }
+  }
+  deaths.sort((a, b) => a.seatNo - b.seatNo);
+
+  const deadSeats = deaths.map(death => death.seatNo);
+  const next = {
+    ...state,
+    phase: 'day',
+    alive: state.alive.filter(seatNo => !deadSeats.includes(seatNo)),
+    lastGuardTarget: guard,
+    deaths: [...state.deaths, ...deaths]
+  };
+
+  return {
+    state: next,
+    deaths: deadSeats,
+    event: {
+      phase: 'day',
+      round: state.round,
+      step: 'dawn',
+      actorSeats: [],
+      targetSeat: null,
+      data: { deaths: deadSeats, announcement: formatDeathAnnouncement(deadSeats) }
+    }
+  };
+}
+
+/**
+ * 记录白天行动：放逐（exile，targetSeat 为空表示无人出局）或出局玩家开枪（shoot）
+ * @param {object} state - 局面
+ * @param {{seatNo: number, role: string}[]} players - 玩家身份
+ * @param {object} input - 行动 { type, actorSeat, targetSeat }
+ * @returns {{state: object, event: object}} 新局面与时间线事件
+ * @throws {Error} 行动不合法时抛出错误
+ */
+function applyDayAction(state, players, input) {
+  if (state.phase !== 'day') {
+    throw new Error('天亮后才能记录白天行动');
+  }
+
+  const targetSeat = toSeat(input.targetSeat);
+  const event = { phase: 'day', round: state.round, step: input.type, actorSeats: [], targetSeat, data: {} };
+
+  if (input.type === 'exile') {
+    if (state.lastExileRound === state.round) {
+      throw new Error('今天已经完成放逐投票');
+    }
+    const next = { ...state, lastExileRound: state.round };
+    if (targetSeat === null) {
+      event.data.noExile = true;
+      return { state: next, event };
+    }
+    assertAliveSeat(state, targetSeat, '放逐对象');
+    return { state: killSeat(next, targetSeat, 'exiled'), event };
+  }
+
+  if (input.type === 'shoot') {
+    const actorSeat = toSeat(input.actorSeat);
+    const shooter = players.find(player => player.seatNo === actorSeat);
+    const death = state.deaths.find(item => item.seatNo === actorSeat);
+
+    if (!shooter || !SHOOTER_ROLES.includes(shooter.role)) {
+      throw new Error('只有猎人和狼王出局后可以开枪');
+    }
+    if (!death) {
+      throw new Error('出局后才能开枪');
+    }
+    if (death.cause === 'poisoned') {
+      throw new Error('被毒死的玩家不能开枪');
+    }
+    if (state.shotUsed.includes(actorSeat)) {
+      throw new Error('已经开过枪了');
+    }
+    if (targetSeat === null) {
+      throw new Error('请选择开枪带走的玩家');
+    }
+    assertAliveSeat(state, targetSeat, '开枪对象');
+
+    event.actorSeats = [actorSeat];
+    return {
+      state: { ...killSeat(state, targetSeat, 'shot'), shotUsed: [...state.shotUsed, actorSeat] },
+      event
+    };
+  }
+
+  throw new Error('未知的白天行动');
+}
+
+// 玩家出局
+function killSeat(state, seatNo, cause) {
+  return {
+    ...state,
+    alive: state.alive.filter(seat => seat !== seatNo),
+    deaths: [...state.deaths, { seatNo, cause, round: state.round }]
+  };
+}
+
+/**
+ * 白天结束，进入下一夜
+ * @param {object} state - 局面
+ * @returns {object} 新局面
+ */
+function startNextNight(state) {
+  if (state.phase !== 'day') {
+    throw new Error('天亮后才能进入下一夜');
+  }
+
+  return { ...state, round: state.round + 1, phase: 'night', stepIndex: 0, night: createNight() };
+}
+
+/**
+ * 按屠边规则判断胜负：狼人全部出局好人胜；神职或平民全部出局狼人胜
+ * @param {object} state - 局面
+ * @param {{seatNo: number, role: string}[]} players - 玩家身份
+ * @returns {string|null} 获胜阵营，未分胜负时为 null
+ */
+function checkWinner(state, players) {
+  const alive = players.filter(player => state.alive.includes(player.seatNo));
+  const aliveGroups = new Set(alive.map(player => ROLES[player.role].group));
+
+  if (!aliveGroups.has('wolf')) return CAMPS.GOOD;
+  if (!aliveGroups.has('god') || !aliveGroups.has('villager')) return CAMPS.WEREWOLF;
+  return null;
+}
+
+/**
+ * 天亮死讯（不公布死因）
+ * @param {number[]} deadSeats - 死亡座位号
+ * @returns {string} 公告文本
+ */
+function formatDeathAnnouncement(deadSeats) {
+  if (deadSeats.length === 0) {
+    return '天亮了，昨晚是平安夜';
+  }
+  return `天亮了，昨晚${deadSeats.map(seatNo => `${seatNo}号`).join('、')}玩家死亡`;
+}
+
+/**
+ * 时间线事件说明文字（供法官复盘）
+ * @param {object} event - 事件 { step, actorSeats, targetSeat, data }
+ * @returns {string} 说明
+ */
+function describeEvent(event) {
+  const { step, targetSeat, data = {} } = event;
+  const seat = seatNo => `${seatNo}号`;
+
+  if (data.skipped) {
+    const nightStep = NIGHT_STEPS.find(item => item.key === step);
+    return `${nightStep ? nightStep.actor : ''}已出局，空过`;
+  }
+
+  switch (step) {
+  case 'guard':
+    return targetSeat ? `守卫守护了${seat(targetSeat)}` : '守卫空守';
+  case 'werewolf':
+    return targetSeat ? `狼人击杀了${seat(targetSeat)}` : '狼人空刀';
+  case 'witch':
+    if (data.save) return `女巫对${seat(data.killedSeat)}使用了解药`;
+    if (data.poisonSeat) return `女巫毒杀了${seat(data.poisonSeat)}`;
+    return '女巫没有用药';
+  case 'seer':
+    return `预言家查验${seat(targetSeat)}：${data.result === CAMPS.WEREWOLF ? '狼人' : '好人'}`;
+  case 'dawn':
+    return data.announcement;
+  case 'exile':
+    return targetSeat ? `${seat(targetSeat)}被放逐` : '无人被放逐';
+  case 'shoot':
+    return `${seat(event.actorSeats[0])}开枪带走了${seat(targetSeat)}`;
+  case 'end':
+    return `游戏结束，${data.winningCamp === CAMPS.WEREWOLF ? '狼人' : '好人'}阵营获胜`;
+  default:
+    return step;
+  }
+}
+
+module.exports = {
+  NIGHT_STEPS,
+  SHOOTER_ROLES,
+  DEATH_CAUSE_NAMES,
+  getNightSteps,
+  getCurrentStep,
+  getActorSeats,
+  createGameState,
+  applyNightAction,
+  resolveNight,
+  applyDayAction,
+  startNextNight,
+  checkWinner,
+  formatDeathAnnouncement,
+  describeEvent
+};
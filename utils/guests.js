@@ -0,0 +1,67 @@
+/**
+ * 朋友名额工具
+ * 会员报名时可为尚未使用小程序的朋友预留名额，朋友姓名保存在会员的报名记录上；
+ * 每位朋友占用一个活动名额，付费活动由报名会员代付
+ */
+
+const activityConfig = require('../config/activity');
+
+/**
+ * 解析报名记录上的朋友姓名（JSON 字段可能以字符串返回）
+ * @param {Array|string|null} guestNames - 朋友姓名
+ * @returns {string[]} 朋友姓名列表
+ */
+function parseGuestNames(guestNames) {
+  if (!guestNames) return [];
+  if (Array.isArray(guestNames)) return guestNames;
+  try {
+    const list = JSON.parse(guestNames);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 校验并整理报名时填写的朋友姓名
+ * @param {string[]} guestNames - 朋友姓名
+ * @param {object} [settings] - 朋友名额配置
+ * @returns {string[]} 去除首尾空格后的朋友姓名
+ * @throws {Error} 人数或姓名不合法时抛出错误
+ */
+function normalizeGuestNames(guestNames, settings = activityConfig.guests) {
+  if (guestNames === undefined || guestNames === null) return [];
+  if (!Array.isArray(guestNames)) {
+    throw new Error('朋友名单格式不正确');
+  }
+
+  if (guestNames.length > settings.maxPerMember) {
+    throw new Error(`每人最多为${settings.maxPerMember}位朋友预留名额`);
+  }
+
+  return guestNames.map(name => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('请填写朋友的称呼');
+    }
+    if (trimmed.length > settings.maxNameLength) {
+      throw new Error(`朋友称呼不能超过${settings.maxNameLength}个字`);
+    }
+    return trimmed;
+  });
+}
+
+/**
+ * 报名记录占用的名额总数：每位参与者本人加其携带的朋友
+ * @param {object[]} participants - 报名记录（数据库字段 guest_names）
+ * @returns {number} 占用名额
+ */
+function getHeadcount(participants) {
+  return participants.reduce((sum, participant) => sum + 1 + parseGuestNames(participant.guest_names).length, 0);
+}
+
+module.exports = {
+  parseGuestNames,
+  normalizeGuestNames,
+  getHeadcount
+};
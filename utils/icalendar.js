@@ -0,0 +1,177 @@
+/**
+ * iCalendar（RFC 5545）生成工具
+ * 活动日期时间按店铺所在时区输出（TZID），不做时区换算；同一活动的 UID 固定，
+ * 日历应用重新导入或订阅刷新时会更新原有日程而不是重复添加
+ */
+
+const { formatDate, addDays } = require('./recurrence');
+
+// 单行最大长度（字节），超出时折行
+const MAX_LINE_OCTETS = 75;
+
+// 活动状态对应的日程状态
+const EVENT_STATUSES = {
+  planning: 'TENTATIVE',
+  open: 'CONFIRMED',
+  full: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * 转义 TEXT 类型的属性值
+ * @param {string} value - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 按 75 字节折行，续行以空格开头；不拆分多字节字符
+ * @param {string} line - 内容行
+ * @returns {string} 折行后的内容
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // 续行的首个空格占 1 字节
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * 将日期和时间格式化为本地时间 20261020T190000，可附加分钟偏移（跨天时顺延日期）
+ * @param {Date|string} date - 活动日期
+ * @param {string} time - 活动时间 HH:mm[:ss]
+ * @param {number} [offsetMinutes] - 偏移分钟数
+ * @returns {string} 本地日期时间
+ */
+function formatLocalDateTime(date, time, offsetMinutes = 0) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const totalMinutes = hours * 60 + minutes + offsetMinutes;
+  const dayOffset = Math.floor(totalMinutes / (24 * 60));
+  const minuteOfDay = totalMinutes - dayOffset * 24 * 60;
+
+  const day = addDays(formatDate(date), dayOffset).replace(/-/g, '');
+  const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const mm = String(minuteOfDay % 60).padStart(2, '0');
+  return `${day}T${hh}${mm}00`;
+}
+
+/**
+ * 将时间格式化为 UTC 时间 20261020T110000Z
+ * @param {Date|string} value - 时间
+ * @returns {string} UTC 日期时间
+ */
+function formatUtcDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 生成单个活动的 VEVENT
+ * @param {object} activity - 活动记录（数据库字段）
+ * @param {object} options - 见 buildCalendar
+ * @returns {string[]} 内容行
+ */
+function buildEvent(activity, options) {
+  const { timezone, durationMinutes, uidDomain, now } = options;
+  const updatedAt = activity.updated_at ? new Date(activity.updated_at) : now;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:activity-${activity.id}@${uidDomain}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    `LAST-MODIFIED:${formatUtcDateTime(updatedAt)}`,
+    // 以更新时间作为修订号，活动每次修改后日历应用都会采用新内容
+    `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+    `DTSTART;TZID=${timezone}:${formatLocalDateTime(activity.date, activity.time)}`,
+    `DTEND;TZID=${timezone}:${formatLocalDateTime(activity.date, activity.time, activity.duration_minutes || durationMinutes)}`,
+    `SUMMARY:${escapeText(activity.title)}`,
+    `STATUS:${EVENT_STATUSES[activity.status] || 'CONFIRMED'}`
+  ];
+
+  if (activity.location) {
+    lines.push(`LOCATION:${escapeText(activity.location)}`);
+  }
+
+  const description = [activity.description, activity.cancel_reason ? `取消原因：${activity.cancel_reason}` : null]
+    .filter(Boolean)
+    .join('\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * 生成 iCalendar 文本
+ * @param {object[]} activities - 活动记录（数据库字段）
+ * @param {object} options - 生成选项
+ * @param {string} options.calendarName - 日历名称
+ * @param {string} options.productId - PRODID
+ * @param {string} options.timezone - 时区标识，如 Asia/Shanghai
+ * @param {string} options.utcOffset - 时区与 UTC 的固定偏移，如 +0800
+ * @param {number} options.durationMinutes - 未设置时长的活动的默认时长（分钟）
+ * @param {string} options.uidDomain - UID 域名后缀
+ * @param {Date} [options.now] - 生成时间
+ * @returns {string} 以 CRLF 分隔的 iCalendar 文本
+ */
+function buildCalendar(activities, options) {
+  const settings = { now: new Date(), ...options };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${settings.productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(settings.calendarName)}`,
+    `X-WR-TIMEZONE:${settings.timezone}`,
+    // 店铺所在时区无夏令时，使用固定偏移的时区定义
+    'BEGIN:VTIMEZONE',
+    `TZID:${settings.timezone}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${settings.utcOffset}`,
+    `TZOFFSETTO:${settings.utcOffset}`,
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  activities.forEach(activity => {
+    lines.push(...buildEvent(activity, settings));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  buildCalendar
+};
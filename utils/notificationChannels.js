@@ -0,0 +1,142 @@
+/**
+ * 通知投递渠道（仅云函数使用）
+ * 每个渠道实现 send(notification, context)：投递成功正常返回，失败时抛出错误；
+ * 错误带 permanent: true 表示重试无意义（如用户拒收），否则按重试策略重新投递。
+ * 可选实现 supports(type) 声明渠道支持的通知类型，inline 为 true 的渠道在入队时立即投递
+ */
+
+const notificationConfig = require('../config/notification');
+const { logger } = require('./logger');
+
+// 微信订阅消息中表示不可重试的错误码：用户拒收 / openid 无效 / 模板无效
+const PERMANENT_WECHAT_ERRORS = [43101, 40003, 40037];
+
+// thing 类字段最多 20 个字符
+const SUBSCRIBE_THING_MAX_LENGTH = 20;
+
+/**
+ * 创建不可重试的投递错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 带 permanent 标记的错误
+ */
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+// 站内信：发件箱记录本身即为消息中心的数据，投递只需标记为已发送
+const inboxChannel = {
+  name: 'inbox',
+  inline: true,
+  async send() {}
+};
+
+// 微信订阅消息：需要用户登录时记录 openid，且已在小程序中订阅对应模板
+const wechatSubscribeChannel = {
+  name: 'wechat_subscribe',
+
+  supports(type) {
+    const template = notificationConfig.subscribeTemplates[type];
+    return Boolean(template && template.templateId);
+  },
+
+  async send(notification, context) {
+    const template = notificationConfig.subscribeTemplates[notification.type];
+    if (!template || !template.templateId) {
+      throw permanentError('未配置订阅消息模板');
+    }
+    if (!context.cloud) {
+      throw new Error('缺少云开发上下文');
+    }
+
+    const user = await context.dbManager.getUser(notification.user_phone);
+    if (!user || !user.openid) {
+      throw permanentError('用户未绑定微信');
+    }
+
+    const payload = parsePayload(notification.payload);
+    const data = {};
+    Object.entries(template.data).forEach(([field, key]) => {
+      let value = payload[key] === undefined || payload[key] === null ? '' : String(payload[key]);
+      if (field.startsWith('thing')) {
+        value = value.slice(0, SUBSCRIBE_THING_MAX_LENGTH);
+      }
+      data[field] = { value };
+    });
+
+    try {
+      await context.cloud.openapi.subscribeMessage.send({
+        touser: user.openid,
+        templateId: template.templateId,
+        page: String(template.page || '').replace(/\{(\w+)\}/g, (match, key) => payload[key] || ''),
+        data
+      });
+    } catch (error) {
+      if (PERMANENT_WECHAT_ERRORS.includes(error.errCode)) {
+        throw permanentError(error.errMsg || error.message);
+      }
+      throw error;
+    }
+  }
+};
+
+// 本地调试渠道：不对外发送，只记录日志并保存在内存中，便于开发环境检查通知内容
+const localChannel = {
+  name: 'local',
+  sent: [],
+
+  async send(notification) {
+    logger.info(`[通知] ${notification.user_phone} ${notification.title}: ${notification.content}`);
+    this.sent.push(notification);
+  }
+};
+
+const CHANNELS = {
+  inbox: inboxChannel,
+  wechat_subscribe: wechatSubscribeChannel,
+  local: localChannel
+};
+
+/**
+ * 解析发件箱中的模板变量（JSON 字段可能以字符串返回）
+ * @param {object|string|null} payload - 模板变量
+ * @returns {object} 模板变量
+ */
+function parsePayload(payload) {
+  if (!payload) return {};
+  if (typeof payload === 'string') {
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      return {};
+    }
+  }
+  return payload;
+}
+
+/**
+ * 获取投递渠道
+ * @param {string} name - 渠道名称
+ * @returns {object|null} 渠道实现
+ */
+function getChannel(name) {
+  return CHANNELS[name] || null;
+}
+
+/**
+ * 判断渠道能否投递指定类型的通知
+ * @param {string} name - 渠道名称
+ * @param {string} type - 通知类型
+ * @returns {boolean} 是否支持
+ */
+function channelSupports(name, type) {
+  const channel = getChannel(name);
+  if (!channel) return false;
+  return typeof channel.supports === 'function' ? channel.supports(type) : true;
+}
+
+module.exports = {
+  CHANNELS,
+  getChannel,
+  channelSupports,
+  parsePayload
+};
@@ -0,0 +1,229 @@
+/**
+ * 通知服务（仅云函数使用）
+ * 通知先按模板渲染后写入 notifications 发件箱（每个投递渠道一条），再由渠道投递；
+ * 投递失败按指数退避重试，超过最大次数或遇到不可重试错误时标记为失败
+ */
+
+const notificationConfig = require('../config/notification');
+const { getChannel, channelSupports } = require('./notificationChannels');
+
+// 通知模板：title / content 中的 {变量} 由通知数据替换，channels 为默认投递渠道
+const TEMPLATES = {
+  activity_cancelled: {
+    name: '活动取消',
+    title: '活动已取消',
+    content: '您报名的「{activityTitle}」（{startTime}）已取消。{reasonText}{refundText}',
+    channels: ['inbox', 'wechat_subscribe']
+  },
+  waitlist_promoted: {
+    name: '候补递补',
+    title: '候补成功',
+    content: '您已从候补队列递补报名「{activityTitle}」（{startTime}）。{paymentText}',
+    channels: ['inbox', 'wechat_subscribe']
+  },
+  activity_reminder: {
+    name: '开始提醒',
+    title: '活动即将开始',
+    content: '您报名的「{activityTitle}」将于{startTime}在{location}开始，请准时到场签到。',
+    channels: ['inbox', 'wechat_subscribe']
+  },
+  balance_recharged: {
+    name: '充值到账',
+    title: '充值到账',
+    content: '会员卡充值{amount}元已到账，当前余额{balance}元。',
+    channels: ['inbox']
+  },
+  penalty_charged: {
+    name: '罚金扣除',
+    title: '罚金扣除',
+    content: '因{description}，会员卡已扣除{amount}元，当前余额{balance}元。',
+    channels: ['inbox']
+  },
+  game_master_assigned: {
+    name: '法官排班',
+    title: '法官排班',
+    content: '您已被安排担任「{activityTitle}」（{startTime}）的法官，请提前到场准备。',
+    channels: ['inbox']
+  },
+  comment_mentioned: {
+    name: '讨论区提及',
+    title: '有人在讨论区提到了你',
+    content: '{authorName}在「{activityTitle}」的讨论区提到了你：{excerpt}',
+    channels: ['inbox']
+  },
+  comment_replied: {
+    name: '讨论区回复',
+    title: '你的留言有新回复',
+    content: '{authorName}回复了你在「{activityTitle}」的留言：{excerpt}',
+    channels: ['inbox']
+  },
+  announcement: {
+    name: '店铺公告',
+    title: '{title}',
+    content: '{content}',
+    channels: ['inbox']
+  }
+};
+
+/**
+ * 替换模板中的 {变量}，缺失的变量替换为空字符串
+ * @param {string} template - 模板字符串
+ * @param {object} data - 通知数据
+ * @returns {string} 渲染结果
+ */
+function renderTemplate(template, data = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+    const value = data[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * 通知类型当前可用的投递渠道：模板默认渠道中已启用且支持该类型的渠道；
+ * 本地调试渠道接收所有类型，只需在配置中启用
+ * @param {string} type - 通知类型
+ * @returns {string[]} 渠道名称
+ */
+function getAvailableChannels(type) {
+  const template = TEMPLATES[type];
+  if (!template) return [];
+
+  return [...template.channels, 'local'].filter(channel =>
+    notificationConfig.enabledChannels.includes(channel) && channelSupports(channel, type));
+}
+
+/**
+ * 计算第 attempts 次失败后的下次投递时间
+ * @param {number} attempts - 已尝试次数
+ * @param {Date} [now] - 当前时间
+ * @returns {Date} 下次投递时间
+ */
+function getNextAttemptAt(attempts, now = new Date()) {
+  const { baseDelaySeconds } = notificationConfig.retry;
+  return new Date(now.getTime() + baseDelaySeconds * Math.pow(2, Math.max(attempts - 1, 0)) * 1000);
+}
+
+/**
+ * 投递单条发件箱记录并更新投递状态
+ * 先以 attempts 作为乐观锁领取记录，避免并发投递时重复发送
+ * @param {object} notification - 发件箱记录（数据库字段）
+ * @param {object} dbManager - 数据库管理器
+ * @param {object} context - 渠道上下文，如 { cloud }
+ * @returns {Promise<string>} sent / retry / failed / skipped
+ */
+async function deliverNotification(notification, dbManager, context = {}) {
+  const claimed = await dbManager.claimNotification(notification.id, notification.attempts);
+  if (!claimed) {
+    return 'skipped';
+  }
+
+  const attempts = notification.attempts + 1;
+  const channel = getChannel(notification.channel);
+
+  try {
+    if (!channel) {
+      throw Object.assign(new Error(`未知的投递渠道: ${notification.channel}`), { permanent: true });
+    }
+
+    await channel.send(notification, { ...context, dbManager });
+    await dbManager.markNotificationSent(notification.id);
+    return 'sent';
+  } catch (error) {
+    if (error.permanent || attempts >= notificationConfig.retry.maxAttempts) {
+      await dbManager.markNotificationFailed(notification.id, error.message);
+      return 'failed';
+    }
+
+    await dbManager.markNotificationRetry(notification.id, error.message, getNextAttemptAt(attempts));
+    return 'retry';
+  }
+}
+
+/**
+ * 按模板生成通知并写入发件箱，跳过用户关闭的渠道；即时渠道（站内信）直接投递
+ * @param {object} dbManager - 数据库管理器
+ * @param {object} event - 通知事件
+ * @param {string} event.userPhone - 接收人手机号
+ * @param {string} event.type - 通知类型（见 TEMPLATES）
+ * @param {object} [event.data] - 模板变量
+ * @param {string} [event.referenceType] - 关联业务类型
+ * @param {string|number} [event.referenceId] - 关联业务ID
+ * @returns {Promise<number[]>} 写入的发件箱记录ID
+ */
+async function enqueueNotification(dbManager, event) {
+  const template = TEMPLATES[event.type];
+  if (!template) {
+    throw new Error(`未知的通知类型: ${event.type}`);
+  }
+  if (!event.userPhone) {
+    throw new Error('通知接收人不能为空');
+  }
+
+  const data = event.data || {};
+  const disabledChannels = await dbManager.getDisabledNotificationChannels(event.userPhone, event.type);
+  const channels = getAvailableChannels(event.type)
+    .filter(channel => !disabledChannels.includes(channel));
+
+  const ids = [];
+  for (const channelName of channels) {
+    const id = await dbManager.queueNotification({
+      userPhone: event.userPhone,
+      type: event.type,
+      channel: channelName,
+      title: renderTemplate(template.title, data),
+      content: renderTemplate(template.content, data),
+      payload: data,
+      referenceType: event.referenceType,
+      referenceId: event.referenceId
+    });
+    ids.push(id);
+
+    const channel = getChannel(channelName);
+    if (channel && channel.inline) {
+      await deliverNotification({ id, channel: channelName, attempts: 0 }, dbManager);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * 投递到期的待发送通知（由定时任务调用）
+ * @param {object} dbManager - 数据库管理器
+ * @param {object} context - 渠道上下文，如 { cloud }
+ * @returns {Promise<{sent: number, retry: number, failed: number, skipped: number}>} 投递统计
+ */
+async function dispatchPendingNotifications(dbManager, context = {}) {
+  const stats = { sent: 0, retry: 0, failed: 0, skipped: 0 };
+  const due = await dbManager.getDueNotifications(new Date(), notificationConfig.dispatchBatchSize);
+
+  for (const notification of due) {
+    const result = await deliverNotification(notification, dbManager, context);
+    stats[result]++;
+  }
+
+  return stats;
+}
+
+/**
+ * 通知类型列表（供偏好设置页面展示）
+ * @returns {{type: string, name: string, channels: string[]}[]} 通知类型
+ */
+function listNotificationTypes() {
+  return Object.entries(TEMPLATES).map(([type, template]) => ({
+    type,
+    name: template.name,
+    channels: getAvailableChannels(type)
+  }));
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  getAvailableChannels,
+  getNextAttemptAt,
+  enqueueNotification,
+  deliverNotification,
+  dispatchPendingNotifications,
+  listNotificationTypes
+};
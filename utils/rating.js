@@ -0,0 +1,73 @@
+/**
+ * 积分（ELO）工具
+ * 每局结束后，玩家按所在阵营的胜负与对方阵营的平均积分调整积分；
+ * 定级期（前若干局）使用更大的变化系数，定级结束前不进入总榜
+ */
+
+const activityConfig = require('../config/activity');
+
+/**
+ * 预期胜率
+ * @param {number} rating - 玩家积分
+ * @param {number} opponentRating - 对方阵营平均积分
+ * @returns {number} 0~1 之间的预期胜率
+ */
+function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * 是否处于定级期
+ * @param {number} games - 已计分的局数
+ * @param {object} [settings] - 积分配置
+ * @returns {boolean} 是否定级中
+ */
+function isProvisional(games, settings = activityConfig.rating) {
+  return games < settings.provisionalGames;
+}
+
+/**
+ * 计算一局结束后每位玩家的积分变化
+ * @param {object[]} players - 玩家 { phone, camp, rating, games }，rating / games 为赛前数据
+ * @param {string} winningCamp - 获胜阵营
+ * @param {object} [settings] - 积分配置
+ * @returns {{phone: string, isWinner: boolean, ratingBefore: number, ratingAfter: number, delta: number}[]} 积分变化
+ */
+function calculateRatingChanges(players, winningCamp, settings = activityConfig.rating) {
+  const campAverages = {};
+  players.forEach(player => {
+    const camp = campAverages[player.camp] || { total: 0, count: 0 };
+    camp.total += player.rating;
+    camp.count += 1;
+    campAverages[player.camp] = camp;
+  });
+
+  return players.map(player => {
+    const isWinner = player.camp === winningCamp;
+    const opponents = Object.keys(campAverages).filter(camp => camp !== player.camp);
+
+    // 只有一个阵营时无从比较，积分不变
+    let delta = 0;
+    if (opponents.length > 0) {
+      const opponentTotal = opponents.reduce((sum, camp) => sum + campAverages[camp].total, 0);
+      const opponentCount = opponents.reduce((sum, camp) => sum + campAverages[camp].count, 0);
+      const expected = getExpectedScore(player.rating, opponentTotal / opponentCount);
+      const kFactor = isProvisional(player.games, settings) ? settings.provisionalKFactor : settings.kFactor;
+      delta = Math.round(kFactor * ((isWinner ? 1 : 0) - expected));
+    }
+
+    return {
+      phone: player.phone,
+      isWinner,
+      ratingBefore: player.rating,
+      ratingAfter: player.rating + delta,
+      delta
+    };
+  });
+}
+
+module.exports = {
+  getExpectedScore,
+  isProvisional,
+  calculateRatingChanges
+};
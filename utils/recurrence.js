@@ -0,0 +1,182 @@
+/**
+ * 活动重复规则工具
+ * 根据系列活动的重复规则计算每一期的具体日期
+ */
+
+const RECURRENCE_TYPES = {
+  WEEKLY: 'weekly', // 每N周（与开始日期同一星期几）
+  INTERVAL: 'interval', // 每N天
+  WEEKDAYS: 'weekdays' // 每周指定星期几
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 单次计算最多遍历的天数，防止异常规则导致死循环
+const MAX_SCAN_DAYS = 366 * 3;
+
+/**
+ * 将 Date 或 YYYY-MM-DD 字符串统一为 YYYY-MM-DD
+ * @param {Date|string} value - 日期
+ * @returns {string|null} 日期字符串
+ */
+function formatDate(value) {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = (value.getMonth() + 1).toString().padStart(2, '0');
+    const day = value.getDate().toString().padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  return String(value).slice(0, 10);
+}
+
+/**
+ * 解析 YYYY-MM-DD 为 UTC 零点时间戳，避免时区影响日期计算
+ * @param {Date|string} value - 日期
+ * @returns {number} 时间戳
+ */
+function toDayStamp(value) {
+  const [year, month, day] = formatDate(value).split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * 时间戳转回 YYYY-MM-DD
+ * @param {number} stamp - UTC 零点时间戳
+ * @returns {string} 日期字符串
+ */
+function fromDayStamp(stamp) {
+  return new Date(stamp).toISOString().slice(0, 10);
+}
+
+/**
+ * 日期加减天数
+ * @param {Date|string} value - 日期
+ * @param {number} days - 天数
+ * @returns {string} 日期字符串
+ */
+function addDays(value, days) {
+  return fromDayStamp(toDayStamp(value) + days * DAY_MS);
+}
+
+/**
+ * 规范化星期列表（0=周日 … 6=周六），支持数组或逗号分隔字符串
+ * @param {Array|string} weekdays - 星期列表
+ * @returns {number[]} 去重排序后的星期列表
+ */
+function normalizeWeekdays(weekdays) {
+  const list = Array.isArray(weekdays)
+    ? weekdays
+    : String(weekdays || '').split(',').filter(item => item !== '');
+
+  return [...new Set(list.map(Number))]
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 校验重复规则
+ * @param {object} rule - 重复规则
+ * @param {string} rule.type - weekly / interval / weekdays
+ * @param {number} [rule.interval] - 间隔（weekly 为周数，interval 为天数）
+ * @param {Array|string} [rule.weekdays] - 指定星期（weekdays 类型必填）
+ * @param {string} rule.startDate - 开始日期
+ * @param {string} [rule.endDate] - 结束日期
+ * @param {number} [rule.count] - 总期数
+ * @throws {Error} 规则无效时抛出错误
+ */
+function validateRule(rule) {
+  if (!rule || !Object.values(RECURRENCE_TYPES).includes(rule.type)) {
+    throw new Error('不支持的重复类型');
+  }
+
+  if (!rule.startDate || !/^\d{4}-\d{2}-\d{2}$/.test(formatDate(rule.startDate))) {
+    throw new Error('请设置有效的开始日期');
+  }
+
+  if (!rule.endDate && !rule.count) {
+    throw new Error('请设置结束日期或重复次数');
+  }
+
+  if (rule.endDate && toDayStamp(rule.endDate) < toDayStamp(rule.startDate)) {
+    throw new Error('结束日期不能早于开始日期');
+  }
+
+  if (rule.count !== undefined && rule.count !== null && (!Number.isInteger(rule.count) || rule.count <= 0)) {
+    throw new Error('重复次数必须为正整数');
+  }
+
+  if (rule.type === RECURRENCE_TYPES.INTERVAL && (!Number.isInteger(rule.interval) || rule.interval <= 0)) {
+    throw new Error('间隔天数必须为正整数');
+  }
+
+  if (rule.type === RECURRENCE_TYPES.WEEKDAYS && normalizeWeekdays(rule.weekdays).length === 0) {
+    throw new Error('请至少选择一个星期');
+  }
+}
+
+/**
+ * 判断某天是否符合重复规则
+ * @private
+ */
+function matchesRule(rule, stamp, startStamp) {
+  const daysFromStart = Math.round((stamp - startStamp) / DAY_MS);
+
+  switch (rule.type) {
+  case RECURRENCE_TYPES.WEEKLY:
+    return daysFromStart % (7 * (rule.interval || 1)) === 0;
+  case RECURRENCE_TYPES.INTERVAL:
+    return daysFromStart % rule.interval === 0;
+  case RECURRENCE_TYPES.WEEKDAYS:
+    return normalizeWeekdays(rule.weekdays).includes(new Date(stamp).getUTCDay());
+  default:
+    return false;
+  }
+}
+
+/**
+ * 计算重复规则在指定区间内的所有日期
+ * 期数（count）始终从系列开始日期计起，因此与查询区间无关、结果稳定
+ * @param {object} rule - 重复规则（见 validateRule）
+ * @param {object} [range] - 查询区间
+ * @param {string} [range.fromDate] - 起始日期（含），默认系列开始日期
+ * @param {string} [range.untilDate] - 截止日期（含），默认结束日期
+ * @returns {string[]} YYYY-MM-DD 日期列表
+ */
+function getOccurrenceDates(rule, range = {}) {
+  validateRule(rule);
+
+  const startStamp = toDayStamp(rule.startDate);
+  const fromStamp = range.fromDate ? Math.max(toDayStamp(range.fromDate), startStamp) : startStamp;
+
+  let untilStamp = startStamp + MAX_SCAN_DAYS * DAY_MS;
+  if (rule.endDate) untilStamp = Math.min(untilStamp, toDayStamp(rule.endDate));
+  if (range.untilDate) untilStamp = Math.min(untilStamp, toDayStamp(range.untilDate));
+
+  const dates = [];
+  let occurrenceIndex = 0;
+
+  for (let stamp = startStamp; stamp <= untilStamp; stamp += DAY_MS) {
+    if (!matchesRule(rule, stamp, startStamp)) continue;
+
+    occurrenceIndex++;
+    if (rule.count && occurrenceIndex > rule.count) break;
+
+    if (stamp >= fromStamp) {
+      dates.push(fromDayStamp(stamp));
+    }
+  }
+
+  return dates;
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  formatDate,
+  addDays,
+  normalizeWeekdays,
+  validateRule,
+  getOccurrenceDates
+};
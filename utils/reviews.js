@@ -0,0 +1,80 @@
+/**
+ * 活动评价工具
+ * 参与者在活动结束后的评价期内为主持人和本场活动打分（1-5 星）并留言，
+ * 评价经管理员审核通过后公开展示并计入主持人评分
+ */
+
+const activityConfig = require('../config/activity');
+
+const REVIEW_STATUSES = {
+  PENDING: 'pending', // 待审核
+  APPROVED: 'approved', // 已通过
+  REJECTED: 'rejected' // 未通过
+};
+
+const REVIEW_STATUS_NAMES = {
+  pending: '待审核',
+  approved: '已公开',
+  rejected: '未通过'
+};
+
+/**
+ * 校验评价内容
+ * @param {object} review - 评价 { rating, comment }
+ * @param {object} [settings] - 评价配置
+ * @throws {Error} 内容不合法时抛出错误
+ */
+function validateReview(review, settings = activityConfig.review) {
+  const rating = Number(review.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('请选择1-5星评分');
+  }
+
+  if (String(review.comment || '').trim().length > settings.maxCommentLength) {
+    throw new Error(`评价内容不能超过${settings.maxCommentLength}字`);
+  }
+}
+
+/**
+ * 评价截止时间：活动结束后 windowDays 天
+ * @param {Date} endTime - 活动结束时间
+ * @param {object} [settings] - 评价配置
+ * @returns {Date} 截止时间
+ */
+function getReviewDeadline(endTime, settings = activityConfig.review) {
+  return new Date(endTime.getTime() + settings.windowDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * 汇总评分
+ * @param {{rating: number, count: number}[]} rows - 各星级的评价数
+ * @returns {{average: number, count: number, distribution: {stars: number, count: number, percent: number}[]}}
+ *   平均分保留一位小数，分布按 5 星到 1 星排列
+ */
+function summarizeRatings(rows) {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.rating] = Number(row.count);
+  });
+
+  const count = Object.values(counts).reduce((sum, value) => sum + value, 0);
+  const total = Object.entries(counts).reduce((sum, [rating, value]) => sum + Number(rating) * value, 0);
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution: [5, 4, 3, 2, 1].map(stars => ({
+      stars,
+      count: counts[stars] || 0,
+      percent: count > 0 ? Math.round(((counts[stars] || 0) / count) * 100) : 0
+    }))
+  };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_NAMES,
+  validateReview,
+  getReviewDeadline,
+  summarizeRatings
+};
@@ -0,0 +1,114 @@
+/**
+ * 房间 / 桌位工具
+ * 定义房间类型与设施，校验房间信息，并计算活动占用房间的时间段
+ */
+
+const { formatDate, addDays } = require('./recurrence');
+
+const ROOM_TYPES = {
+  ROOM: 'room', // 包间
+  TABLE: 'table' // 大厅桌位
+};
+
+const ROOM_TYPE_NAMES = {
+  room: '包间',
+  table: '桌位'
+};
+
+// 可选设施
+const ROOM_FEATURES = {
+  projector: '投影仪',
+  sound: '音响',
+  air_conditioner: '空调',
+  private: '独立隔音',
+  smoking: '可吸烟'
+};
+
+/**
+ * 校验房间信息（使用数据库字段名）
+ * @param {object} room - 房间 { name, type, capacity, hourly_price, features }
+ * @throws {Error} 信息不合法时抛出错误
+ */
+function validateRoom(room) {
+  if (!room.name || !String(room.name).trim()) {
+    throw new Error('请输入房间名称');
+  }
+
+  if (!ROOM_TYPE_NAMES[room.type]) {
+    throw new Error('不支持的房间类型');
+  }
+
+  const capacity = Number(room.capacity);
+  if (!Number.isInteger(capacity) || capacity <= 0) {
+    throw new Error('请输入有效的容纳人数');
+  }
+
+  const hourlyPrice = Number(room.hourly_price);
+  if (Number.isNaN(hourlyPrice) || hourlyPrice < 0) {
+    throw new Error('每小时价格不能为负数');
+  }
+
+  (room.features || []).forEach(feature => {
+    if (!ROOM_FEATURES[feature]) {
+      throw new Error(`未知设施: ${feature}`);
+    }
+  });
+}
+
+/**
+ * 计算活动占用的时间段，结束时间超过午夜时顺延到次日
+ * @param {Date|string} date - 活动日期
+ * @param {string} time - 开始时间 HH:mm[:ss]
+ * @param {number} durationMinutes - 时长（分钟）
+ * @returns {{start: string, end: string}} YYYY-MM-DD HH:mm:ss 格式的起止时间
+ */
+function getBookingRange(date, time, durationMinutes) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const endTotal = hours * 60 + minutes + Number(durationMinutes);
+  const endDayOffset = Math.floor(endTotal / (24 * 60));
+  const endMinuteOfDay = endTotal - endDayOffset * 24 * 60;
+
+  const pad = value => String(value).padStart(2, '0');
+  const day = formatDate(date);
+
+  return {
+    start: `${day} ${pad(hours)}:${pad(minutes)}:00`,
+    end: `${addDays(day, endDayOffset)} ${pad(Math.floor(endMinuteOfDay / 60))}:${pad(endMinuteOfDay % 60)}:00`
+  };
+}
+
+/**
+ * 判断两个时间段是否重叠（首尾相接不算重叠）
+ * @param {{start: string, end: string}} a - 时间段
+ * @param {{start: string, end: string}} b - 时间段
+ * @returns {boolean} 是否重叠
+ */
+function rangesOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * 解析房间设施（JSON 字段可能以字符串返回）
+ * @param {Array|string|null} features - 设施
+ * @returns {string[]} 设施列表
+ */
+function parseFeatures(features) {
+  if (!features) return [];
+  if (Array.isArray(features)) return features;
+  try {
+    const list = JSON.parse(features);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  ROOM_TYPES,
+  ROOM_TYPE_NAMES,
+  ROOM_FEATURES,
+  validateRoom,
+  getBookingRange,
+  rangesOverlap,
+  parseFeatures
+};
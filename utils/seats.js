@@ -0,0 +1,68 @@
+/**
+ * 座位号工具
+ * 座位号从 1 开始（1号位、2号位……），发牌与对局记录按座位号指代玩家
+ */
+
+const { seededShuffle } = require('./boards');
+
+/**
+ * 取最小的空闲座位号
+ * @param {number[]} takenSeats - 已占用的座位号
+ * @param {number} maxSeats - 座位总数（活动人数上限）
+ * @returns {number|null} 空闲座位号，座位已满时返回 null
+ */
+function getNextFreeSeat(takenSeats, maxSeats) {
+  const taken = new Set(takenSeats.map(Number));
+  for (let seat = 1; seat <= maxSeats; seat++) {
+    if (!taken.has(seat)) {
+      return seat;
+    }
+  }
+  return null;
+}
+
+/**
+ * 随机排座：用种子打乱玩家顺序后依次分配 1..n 号位
+ * @param {string[]} players - 玩家手机号
+ * @param {string} seed - 种子
+ * @returns {{phone: string, seatNo: number}[]} 按座位号排列的排座结果
+ */
+function shuffleSeats(players, seed) {
+  return seededShuffle(players, seed).map((phone, index) => ({
+    phone,
+    seatNo: index + 1
+  }));
+}
+
+/**
+ * 按座位号排序，未分配座位的排在最后并保持原有顺序（报名顺序）
+ * @param {object[]} players - 玩家列表
+ * @param {string} [key] - 座位号字段名
+ * @returns {object[]} 排序后的新列表
+ */
+function sortBySeat(players, key = 'seat_no') {
+  return players
+    .map((player, index) => ({ player, index }))
+    .sort((a, b) => {
+      const seatA = a.player[key] || Infinity;
+      const seatB = b.player[key] || Infinity;
+      return seatA === seatB ? a.index - b.index : seatA - seatB;
+    })
+    .map(item => item.player);
+}
+
+/**
+ * 座位号显示文本
+ * @param {number|null} seatNo - 座位号
+ * @returns {string} 如 3号位，未分配时为空字符串
+ */
+function formatSeat(seatNo) {
+  return seatNo ? `${seatNo}号位` : '';
+}
+
+module.exports = {
+  getNextFreeSeat,
+  shuffleSeats,
+  sortBySeat,
+  formatSeat
+};
@@ -0,0 +1,37 @@
+/**
+ * 敏感词过滤工具
+ * 按敏感词库匹配文本（英文不区分大小写），命中部分替换为同等长度的 *，
+ * 较长的词优先匹配，避免短词先替换后长词无法识别
+ */
+
+const sensitiveConfig = require('../config/sensitiveWords');
+
+/**
+ * 过滤敏感词
+ * @param {string} text - 原始文本
+ * @param {string[]} [words] - 敏感词库
+ * @returns {{text: string, hits: string[]}} 过滤后的文本与命中的敏感词（去重）
+ */
+function filterSensitiveWords(text, words = sensitiveConfig.words) {
+  let result = String(text || '');
+  const hits = [];
+
+  [...words]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .forEach(word => {
+      const pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+      result = result.replace(pattern, match => {
+        if (!hits.includes(word)) {
+          hits.push(word);
+        }
+        return '*'.repeat(match.length);
+      });
+    });
+
+  return { text: result, hits };
+}
+
+module.exports = {
+  filterSensitiveWords
+};